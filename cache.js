@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// TTL cache with interchangeable backends. Every backend exposes the same
+// async interface: get, set, delete, deletePrefix, getStats and updateStats.
+// Values must be plain JSON data; callers that need to save a document
+// load it from MongoDB instead.
+const DEFAULT_MAX_ENTRIES = 1000;
+// Secrets must never reach the cache, whatever object is passed in
+const SECRET_FIELDS = ['githubAccessToken'];
+
+const EMPTY_STATS = {
+    totalUsers: 0,
+    totalConnections: 0,
+    lastUpdated: ''
+};
+
+function toPlain(value) {
+    return JSON.parse(JSON.stringify(value, (key, field) => SECRET_FIELDS.includes(key) ? undefined : field));
+}
+
+function expiryFor(ttl) {
+    return ttl ? Date.now() + ttl : null;
+}
+
+// In-memory LRU: Map keeps insertion order, so re-inserting on read moves
+// an entry to the back and the front is always the least recently used
+function createMemoryCache({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    const entries = new Map();
+    let stats = { ...EMPTY_STATS };
+
+    function read(key) {
+        const entry = entries.get(key);
+        if (!entry) return undefined;
+
+        entries.delete(key);
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) return undefined;
+
+        entries.set(key, entry);
+        return entry;
+    }
+
+    function write(key, value, ttl) {
+        entries.delete(key);
+        entries.set(key, { value: toPlain(value), expiresAt: expiryFor(ttl) });
+
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    return {
+        entries,
+        read,
+        write,
+
+        async get(key) {
+            return read(key)?.value;
+        },
+
+        async set(key, value, ttl) {
+            write(key, value, ttl);
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        },
+
+        async deletePrefix(prefix) {
+            for (const key of [...entries.keys()]) {
+                if (key.startsWith(prefix)) entries.delete(key);
+            }
+        },
+
+        async getStats() {
+            return stats;
+        },
+
+        async updateStats(changes) {
+            stats = { ...stats, ...changes, lastUpdated: new Date().toISOString() };
+        }
+    };
+}
+
+// Memory cache mirrored to a JSON file. Reads never touch the disk; writes
+// are batched and land atomically through a temporary file and a rename.
+function createFileCache({ file, maxEntries = DEFAULT_MAX_ENTRIES, flushDelay = 1000 } = {}) {
+    const memory = createMemoryCache({ maxEntries });
+    let stats = { ...EMPTY_STATS };
+    let flushTimer = null;
+    let flushing = Promise.resolve();
+
+    try {
+        if (fs.existsSync(file)) {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            stats = { ...stats, ...data.stats };
+
+            // Files written before expiries existed hold untimed entries
+            // and possibly tokens, so only the stats block is carried over
+            Object.entries(data.entries || {}).forEach(([key, entry]) => {
+                if (!entry.expiresAt || entry.expiresAt > Date.now()) {
+                    memory.entries.set(key, { value: toPlain(entry.value), expiresAt: entry.expiresAt });
+                }
+            });
+
+            if (!data.entries || JSON.stringify(data).includes('"githubAccessToken"')) {
+                scheduleFlush();
+            }
+        }
+    } catch (error) {
+        console.error('Error reading cache:', error);
+    }
+
+    function serialize() {
+        const entries = {};
+        memory.entries.forEach((entry, key) => {
+            if (!entry.expiresAt || entry.expiresAt > Date.now()) {
+                entries[key] = entry;
+            }
+        });
+
+        return JSON.stringify({ lastUpdated: new Date().toISOString(), stats, entries }, null, 2);
+    }
+
+    async function flush() {
+        flushTimer = null;
+        const temporary = `${file}.${process.pid}.tmp`;
+
+        try {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(temporary, serialize(), 'utf8');
+            await fs.promises.rename(temporary, file);
+        } catch (error) {
+            console.error('Error writing cache:', error);
+        }
+    }
+
+    function scheduleFlush() {
+        if (flushTimer) return;
+
+        flushTimer = setTimeout(() => {
+            // Chained so two flushes never write the temporary file at once
+            flushing = flushing.then(flush);
+        }, flushDelay);
+        flushTimer.unref();
+    }
+
+    return {
+        async get(key) {
+            return memory.get(key);
+        },
+
+        async set(key, value, ttl) {
+            memory.write(key, value, ttl);
+            scheduleFlush();
+        },
+
+        async delete(key) {
+            await memory.delete(key);
+            scheduleFlush();
+        },
+
+        async deletePrefix(prefix) {
+            await memory.deletePrefix(prefix);
+            scheduleFlush();
+        },
+
+        async getStats() {
+            return stats;
+        },
+
+        async updateStats(changes) {
+            stats = { ...stats, ...changes, lastUpdated: new Date().toISOString() };
+            scheduleFlush();
+        }
+    };
+}
+
+const cacheEntrySchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    value: mongoose.Schema.Types.Mixed,
+    // MongoDB's TTL monitor removes entries shortly after they expire
+    expiresAt: { type: Date, index: { expires: 0 } }
+});
+
+const STATS_KEY = '__stats';
+
+// Shared across instances; the TTL monitor only runs about once a minute,
+// so reads still check the expiry themselves
+function createMongoCache() {
+    const CacheEntry = mongoose.models.CacheEntry || mongoose.model('CacheEntry', cacheEntrySchema);
+
+    return {
+        async get(key) {
+            const entry = await CacheEntry.findOne({ key }).lean();
+            if (!entry || (entry.expiresAt && entry.expiresAt <= new Date())) return undefined;
+            return entry.value;
+        },
+
+        async set(key, value, ttl) {
+            const expiresAt = expiryFor(ttl);
+            await CacheEntry.updateOne(
+                { key },
+                { value: toPlain(value), expiresAt: expiresAt && new Date(expiresAt) },
+                { upsert: true }
+            );
+        },
+
+        async delete(key) {
+            await CacheEntry.deleteOne({ key });
+        },
+
+        async deletePrefix(prefix) {
+            const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            await CacheEntry.deleteMany({ key: new RegExp(`^${escaped}`) });
+        },
+
+        async getStats() {
+            const entry = await CacheEntry.findOne({ key: STATS_KEY }).lean();
+            return { ...EMPTY_STATS, ...entry?.value };
+        },
+
+        async updateStats(changes) {
+            const stats = { ...(await this.getStats()), ...changes, lastUpdated: new Date().toISOString() };
+            await CacheEntry.updateOne({ key: STATS_KEY }, { value: stats }, { upsert: true });
+        }
+    };
+}
+
+// Picks a backend from CACHE_BACKEND: memory, file (default) or mongo
+function createCache({ backend = 'file', file, maxEntries } = {}) {
+    switch (backend) {
+        case 'memory':
+            return createMemoryCache({ maxEntries });
+        case 'mongo':
+            return createMongoCache();
+        case 'file':
+            return createFileCache({ file, maxEntries });
+        default:
+            throw new Error(`Unknown cache backend "${backend}"`);
+    }
+}
+
+module.exports = { createCache };
@@ -0,0 +1,285 @@
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+// Line-based text diffs for in-chat file editing: unified diff previews,
+// applying a unified diff sent by the user, and sed-style substitutions
+const DEFAULT_CONTEXT = 3;
+// Beyond this many compared line pairs the changed region is shown as a
+// single replacement instead of a minimal diff
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+const MAX_SED_PATTERN = 500;
+// User patterns can backtrack for ages, e.g. s/(a+)+$/x/, so they run in a
+// worker thread that is stopped after this long
+const SED_TIMEOUT = 2000;
+
+function splitLines(text) {
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+// Longest common subsequence of two line arrays as a list of
+// { type: ' ' | '-' | '+', line } operations
+function diffLines(before, after) {
+    let prefix = 0;
+    while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) {
+        prefix++;
+    }
+
+    let suffix = 0;
+    while (suffix < before.length - prefix && suffix < after.length - prefix &&
+        before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const a = before.slice(prefix, before.length - suffix);
+    const b = after.slice(prefix, after.length - suffix);
+    const middle = [];
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        a.forEach(line => middle.push({ type: '-', line }));
+        b.forEach(line => middle.push({ type: '+', line }));
+    } else {
+        // lengths[i][j] is the LCS length of a[i..] and b[j..]
+        const width = b.length + 1;
+        const lengths = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[i] === b[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                middle.push({ type: ' ', line: a[i++] });
+                j++;
+            } else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+                middle.push({ type: '-', line: a[i++] });
+            } else {
+                middle.push({ type: '+', line: b[j++] });
+            }
+        }
+    }
+
+    return [
+        ...before.slice(0, prefix).map(line => ({ type: ' ', line })),
+        ...middle,
+        ...before.slice(before.length - suffix).map(line => ({ type: ' ', line }))
+    ];
+}
+
+// Unified diff between two versions of a file, or '' when they are equal
+function createUnifiedDiff(before, after, { path = 'file', context = DEFAULT_CONTEXT } = {}) {
+    const operations = diffLines(splitLines(before), splitLines(after));
+    const changed = operations
+        .map((operation, index) => operation.type === ' ' ? -1 : index)
+        .filter(index => index >= 0);
+
+    if (changed.length === 0) return '';
+
+    // Changes closer than twice the context share a hunk
+    const ranges = [];
+    changed.forEach(index => {
+        const last = ranges[ranges.length - 1];
+        if (last && index - last.end <= context * 2 + 1) {
+            last.end = index;
+        } else {
+            ranges.push({ start: index, end: index });
+        }
+    });
+
+    const lines = [`--- a/${path}`, `+++ b/${path}`];
+    ranges.forEach(range => {
+        const start = Math.max(0, range.start - context);
+        const end = Math.min(operations.length - 1, range.end + context);
+
+        // Line numbers where the hunk starts in each version
+        let oldLine = 1;
+        let newLine = 1;
+        operations.slice(0, start).forEach(operation => {
+            if (operation.type !== '+') oldLine++;
+            if (operation.type !== '-') newLine++;
+        });
+
+        const hunk = operations.slice(start, end + 1);
+        const oldCount = hunk.filter(operation => operation.type !== '+').length;
+        const newCount = hunk.filter(operation => operation.type !== '-').length;
+
+        lines.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+        hunk.forEach(operation => lines.push(`${operation.type}${operation.line}`));
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+function parseHunks(patch) {
+    const hunks = [];
+    let hunk = null;
+
+    patch.replace(/\r\n/g, '\n').replace(/\n+$/, '').split('\n').forEach(line => {
+        const header = /^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/.exec(line);
+
+        if (header) {
+            hunk = { start: Number(header[1]), before: [], after: [] };
+            hunks.push(hunk);
+        } else if (!hunk || line.startsWith('\\')) {
+            // File headers before the first hunk and "\ No newline" markers
+        } else if (line.startsWith('-')) {
+            hunk.before.push(line.slice(1));
+        } else if (line.startsWith('+')) {
+            hunk.after.push(line.slice(1));
+        } else {
+            // Telegram trims trailing spaces, so an empty line is blank context
+            const text = line.startsWith(' ') ? line.slice(1) : line;
+            hunk.before.push(text);
+            hunk.after.push(text);
+        }
+    });
+
+    return hunks;
+}
+
+function matchesAt(lines, expected, position) {
+    return expected.every((line, offset) => lines[position + offset] === line);
+}
+
+// Applies a unified diff. Each hunk is looked for at its stated line first
+// and then at the nearest position where its lines match.
+function applyUnifiedDiff(text, patch) {
+    const hunks = parseHunks(patch);
+    if (hunks.length === 0) {
+        throw new Error('The diff has no @@ hunks');
+    }
+
+    const trailingNewline = text.endsWith('\n');
+    const lines = splitLines(text);
+    let shift = 0;
+
+    hunks.forEach((hunk, index) => {
+        // A hunk that only adds lines states the line it inserts after
+        const base = hunk.before.length > 0 ? hunk.start - 1 : hunk.start;
+        const expected = Math.min(Math.max(0, base + shift), lines.length);
+        const fits = position => position >= 0 &&
+            position + hunk.before.length <= lines.length &&
+            matchesAt(lines, hunk.before, position);
+        let position = -1;
+
+        for (let distance = 0; distance <= lines.length && position < 0; distance++) {
+            if (fits(expected - distance)) {
+                position = expected - distance;
+            } else if (fits(expected + distance)) {
+                position = expected + distance;
+            }
+        }
+
+        if (position < 0) {
+            throw new Error(`Hunk ${index + 1} of the diff doesn't match the file`);
+        }
+
+        lines.splice(position, hunk.before.length, ...hunk.after);
+        shift = position - base + hunk.after.length - hunk.before.length;
+    });
+
+    return lines.join('\n') + (trailingNewline || text === '' ? '\n' : '');
+}
+
+// Splits "s/old/new/g" into its parts; any character can be the delimiter
+// and a backslash escapes it
+function parseSedCommand(command) {
+    const delimiter = command[1];
+    if (command[0] !== 's' || !delimiter || /[\w\s\\]/.test(delimiter)) return null;
+
+    const parts = [''];
+    for (let index = 2; index < command.length; index++) {
+        const character = command[index];
+
+        if (character === '\\' && command[index + 1] === delimiter) {
+            parts[parts.length - 1] += delimiter;
+            index++;
+        } else if (character === delimiter && parts.length < 3) {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += character;
+        }
+    }
+
+    if (parts.length !== 3 || !/^[gimI]*$/.test(parts[2])) return null;
+
+    const [pattern, replacement, flags] = parts;
+    return { pattern, replacement, flags };
+}
+
+function isSedCommand(text) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    return lines.length > 0 && lines.every(line => parseSedCommand(line) !== null);
+}
+
+// Applies one or more sed-style substitutions, one per line. Like sed, "&"
+// stands for the match and \1 to \9 for capture groups.
+function runSedCommands(text, commands) {
+    return commands.split('\n').map(line => line.trim()).filter(Boolean).reduce((result, line) => {
+        const command = parseSedCommand(line);
+        if (!command) {
+            throw new Error(`"${line}" isn't a substitution like s/old/new/`);
+        }
+        if (command.pattern.length > MAX_SED_PATTERN) {
+            throw new Error(`Patterns are limited to ${MAX_SED_PATTERN} characters`);
+        }
+
+        let regex;
+        try {
+            const flags = command.flags.replace('I', 'i');
+            regex = new RegExp(command.pattern, [...new Set(flags.includes('m') ? flags : `${flags}m`)].join(''));
+        } catch (error) {
+            throw new Error(`Invalid pattern in "${line}": ${error.message}`);
+        }
+
+        if (!regex.test(result)) {
+            throw new Error(`"${command.pattern}" doesn't match anything`);
+        }
+        regex.lastIndex = 0;
+
+        const replacement = command.replacement
+            .replace(/\$/g, '$$$$')
+            .replace(/\\(\d)|\\&|&/g, (token, group) => group ? `$${group}` : token === '&' ? '$&' : '&');
+
+        return result.replace(regex, replacement);
+    }, text);
+}
+
+// runSedCommands in a worker thread, resolving to the new text
+function applySedCommands(text, commands) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { sed: { text, commands } } });
+        const finish = (error, result) => {
+            clearTimeout(timer);
+            worker.terminate();
+            if (error) reject(error);
+            else resolve(result);
+        };
+        const timer = setTimeout(() => {
+            finish(new Error(`The substitution took longer than ${SED_TIMEOUT / 1000}s, try a simpler pattern`));
+        }, SED_TIMEOUT);
+
+        worker.once('message', ({ result, error }) => finish(error && new Error(error), result));
+        worker.once('error', error => finish(error));
+    });
+}
+
+if (!isMainThread && workerData?.sed) {
+    try {
+        parentPort.postMessage({ result: runSedCommands(workerData.sed.text, workerData.sed.commands) });
+    } catch (error) {
+        parentPort.postMessage({ error: error.message });
+    }
+}
+
+module.exports = {
+    createUnifiedDiff,
+    applyUnifiedDiff,
+    isSedCommand,
+    applySedCommands
+};
@@ -0,0 +1,301 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// GitHub API client shared by every bot handler and web route
+const GITHUB_API_URL = 'https://api.github.com';
+const MAX_RETRIES = 3;
+// Longer waits are surfaced to the user instead of holding the handler open
+const MAX_RETRY_DELAY = 60 * 1000;
+const ETAG_CACHE_SIZE = 500;
+// Only reads are retried after a network or server error: a PUT or DELETE
+// may already have gone through (a file commit, a merge). Rate-limited
+// requests were refused by GitHub and are retried whatever the method.
+const RETRYABLE_METHODS = ['get', 'head'];
+
+// Latest quota seen per token, keyed by a token fingerprint
+const rateLimits = new Map();
+// Conditional request cache: 304 responses don't count against the quota
+const etagCache = new Map();
+// Functions told how each request ended, after any retries
+const requestListeners = [];
+
+class GitHubError extends Error {
+    constructor(message, { code, status, response, resetAt, retryAfter } = {}) {
+        super(message);
+        this.name = 'GitHubError';
+        this.code = code;
+        this.status = status;
+        this.response = response;
+        this.resetAt = resetAt;
+        this.retryAfter = retryAfter;
+    }
+}
+
+function tokenFingerprint(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 16);
+}
+
+function wait(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+function formatWait(milliseconds) {
+    const minutes = Math.ceil(milliseconds / 60000);
+    if (minutes <= 1) return 'less than a minute';
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function recordRateLimit(fingerprint, headers) {
+    if (!headers || headers['x-ratelimit-remaining'] === undefined) return;
+
+    rateLimits.set(fingerprint, {
+        resource: headers['x-ratelimit-resource'] || 'core',
+        limit: Number(headers['x-ratelimit-limit']),
+        remaining: Number(headers['x-ratelimit-remaining']),
+        resetAt: new Date(Number(headers['x-ratelimit-reset']) * 1000),
+        updatedAt: new Date()
+    });
+}
+
+function cacheKey(fingerprint, config) {
+    const url = axios.getUri(config);
+    return `${fingerprint}:${config.headers?.Accept || ''}:${url}`;
+}
+
+function rememberEtag(key, response) {
+    etagCache.delete(key);
+    etagCache.set(key, { etag: response.headers.etag, data: response.data });
+
+    if (etagCache.size > ETAG_CACHE_SIZE) {
+        etagCache.delete(etagCache.keys().next().value);
+    }
+}
+
+// Turns an axios failure into a GitHubError describing what went wrong
+function toGitHubError(error) {
+    if (error instanceof GitHubError) return error;
+
+    const response = error.response;
+    if (!response) {
+        return new GitHubError(`Could not reach GitHub (${error.code || error.message})`, { code: 'network' });
+    }
+
+    const { status, headers, data } = response;
+    const message = data?.message || error.message;
+    const details = { status, response };
+
+    if (status === 403 || status === 429) {
+        if (headers['retry-after']) {
+            return new GitHubError(message, {
+                ...details,
+                code: 'secondary_rate_limit',
+                retryAfter: Number(headers['retry-after']) * 1000
+            });
+        }
+        if (headers['x-ratelimit-remaining'] === '0') {
+            return new GitHubError(message, {
+                ...details,
+                code: 'rate_limited',
+                resetAt: new Date(Number(headers['x-ratelimit-reset']) * 1000)
+            });
+        }
+        if (/secondary rate limit/i.test(message)) {
+            return new GitHubError(message, { ...details, code: 'secondary_rate_limit' });
+        }
+    }
+
+    const codes = { 401: 'unauthorized', 403: 'forbidden', 404: 'not_found', 409: 'conflict', 422: 'validation' };
+    const code = codes[status] || (status >= 500 ? 'server_error' : 'request_failed');
+    const validation = (data?.errors || [])
+        .map(item => item.message || `${item.field} ${item.code}`)
+        .filter(Boolean);
+
+    return new GitHubError(validation.length > 0 ? `${message}: ${validation.join(', ')}` : message, { ...details, code });
+}
+
+// Reports a finished request as { ok, code, status } to every listener
+function notifyRequest(outcome) {
+    requestListeners.forEach(listener => {
+        try {
+            listener(outcome);
+        } catch (error) {
+            console.error('Error in GitHub request listener:', error);
+        }
+    });
+}
+
+// How long to wait before retrying, or null when the request shouldn't be retried
+function retryDelay(error, config) {
+    const attempt = config.retryCount || 0;
+    if (attempt >= MAX_RETRIES) return null;
+
+    const backoff = 1000 * 2 ** attempt + Math.floor(Math.random() * 500);
+
+    switch (error.code) {
+        case 'rate_limited':
+            return Math.max(error.resetAt.getTime() - Date.now(), 0) + 1000;
+        case 'secondary_rate_limit':
+            return error.retryAfter || 60 * 1000;
+        case 'network':
+        case 'server_error':
+            return RETRYABLE_METHODS.includes(config.method) ? backoff : null;
+        default:
+            return null;
+    }
+}
+
+// Creates an axios instance authenticated as one user, with retries,
+// quota tracking and ETag caching for plain GET requests. Without a token
+// requests are anonymous and only see public data. Callers that must answer
+// quickly can turn retries off and set a timeout.
+function githubClient(token, { retry = true, timeout = 0 } = {}) {
+    const fingerprint = tokenFingerprint(token);
+    const github = axios.create({
+        baseURL: GITHUB_API_URL,
+        timeout,
+        headers: {
+            ...(token ? { 'Authorization': `token ${token}` } : {}),
+            'Accept': 'application/vnd.github.v3+json'
+        }
+    });
+
+    github.interceptors.request.use(config => {
+        const cacheable = config.method === 'get' &&
+            (!config.responseType || config.responseType === 'json') &&
+            !config.headers['If-None-Match'];
+
+        if (cacheable) {
+            config.etagKey = cacheKey(fingerprint, config);
+            const cached = etagCache.get(config.etagKey);
+            if (cached) {
+                config.headers['If-None-Match'] = cached.etag;
+                const validateStatus = config.validateStatus;
+                config.validateStatus = status => status === 304 || (validateStatus ? validateStatus(status) : true);
+            }
+        }
+
+        return config;
+    });
+
+    github.interceptors.response.use(response => {
+        const { config } = response;
+        recordRateLimit(fingerprint, response.headers);
+
+        if (config.etagKey) {
+            const cached = etagCache.get(config.etagKey);
+            if (response.status === 304 && cached) {
+                notifyRequest({ ok: true, status: 304 });
+                return { ...response, status: 200, data: structuredClone(cached.data), fromCache: true };
+            }
+            if (response.status === 200 && response.headers.etag) {
+                rememberEtag(config.etagKey, response);
+            }
+        }
+
+        notifyRequest({ ok: true, status: response.status });
+        return response;
+    }, async error => {
+        if (!error.config) throw error;
+
+        recordRateLimit(fingerprint, error.response?.headers);
+        const githubError = toGitHubError(error);
+        const delay = retry ? retryDelay(githubError, error.config) : null;
+
+        if (delay === null || delay > MAX_RETRY_DELAY) {
+            notifyRequest({ ok: false, code: githubError.code, status: githubError.status });
+            throw githubError;
+        }
+
+        await wait(delay);
+        return github.request({ ...error.config, retryCount: (error.config.retryCount || 0) + 1 });
+    });
+
+    github.paginate = (url, params) => fetchAllPages(github, url, params);
+
+    return github;
+}
+
+// Follows GitHub's Link header and collects every page of a list endpoint
+async function fetchAllPages(github, url, params = {}) {
+    const items = [];
+    let nextUrl = url;
+    let nextParams = { per_page: 100, ...params };
+
+    while (nextUrl) {
+        const response = await github.get(nextUrl, { params: nextParams });
+        items.push(...response.data);
+
+        const next = /<([^>]+)>;\s*rel="next"/.exec(response.headers.link || '');
+        nextUrl = next ? next[1] : null;
+        // The next link already carries the query string
+        nextParams = undefined;
+    }
+
+    return items;
+}
+
+// User-facing description of any error thrown by a GitHub request
+function githubErrorMessage(error) {
+    const githubError = error instanceof GitHubError || error.isAxiosError ? toGitHubError(error) : error;
+
+    switch (githubError.code) {
+        case 'rate_limited':
+            return `GitHub rate limit exceeded, resets in ${formatWait(githubError.resetAt.getTime() - Date.now())}`;
+        case 'secondary_rate_limit':
+            return `GitHub is throttling requests, try again in ${formatWait(githubError.retryAfter || 60 * 1000)}`;
+        case 'unauthorized':
+            return 'GitHub rejected the token, reconnect with /connect';
+        case 'server_error':
+            return `GitHub is having trouble right now (${githubError.status}), try again later`;
+        default:
+            return githubError.message;
+    }
+}
+
+// OAuth app endpoints authenticate as the app itself, not as the user
+async function deleteOAuthAppResource(resource, token) {
+    try {
+        await axios.delete(`${GITHUB_API_URL}/applications/${process.env.GITHUB_CLIENT_ID}/${resource}`, {
+            auth: { username: process.env.GITHUB_CLIENT_ID, password: process.env.GITHUB_CLIENT_SECRET },
+            headers: { 'Accept': 'application/vnd.github.v3+json' },
+            data: { access_token: token }
+        });
+    } catch (error) {
+        const githubError = toGitHubError(error);
+        // 404 means the token was already revoked or has expired
+        if (githubError.code !== 'not_found') throw githubError;
+    }
+}
+
+// Revokes a single token issued by the OAuth app
+function revokeOAuthToken(token) {
+    return deleteOAuthAppResource('token', token);
+}
+
+// Revokes the user's whole authorization of the OAuth app, including
+// every token it issued to them
+function revokeOAuthGrant(token) {
+    return deleteOAuthAppResource('grant', token);
+}
+
+function onRequest(listener) {
+    requestListeners.push(listener);
+}
+
+function getRateLimit(token) {
+    return rateLimits.get(tokenFingerprint(token)) || null;
+}
+
+module.exports = {
+    GITHUB_API_URL,
+    GitHubError,
+    githubClient,
+    fetchAllPages,
+    githubErrorMessage,
+    revokeOAuthToken,
+    revokeOAuthGrant,
+    getRateLimit,
+    onRequest,
+    formatWait
+};
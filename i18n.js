@@ -0,0 +1,476 @@
+// Translations for the bot's most used messages: the main menu, connect
+// prompts, /settings and /help. Keys missing from a language, and messages
+// that aren't listed here, fall back to English.
+const LANGUAGES = {
+    en: 'English',
+    de: 'Deutsch',
+    fr: 'Français',
+    es: 'Español',
+    ru: 'Русский'
+};
+
+const MESSAGES = {
+    en: {
+        'menu.title': '🎯 *GitHub Management Bot*',
+        'menu.prompt': 'Select what you want to do:',
+        'menu.repos': '📚 My Repos',
+        'menu.create': '➕ Create Repo',
+        'menu.files': '📁 Files',
+        'menu.settings': '⚙️ Settings',
+        'menu.about': 'ℹ️ About',
+        'menu.help': '🆘 Help',
+
+        'connect.title': '🔗 *Connect Your GitHub Account*',
+        'connect.body': 'To use all features, connect your GitHub account:\n\nUse command: /connect\n\nOr tap the button below to connect now.',
+        'connect.button': '🔗 Connect GitHub',
+        'error.start': '❌ Please start the bot first with /start',
+        'error.connect': '❌ Please connect GitHub first with /connect',
+
+        'settings.title': '⚙️ *Settings*',
+        'settings.owner': '👤 Default owner',
+        'settings.branch': '🌿 Default branch',
+        'settings.pageSize': '📄 Page size',
+        'settings.quiet': '🌙 Quiet hours',
+        'settings.timezone': '🌍 Timezone',
+        'settings.language': '🌐 Language',
+        'settings.private': '🔒 Private repos in groups',
+        'settings.announcements': '📣 Announcements',
+        'settings.notSet': '_not set_',
+        'settings.off': 'off',
+        'settings.on': 'on',
+        'settings.shown': 'shown',
+        'settings.hidden': 'hidden',
+        'settings.ownerButton': '👤 Default Owner',
+        'settings.branchButton': '🌿 Default Branch',
+        'settings.pageSizeButton': '📄 Page Size: {size}',
+        'settings.languageButton': '🌐 Language: {language}',
+        'settings.quietButton': '🌙 Quiet Hours',
+        'settings.timezoneButton': '🌍 Timezone',
+        'settings.privateButton': 'Private Repos in Groups',
+        'settings.announcementsButton': 'Announcements',
+        'settings.prompt.owner': '👤 Send the user or organization to use for bare repository names, e.g. `octocat`.\n\nSend `-` to clear it.',
+        'settings.prompt.branch': '🌿 Send the branch to open by default when a repository has it, e.g. `develop`.\n\nSend `-` to clear it.',
+        'settings.prompt.quiet': '🌙 Send your quiet hours as `HH:MM-HH:MM`, e.g. `22:00-07:00`. Notifications arrive silently in between.\n\nSend `off` to turn them off.',
+        'settings.prompt.timezone': '🌍 Send your timezone as an IANA name, e.g. `Europe/Berlin`.',
+
+        'help.title': '🆘 *Available Commands:*',
+        'help.inline': '*Inline Search:*\nType @{bot} in any chat followed by `repo:`, `issue:owner/repo` or `code:` and your search.',
+        'help.contact': '*Need Help?*\nContact: @tukuexe',
+        'help.status': '*GitHub API Status:*',
+        'help.start': 'Start the bot',
+        'help.connect': 'Connect GitHub account',
+        'help.repos': 'List or search your repositories',
+        'help.createrepo': 'Create a repository step by step',
+        'help.newrepo': 'Quick create',
+        'help.editrepo': 'Edit repository settings',
+        'help.deleterepo': 'Delete a repository',
+        'help.issues': 'List issues',
+        'help.newissue': 'Open a new issue',
+        'help.prs': 'Review pull requests',
+        'help.watch': 'Get repo events here',
+        'help.unwatch': 'Stop repo events',
+        'help.watches': 'List watched repos',
+        'help.schedule': 'Schedule digests and alerts',
+        'help.schedules': 'List scheduled jobs',
+        'help.unschedule': 'Remove a scheduled job',
+        'help.timezone': 'Set your timezone',
+        'help.settings': 'Your preferences',
+        'help.actions': 'Workflow runs',
+        'help.dispatch': 'Run a workflow',
+        'help.branches': 'Branches and cleanup',
+        'help.compare': 'Compare refs',
+        'help.tags': 'List tags',
+        'help.release': 'Draft and publish a release',
+        'help.gist': 'Create a gist from a message or document',
+        'help.gists': 'Your gists',
+        'help.ratelimit': 'GitHub API quota',
+        'help.accounts': 'Linked GitHub accounts',
+        'help.disconnect': 'Disconnect GitHub',
+        'help.exportdata': 'Download your data',
+        'help.deleteaccount': 'Erase your data',
+        'help.bind': 'Bind a group to a repository',
+        'help.groupsettings': 'Group permissions',
+        'help.files': 'File management',
+        'help.listfiles': 'List files',
+        'help.edit': 'Edit a text file',
+        'help.deletefile': 'Delete file',
+        'help.about': 'About this bot',
+        'help.help': 'Show this help',
+        'help.stats': 'Bot statistics',
+        'help.broadcast': 'Message every user',
+        'help.user': 'Inspect or ban a user'
+    },
+
+    de: {
+        'menu.title': '🎯 *GitHub Management Bot*',
+        'menu.prompt': 'Was möchtest du tun?',
+        'menu.repos': '📚 Meine Repos',
+        'menu.create': '➕ Repo erstellen',
+        'menu.files': '📁 Dateien',
+        'menu.settings': '⚙️ Einstellungen',
+        'menu.about': 'ℹ️ Info',
+        'menu.help': '🆘 Hilfe',
+
+        'connect.title': '🔗 *GitHub-Konto verbinden*',
+        'connect.body': 'Verbinde dein GitHub-Konto, um alle Funktionen zu nutzen:\n\nBefehl: /connect\n\nOder tippe unten auf den Button, um dich jetzt zu verbinden.',
+        'connect.button': '🔗 GitHub verbinden',
+        'error.start': '❌ Bitte starte den Bot zuerst mit /start',
+        'error.connect': '❌ Bitte verbinde zuerst GitHub mit /connect',
+
+        'settings.title': '⚙️ *Einstellungen*',
+        'settings.owner': '👤 Standard-Owner',
+        'settings.branch': '🌿 Standard-Branch',
+        'settings.pageSize': '📄 Seitengröße',
+        'settings.quiet': '🌙 Ruhezeiten',
+        'settings.timezone': '🌍 Zeitzone',
+        'settings.language': '🌐 Sprache',
+        'settings.private': '🔒 Private Repos in Gruppen',
+        'settings.announcements': '📣 Ankündigungen',
+        'settings.notSet': '_nicht gesetzt_',
+        'settings.off': 'aus',
+        'settings.on': 'an',
+        'settings.shown': 'sichtbar',
+        'settings.hidden': 'verborgen',
+        'settings.ownerButton': '👤 Standard-Owner',
+        'settings.branchButton': '🌿 Standard-Branch',
+        'settings.pageSizeButton': '📄 Seitengröße: {size}',
+        'settings.languageButton': '🌐 Sprache: {language}',
+        'settings.quietButton': '🌙 Ruhezeiten',
+        'settings.timezoneButton': '🌍 Zeitzone',
+        'settings.privateButton': 'Private Repos in Gruppen',
+        'settings.announcementsButton': 'Ankündigungen',
+        'settings.prompt.owner': '👤 Sende den Benutzer oder die Organisation für Repository-Namen ohne Owner, z. B. `octocat`.\n\nSende `-`, um ihn zu entfernen.',
+        'settings.prompt.branch': '🌿 Sende den Branch, der standardmäßig geöffnet wird, wenn ein Repository ihn hat, z. B. `develop`.\n\nSende `-`, um ihn zu entfernen.',
+        'settings.prompt.quiet': '🌙 Sende deine Ruhezeiten als `HH:MM-HH:MM`, z. B. `22:00-07:00`. Benachrichtigungen kommen dann lautlos.\n\nSende `off`, um sie auszuschalten.',
+        'settings.prompt.timezone': '🌍 Sende deine Zeitzone als IANA-Namen, z. B. `Europe/Berlin`.',
+
+        'help.title': '🆘 *Verfügbare Befehle:*',
+        'help.inline': '*Inline-Suche:*\nTippe in einem beliebigen Chat @{bot} gefolgt von `repo:`, `issue:owner/repo` oder `code:` und deiner Suche.',
+        'help.contact': '*Hilfe nötig?*\nKontakt: @tukuexe',
+        'help.status': '*GitHub-API-Status:*',
+        'help.start': 'Bot starten',
+        'help.connect': 'GitHub-Konto verbinden',
+        'help.repos': 'Repositories auflisten oder durchsuchen',
+        'help.createrepo': 'Repository Schritt für Schritt erstellen',
+        'help.newrepo': 'Schnell erstellen',
+        'help.editrepo': 'Repository-Einstellungen bearbeiten',
+        'help.deleterepo': 'Repository löschen',
+        'help.issues': 'Issues auflisten',
+        'help.newissue': 'Neues Issue eröffnen',
+        'help.prs': 'Pull Requests prüfen',
+        'help.watch': 'Repo-Ereignisse hier erhalten',
+        'help.unwatch': 'Repo-Ereignisse beenden',
+        'help.watches': 'Beobachtete Repos auflisten',
+        'help.schedule': 'Berichte und Warnungen planen',
+        'help.schedules': 'Geplante Aufgaben auflisten',
+        'help.unschedule': 'Geplante Aufgabe entfernen',
+        'help.timezone': 'Zeitzone festlegen',
+        'help.settings': 'Deine Einstellungen',
+        'help.actions': 'Workflow-Läufe',
+        'help.dispatch': 'Workflow starten',
+        'help.branches': 'Branches und Aufräumen',
+        'help.compare': 'Refs vergleichen',
+        'help.tags': 'Tags auflisten',
+        'help.release': 'Release entwerfen und veröffentlichen',
+        'help.gist': 'Gist aus einer Nachricht oder Datei erstellen',
+        'help.gists': 'Deine Gists',
+        'help.ratelimit': 'GitHub-API-Kontingent',
+        'help.accounts': 'Verknüpfte GitHub-Konten',
+        'help.disconnect': 'GitHub trennen',
+        'help.exportdata': 'Deine Daten herunterladen',
+        'help.deleteaccount': 'Deine Daten löschen',
+        'help.bind': 'Gruppe an ein Repository binden',
+        'help.groupsettings': 'Gruppenberechtigungen',
+        'help.files': 'Dateiverwaltung',
+        'help.listfiles': 'Dateien auflisten',
+        'help.edit': 'Textdatei bearbeiten',
+        'help.deletefile': 'Datei löschen',
+        'help.about': 'Über diesen Bot',
+        'help.help': 'Diese Hilfe anzeigen',
+        'help.stats': 'Bot-Statistiken',
+        'help.broadcast': 'Nachricht an alle Nutzer',
+        'help.user': 'Nutzer ansehen oder sperren'
+    },
+
+    fr: {
+        'menu.title': '🎯 *GitHub Management Bot*',
+        'menu.prompt': 'Que voulez-vous faire ?',
+        'menu.repos': '📚 Mes dépôts',
+        'menu.create': '➕ Créer un dépôt',
+        'menu.files': '📁 Fichiers',
+        'menu.settings': '⚙️ Paramètres',
+        'menu.about': 'ℹ️ À propos',
+        'menu.help': '🆘 Aide',
+
+        'connect.title': '🔗 *Connectez votre compte GitHub*',
+        'connect.body': 'Pour utiliser toutes les fonctions, connectez votre compte GitHub :\n\nCommande : /connect\n\nOu appuyez sur le bouton ci-dessous pour vous connecter maintenant.',
+        'connect.button': '🔗 Connecter GitHub',
+        'error.start': '❌ Veuillez d\'abord démarrer le bot avec /start',
+        'error.connect': '❌ Veuillez d\'abord connecter GitHub avec /connect',
+
+        'settings.title': '⚙️ *Paramètres*',
+        'settings.owner': '👤 Propriétaire par défaut',
+        'settings.branch': '🌿 Branche par défaut',
+        'settings.pageSize': '📄 Taille de page',
+        'settings.quiet': '🌙 Heures calmes',
+        'settings.timezone': '🌍 Fuseau horaire',
+        'settings.language': '🌐 Langue',
+        'settings.private': '🔒 Dépôts privés dans les groupes',
+        'settings.announcements': '📣 Annonces',
+        'settings.notSet': '_non défini_',
+        'settings.off': 'désactivées',
+        'settings.on': 'activées',
+        'settings.shown': 'affichés',
+        'settings.hidden': 'masqués',
+        'settings.ownerButton': '👤 Propriétaire',
+        'settings.branchButton': '🌿 Branche',
+        'settings.pageSizeButton': '📄 Taille de page : {size}',
+        'settings.languageButton': '🌐 Langue : {language}',
+        'settings.quietButton': '🌙 Heures calmes',
+        'settings.timezoneButton': '🌍 Fuseau horaire',
+        'settings.privateButton': 'Dépôts privés dans les groupes',
+        'settings.announcementsButton': 'Annonces',
+        'settings.prompt.owner': '👤 Envoyez l\'utilisateur ou l\'organisation à utiliser pour les noms de dépôt seuls, p. ex. `octocat`.\n\nEnvoyez `-` pour l\'effacer.',
+        'settings.prompt.branch': '🌿 Envoyez la branche à ouvrir par défaut quand un dépôt l\'a, p. ex. `develop`.\n\nEnvoyez `-` pour l\'effacer.',
+        'settings.prompt.quiet': '🌙 Envoyez vos heures calmes au format `HH:MM-HH:MM`, p. ex. `22:00-07:00`. Les notifications arrivent alors en silence.\n\nEnvoyez `off` pour les désactiver.',
+        'settings.prompt.timezone': '🌍 Envoyez votre fuseau horaire sous forme de nom IANA, p. ex. `Europe/Paris`.',
+
+        'help.title': '🆘 *Commandes disponibles :*',
+        'help.inline': '*Recherche inline :*\nTapez @{bot} dans n\'importe quelle conversation suivi de `repo:`, `issue:owner/repo` ou `code:` et de votre recherche.',
+        'help.contact': '*Besoin d\'aide ?*\nContact : @tukuexe',
+        'help.status': '*État de l\'API GitHub :*',
+        'help.start': 'Démarrer le bot',
+        'help.connect': 'Connecter un compte GitHub',
+        'help.repos': 'Lister ou rechercher vos dépôts',
+        'help.createrepo': 'Créer un dépôt pas à pas',
+        'help.newrepo': 'Création rapide',
+        'help.editrepo': 'Modifier les paramètres d\'un dépôt',
+        'help.deleterepo': 'Supprimer un dépôt',
+        'help.issues': 'Lister les issues',
+        'help.newissue': 'Ouvrir une issue',
+        'help.prs': 'Examiner les pull requests',
+        'help.watch': 'Recevoir les événements d\'un dépôt ici',
+        'help.unwatch': 'Arrêter les événements d\'un dépôt',
+        'help.watches': 'Lister les dépôts suivis',
+        'help.schedule': 'Planifier résumés et alertes',
+        'help.schedules': 'Lister les tâches planifiées',
+        'help.unschedule': 'Supprimer une tâche planifiée',
+        'help.timezone': 'Définir votre fuseau horaire',
+        'help.settings': 'Vos préférences',
+        'help.actions': 'Exécutions de workflows',
+        'help.dispatch': 'Lancer un workflow',
+        'help.branches': 'Branches et nettoyage',
+        'help.compare': 'Comparer des refs',
+        'help.tags': 'Lister les tags',
+        'help.release': 'Préparer et publier une release',
+        'help.gist': 'Créer un gist à partir d\'un message ou d\'un fichier',
+        'help.gists': 'Vos gists',
+        'help.ratelimit': 'Quota de l\'API GitHub',
+        'help.accounts': 'Comptes GitHub liés',
+        'help.disconnect': 'Déconnecter GitHub',
+        'help.exportdata': 'Télécharger vos données',
+        'help.deleteaccount': 'Effacer vos données',
+        'help.bind': 'Lier un groupe à un dépôt',
+        'help.groupsettings': 'Permissions du groupe',
+        'help.files': 'Gestion des fichiers',
+        'help.listfiles': 'Lister les fichiers',
+        'help.edit': 'Modifier un fichier texte',
+        'help.deletefile': 'Supprimer un fichier',
+        'help.about': 'À propos de ce bot',
+        'help.help': 'Afficher cette aide',
+        'help.stats': 'Statistiques du bot',
+        'help.broadcast': 'Écrire à tous les utilisateurs',
+        'help.user': 'Inspecter ou bannir un utilisateur'
+    },
+
+    es: {
+        'menu.title': '🎯 *GitHub Management Bot*',
+        'menu.prompt': '¿Qué quieres hacer?',
+        'menu.repos': '📚 Mis repos',
+        'menu.create': '➕ Crear repo',
+        'menu.files': '📁 Archivos',
+        'menu.settings': '⚙️ Ajustes',
+        'menu.about': 'ℹ️ Acerca de',
+        'menu.help': '🆘 Ayuda',
+
+        'connect.title': '🔗 *Conecta tu cuenta de GitHub*',
+        'connect.body': 'Para usar todas las funciones, conecta tu cuenta de GitHub:\n\nComando: /connect\n\nO pulsa el botón de abajo para conectarte ahora.',
+        'connect.button': '🔗 Conectar GitHub',
+        'error.start': '❌ Primero inicia el bot con /start',
+        'error.connect': '❌ Primero conecta GitHub con /connect',
+
+        'settings.title': '⚙️ *Ajustes*',
+        'settings.owner': '👤 Propietario por defecto',
+        'settings.branch': '🌿 Rama por defecto',
+        'settings.pageSize': '📄 Tamaño de página',
+        'settings.quiet': '🌙 Horas de silencio',
+        'settings.timezone': '🌍 Zona horaria',
+        'settings.language': '🌐 Idioma',
+        'settings.private': '🔒 Repos privados en grupos',
+        'settings.announcements': '📣 Anuncios',
+        'settings.notSet': '_sin definir_',
+        'settings.off': 'desactivados',
+        'settings.on': 'activados',
+        'settings.shown': 'visibles',
+        'settings.hidden': 'ocultos',
+        'settings.ownerButton': '👤 Propietario',
+        'settings.branchButton': '🌿 Rama',
+        'settings.pageSizeButton': '📄 Tamaño de página: {size}',
+        'settings.languageButton': '🌐 Idioma: {language}',
+        'settings.quietButton': '🌙 Horas de silencio',
+        'settings.timezoneButton': '🌍 Zona horaria',
+        'settings.privateButton': 'Repos privados en grupos',
+        'settings.announcementsButton': 'Anuncios',
+        'settings.prompt.owner': '👤 Envía el usuario u organización que se usará para nombres de repositorio sin propietario, p. ej. `octocat`.\n\nEnvía `-` para borrarlo.',
+        'settings.prompt.branch': '🌿 Envía la rama que se abrirá por defecto cuando un repositorio la tenga, p. ej. `develop`.\n\nEnvía `-` para borrarla.',
+        'settings.prompt.quiet': '🌙 Envía tus horas de silencio como `HH:MM-HH:MM`, p. ej. `22:00-07:00`. Las notificaciones llegan en silencio durante ese tiempo.\n\nEnvía `off` para desactivarlas.',
+        'settings.prompt.timezone': '🌍 Envía tu zona horaria como nombre IANA, p. ej. `Europe/Madrid`.',
+
+        'help.title': '🆘 *Comandos disponibles:*',
+        'help.inline': '*Búsqueda inline:*\nEscribe @{bot} en cualquier chat seguido de `repo:`, `issue:owner/repo` o `code:` y tu búsqueda.',
+        'help.contact': '*¿Necesitas ayuda?*\nContacto: @tukuexe',
+        'help.status': '*Estado de la API de GitHub:*',
+        'help.start': 'Iniciar el bot',
+        'help.connect': 'Conectar una cuenta de GitHub',
+        'help.repos': 'Listar o buscar tus repositorios',
+        'help.createrepo': 'Crear un repositorio paso a paso',
+        'help.newrepo': 'Creación rápida',
+        'help.editrepo': 'Editar los ajustes de un repositorio',
+        'help.deleterepo': 'Eliminar un repositorio',
+        'help.issues': 'Listar issues',
+        'help.newissue': 'Abrir una issue',
+        'help.prs': 'Revisar pull requests',
+        'help.watch': 'Recibir aquí los eventos de un repo',
+        'help.unwatch': 'Dejar de recibir eventos de un repo',
+        'help.watches': 'Listar repos vigilados',
+        'help.schedule': 'Programar resúmenes y alertas',
+        'help.schedules': 'Listar tareas programadas',
+        'help.unschedule': 'Quitar una tarea programada',
+        'help.timezone': 'Definir tu zona horaria',
+        'help.settings': 'Tus preferencias',
+        'help.actions': 'Ejecuciones de workflows',
+        'help.dispatch': 'Ejecutar un workflow',
+        'help.branches': 'Ramas y limpieza',
+        'help.compare': 'Comparar refs',
+        'help.tags': 'Listar tags',
+        'help.release': 'Preparar y publicar una release',
+        'help.gist': 'Crear un gist a partir de un mensaje o archivo',
+        'help.gists': 'Tus gists',
+        'help.ratelimit': 'Cuota de la API de GitHub',
+        'help.accounts': 'Cuentas de GitHub vinculadas',
+        'help.disconnect': 'Desconectar GitHub',
+        'help.exportdata': 'Descargar tus datos',
+        'help.deleteaccount': 'Borrar tus datos',
+        'help.bind': 'Vincular un grupo a un repositorio',
+        'help.groupsettings': 'Permisos del grupo',
+        'help.files': 'Gestión de archivos',
+        'help.listfiles': 'Listar archivos',
+        'help.edit': 'Editar un archivo de texto',
+        'help.deletefile': 'Eliminar un archivo',
+        'help.about': 'Acerca de este bot',
+        'help.help': 'Mostrar esta ayuda',
+        'help.stats': 'Estadísticas del bot',
+        'help.broadcast': 'Enviar un mensaje a todos los usuarios',
+        'help.user': 'Consultar o bloquear a un usuario'
+    },
+
+    ru: {
+        'menu.title': '🎯 *GitHub Management Bot*',
+        'menu.prompt': 'Выберите действие:',
+        'menu.repos': '📚 Мои репозитории',
+        'menu.create': '➕ Создать репозиторий',
+        'menu.files': '📁 Файлы',
+        'menu.settings': '⚙️ Настройки',
+        'menu.about': 'ℹ️ О боте',
+        'menu.help': '🆘 Помощь',
+
+        'connect.title': '🔗 *Подключите аккаунт GitHub*',
+        'connect.body': 'Чтобы пользоваться всеми функциями, подключите аккаунт GitHub:\n\nКоманда: /connect\n\nИли нажмите кнопку ниже, чтобы подключиться сейчас.',
+        'connect.button': '🔗 Подключить GitHub',
+        'error.start': '❌ Сначала запустите бота командой /start',
+        'error.connect': '❌ Сначала подключите GitHub командой /connect',
+
+        'settings.title': '⚙️ *Настройки*',
+        'settings.owner': '👤 Владелец по умолчанию',
+        'settings.branch': '🌿 Ветка по умолчанию',
+        'settings.pageSize': '📄 Размер страницы',
+        'settings.quiet': '🌙 Тихие часы',
+        'settings.timezone': '🌍 Часовой пояс',
+        'settings.language': '🌐 Язык',
+        'settings.private': '🔒 Приватные репозитории в группах',
+        'settings.announcements': '📣 Объявления',
+        'settings.notSet': '_не задано_',
+        'settings.off': 'выкл.',
+        'settings.on': 'вкл.',
+        'settings.shown': 'показываются',
+        'settings.hidden': 'скрыты',
+        'settings.ownerButton': '👤 Владелец',
+        'settings.branchButton': '🌿 Ветка',
+        'settings.pageSizeButton': '📄 Размер страницы: {size}',
+        'settings.languageButton': '🌐 Язык: {language}',
+        'settings.quietButton': '🌙 Тихие часы',
+        'settings.timezoneButton': '🌍 Часовой пояс',
+        'settings.privateButton': 'Приватные репозитории в группах',
+        'settings.announcementsButton': 'Объявления',
+        'settings.prompt.owner': '👤 Отправьте пользователя или организацию для имён репозиториев без владельца, например `octocat`.\n\nОтправьте `-`, чтобы сбросить.',
+        'settings.prompt.branch': '🌿 Отправьте ветку, которая открывается по умолчанию, если она есть в репозитории, например `develop`.\n\nОтправьте `-`, чтобы сбросить.',
+        'settings.prompt.quiet': '🌙 Отправьте тихие часы в формате `HH:MM-HH:MM`, например `22:00-07:00`. В это время уведомления приходят без звука.\n\nОтправьте `off`, чтобы выключить их.',
+        'settings.prompt.timezone': '🌍 Отправьте часовой пояс в формате IANA, например `Europe/Moscow`.',
+
+        'help.title': '🆘 *Доступные команды:*',
+        'help.inline': '*Inline-поиск:*\nВведите @{bot} в любом чате, затем `repo:`, `issue:owner/repo` или `code:` и ваш запрос.',
+        'help.contact': '*Нужна помощь?*\nКонтакт: @tukuexe',
+        'help.status': '*Статус GitHub API:*',
+        'help.start': 'Запустить бота',
+        'help.connect': 'Подключить аккаунт GitHub',
+        'help.repos': 'Список или поиск репозиториев',
+        'help.createrepo': 'Создать репозиторий по шагам',
+        'help.newrepo': 'Быстрое создание',
+        'help.editrepo': 'Изменить настройки репозитория',
+        'help.deleterepo': 'Удалить репозиторий',
+        'help.issues': 'Список issues',
+        'help.newissue': 'Открыть issue',
+        'help.prs': 'Просмотр pull requests',
+        'help.watch': 'Получать события репозитория здесь',
+        'help.unwatch': 'Перестать получать события',
+        'help.watches': 'Отслеживаемые репозитории',
+        'help.schedule': 'Запланировать сводки и оповещения',
+        'help.schedules': 'Список запланированных задач',
+        'help.unschedule': 'Удалить запланированную задачу',
+        'help.timezone': 'Задать часовой пояс',
+        'help.settings': 'Ваши настройки',
+        'help.actions': 'Запуски workflow',
+        'help.dispatch': 'Запустить workflow',
+        'help.branches': 'Ветки и очистка',
+        'help.compare': 'Сравнить refs',
+        'help.tags': 'Список тегов',
+        'help.release': 'Подготовить и опубликовать релиз',
+        'help.gist': 'Создать gist из сообщения или файла',
+        'help.gists': 'Ваши gists',
+        'help.ratelimit': 'Квота GitHub API',
+        'help.accounts': 'Привязанные аккаунты GitHub',
+        'help.disconnect': 'Отключить GitHub',
+        'help.exportdata': 'Скачать ваши данные',
+        'help.deleteaccount': 'Удалить ваши данные',
+        'help.bind': 'Привязать группу к репозиторию',
+        'help.groupsettings': 'Права группы',
+        'help.files': 'Управление файлами',
+        'help.listfiles': 'Список файлов',
+        'help.edit': 'Редактировать текстовый файл',
+        'help.deletefile': 'Удалить файл',
+        'help.about': 'О боте',
+        'help.help': 'Показать эту справку',
+        'help.stats': 'Статистика бота',
+        'help.broadcast': 'Сообщение всем пользователям',
+        'help.user': 'Просмотреть или заблокировать пользователя'
+    }
+};
+
+// Looks up a message in the given language, filling in {placeholders}
+function translate(language, key, params = {}) {
+    const messages = MESSAGES[language] || MESSAGES.en;
+    const message = messages[key] ?? MESSAGES.en[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+}
+
+module.exports = { LANGUAGES, translate };
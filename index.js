@@ -1,11 +1,28 @@
 require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
-const { Telegraf, Markup, session: TelegrafSession } = require('telegraf');
+const { Telegraf, Markup, Scenes, session: TelegrafSession } = require('telegraf');
 const axios = require('axios');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const cron = require('node-cron');
+const zlib = require('zlib');
+const YAML = require('yaml');
+const {
+    githubClient,
+    fetchAllPages,
+    githubErrorMessage,
+    revokeOAuthToken,
+    revokeOAuthGrant,
+    getRateLimit,
+    onRequest,
+    formatWait
+} = require('./github');
+const { createCache } = require('./cache');
+const { createUnifiedDiff, applyUnifiedDiff, isSedCommand, applySedCommands } = require('./diff');
+const { LANGUAGES, translate } = require('./i18n');
 
 // Initialize Express
 const app = express();
@@ -18,19 +35,132 @@ const bot = new Telegraf(process.env.TELEGRAM_BOT_TOKEN);
 mongoose.connect(process.env.MONGODB_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true,
-}).then(() => console.log('✅ MongoDB Connected'))
-  .catch(err => console.error('❌ MongoDB Error:', err));
+}).then(() => {
+    console.log('✅ MongoDB Connected');
+    migrateTokenEncryption()
+        .then(migrateLinkedAccounts)
+        .catch(err => console.error('❌ Token migration error:', err));
+    loadScheduledJobs().catch(err => console.error('❌ Scheduler error:', err));
+    refreshStats().catch(err => console.error('❌ Stats error:', err));
+    loadPendingState().catch(err => console.error('❌ Pending state error:', err));
+}).catch(err => console.error('❌ MongoDB Error:', err));
+
+// GitHub token encryption
+// Tokens use envelope encryption: each token is sealed with its own random
+// data key, and that data key is wrapped with the master key from the
+// environment. Old master keys stay readable through
+// TOKEN_ENCRYPTION_PREVIOUS_KEYS until migrateTokenEncryption re-wraps them.
+const TOKEN_PREFIX = 'enc:v1';
+let encryptionKeys = null;
+
+function loadEncryptionKeys() {
+    if (encryptionKeys) return encryptionKeys;
+
+    const current = process.env.TOKEN_ENCRYPTION_KEY;
+    if (!current) {
+        throw new Error('TOKEN_ENCRYPTION_KEY is not set');
+    }
+
+    const previous = (process.env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || '')
+        .split(',')
+        .map(secret => secret.trim())
+        .filter(Boolean);
+
+    const keys = new Map();
+    for (const secret of [current, ...previous]) {
+        const id = crypto.createHash('sha256').update(`key-id:${secret}`).digest('hex').slice(0, 8);
+        keys.set(id, crypto.createHash('sha256').update(secret).digest());
+    }
+
+    encryptionKeys = { currentId: keys.keys().next().value, keys };
+    return encryptionKeys;
+}
+
+function sealWithKey(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+function openWithKey(key, sealed) {
+    const buffer = Buffer.from(sealed, 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, 12));
+    decipher.setAuthTag(buffer.subarray(12, 28));
+    return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]);
+}
+
+function isEncryptedToken(value) {
+    return typeof value === 'string' && value.startsWith(`${TOKEN_PREFIX}:`);
+}
+
+function encryptToken(value) {
+    if (!value || isEncryptedToken(value)) return value;
+
+    const { currentId, keys } = loadEncryptionKeys();
+    const dataKey = crypto.randomBytes(32);
+
+    return [
+        TOKEN_PREFIX,
+        currentId,
+        sealWithKey(keys.get(currentId), dataKey),
+        sealWithKey(dataKey, Buffer.from(value, 'utf8'))
+    ].join(':');
+}
+
+function decryptToken(value) {
+    // Plaintext values from before encryption are returned as-is until migrated
+    if (!isEncryptedToken(value)) return value;
+
+    try {
+        const [, , keyId, wrappedKey, payload] = value.split(':');
+        const masterKey = loadEncryptionKeys().keys.get(keyId);
+
+        if (!masterKey) {
+            throw new Error(`unknown encryption key ${keyId}`);
+        }
+
+        const dataKey = openWithKey(masterKey, wrappedKey);
+        return openWithKey(dataKey, payload).toString('utf8');
+    } catch (error) {
+        console.error('Error decrypting GitHub token:', error.message);
+        return undefined;
+    }
+}
 
 // User Schema
 const userSchema = new mongoose.Schema({
     telegramId: { type: String, required: true, unique: true },
     githubId: String,
-    githubAccessToken: String,
+    githubAccessToken: { type: String, get: decryptToken, set: encryptToken },
     githubUsername: String,
     isAgreed: { type: Boolean, default: false },
     isConnected: { type: Boolean, default: false },
     createdAt: { type: Date, default: Date.now },
     lastActive: { type: Date, default: Date.now },
+    timezone: { type: String, default: 'UTC' },
+    // Banned users are ignored by the bot; see /user
+    isBanned: { type: Boolean, default: false },
+    bannedAt: Date,
+    // Preferences from /settings
+    settings: {
+        // Owner put in front of a bare repository name, e.g. /issues my-repo
+        defaultOwner: String,
+        // Branch opened instead of a repository's default branch when it exists
+        defaultBranch: String,
+        pageSize: Number,
+        // "HH:MM" in the user's timezone; notifications arrive silently in between
+        quietHoursStart: String,
+        quietHoursEnd: String,
+        // Locale for dates; ISO dates when unset
+        language: String,
+        showPrivateInGroups: { type: Boolean, default: false },
+        // Messages sent to every user with /broadcast
+        receiveAnnouncements: { type: Boolean, default: true }
+    },
+    // Linked account the bot acts as; githubId, githubAccessToken and
+    // githubUsername mirror it
+    activeAccount: { type: mongoose.Schema.Types.ObjectId, ref: 'LinkedAccount' },
     repositories: [{
         name: String,
         full_name: String,
@@ -39,58 +169,581 @@ const userSchema = new mongoose.Schema({
     }]
 });
 
+// Never serialize the token, whether into API responses or the file cache
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.githubAccessToken;
+        return ret;
+    }
+});
+
 const User = mongoose.model('User', userSchema);
 
-// Cache file for Render memory persistence
-const CACHE_FILE = path.join(__dirname, 'data.json');
+// GitHub accounts linked to a Telegram user, one per GitHub identity
+const linkedAccountSchema = new mongoose.Schema({
+    telegramId: { type: String, required: true },
+    githubId: { type: String, required: true },
+    githubUsername: String,
+    accessToken: { type: String, get: decryptToken, set: encryptToken },
+    // Short name used to pick the account per command, e.g. /repos @work
+    label: String,
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now }
+});
+
+linkedAccountSchema.index({ telegramId: 1, githubId: 1 }, { unique: true });
 
-function readCache() {
-    try {
-        if (fs.existsSync(CACHE_FILE)) {
-            return JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+linkedAccountSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.accessToken;
+        return ret;
+    }
+});
+
+const LinkedAccount = mongoose.model('LinkedAccount', linkedAccountSchema);
+
+// Encrypts plaintext tokens and re-wraps tokens sealed with a previous key
+async function migrateTokenEncryption() {
+    const { currentId } = loadEncryptionKeys();
+    let migrated = 0;
+
+    for (const [Model, field] of [[User, 'githubAccessToken'], [LinkedAccount, 'accessToken']]) {
+        const documents = await Model.find({ [field]: { $exists: true, $ne: null } }).lean();
+
+        for (const document of documents) {
+            const stored = document[field];
+            if (isEncryptedToken(stored) && stored.split(':')[2] === currentId) continue;
+
+            const token = decryptToken(stored);
+            if (!token) continue;
+
+            await Model.updateOne({ _id: document._id }, { [field]: token });
+            migrated++;
+        }
+    }
+
+    if (migrated > 0) {
+        console.log(`🔐 Re-encrypted ${migrated} GitHub token(s)`);
+    }
+}
+
+// Creates linked accounts for users connected before accounts existed
+async function migrateLinkedAccounts() {
+    const users = await User.find({
+        githubId: { $exists: true, $ne: null },
+        activeAccount: { $exists: false }
+    });
+
+    for (const user of users) {
+        if (!user.githubAccessToken) continue;
+
+        const account = await LinkedAccount.findOneAndUpdate(
+            { telegramId: user.telegramId, githubId: user.githubId },
+            {
+                githubUsername: user.githubUsername,
+                accessToken: user.githubAccessToken,
+                label: (user.githubUsername || '').toLowerCase()
+            },
+            { upsert: true, new: true }
+        );
+        await User.updateOne({ _id: user._id }, { activeAccount: account._id });
+    }
+
+    if (users.length > 0) {
+        console.log(`🔗 Linked ${users.length} existing GitHub account(s)`);
+    }
+}
+
+// Pending GitHub authorizations, one per /connect link. Documents expire
+// on their own through the TTL index on createdAt.
+const OAUTH_STATE_TTL = 10 * 60 * 1000;
+
+const pendingAuthSchema = new mongoose.Schema({
+    nonce: { type: String, required: true, unique: true },
+    telegramId: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now, expires: OAUTH_STATE_TTL / 1000 }
+});
+
+const PendingAuth = mongoose.model('PendingAuth', pendingAuthSchema);
+
+// Repository event subscriptions, one per chat and repository
+const WATCHABLE_EVENTS = ['push', 'issues', 'pull_request', 'release', 'workflow_run'];
+
+const watchSchema = new mongoose.Schema({
+    chatId: { type: String, required: true },
+    telegramId: { type: String, required: true },
+    repo: { type: String, required: true, lowercase: true },
+    events: [{ type: String, enum: WATCHABLE_EVENTS }],
+    hookId: Number,
+    createdAt: { type: Date, default: Date.now }
+});
+
+watchSchema.index({ chatId: 1, repo: 1 }, { unique: true });
+
+const Watch = mongoose.model('Watch', watchSchema);
+
+// Scheduled jobs (digests, traffic reports, polling alerts), registered with
+// node-cron on startup so they survive restarts
+const SCHEDULE_TYPES = ['digest', 'traffic', 'poll'];
+
+const scheduledJobSchema = new mongoose.Schema({
+    telegramId: { type: String, required: true },
+    chatId: { type: String, required: true },
+    type: { type: String, enum: SCHEDULE_TYPES, required: true },
+    cron: { type: String, required: true },
+    timezone: { type: String, default: 'UTC' },
+    repo: String,
+    etag: String,
+    state: { type: mongoose.Schema.Types.Mixed, default: {} },
+    lastRunAt: Date,
+    createdAt: { type: Date, default: Date.now }
+});
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+// Group chats bound to repositories. Members run the allowed commands with
+// their own linked GitHub account.
+const GROUP_COMMANDS = ['issues', 'newissue', 'prs', 'listfiles', 'deletefile', 'actions', 'dispatch', 'watch', 'unwatch', 'watches'];
+const GROUP_ADMIN_COMMANDS = ['bind', 'unbind', 'groupsettings', 'help'];
+const DESTRUCTIVE_COMMANDS = ['deletefile', 'dispatch', 'unwatch'];
+// Callbacks that merge, commit, delete, close or cancel something
+const DESTRUCTIVE_CALLBACKS = /^(pr_mc_|del_ok_|delete_confirm_|dp_ok_|up_ok_|is_close$|is_reopen$|ac_cancel$)/;
+const DESTRUCTIVE_POLICIES = {
+    admins: 'Group admins only',
+    members: 'All members',
+    nobody: 'Nobody'
+};
+
+const groupBindingSchema = new mongoose.Schema({
+    chatId: { type: String, required: true, unique: true },
+    repos: { type: [String], default: [] },
+    commands: { type: [String], default: () => [...GROUP_COMMANDS] },
+    destructive: { type: String, enum: Object.keys(DESTRUCTIVE_POLICIES), default: 'admins' },
+    createdBy: String,
+    createdAt: { type: Date, default: Date.now }
+});
+
+const GroupBinding = mongoose.model('GroupBinding', groupBindingSchema);
+
+// Telegraf sessions, stored in MongoDB so wizards survive restarts.
+// Idle sessions expire through the TTL index on updatedAt.
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const telegramSessionSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    data: mongoose.Schema.Types.Mixed,
+    updatedAt: { type: Date, default: Date.now, expires: SESSION_TTL / 1000 }
+});
+
+const TelegramSession = mongoose.model('TelegramSession', telegramSessionSchema);
+
+// One document per pending action or awaited prompt, removed by the TTL
+// index once it expires
+const pendingStateSchema = new mongoose.Schema({
+    kind: { type: String, enum: ['action', 'input'], required: true },
+    id: { type: String, required: true },
+    value: mongoose.Schema.Types.Mixed,
+    expiresAt: { type: Date, required: true, expires: 0 }
+});
+
+pendingStateSchema.index({ kind: 1, id: 1 }, { unique: true });
+
+const PendingState = mongoose.model('PendingState', pendingStateSchema);
+
+const mongoSessionStore = {
+    async get(key) {
+        const session = await TelegramSession.findOne({ key }).lean();
+        return session?.data;
+    },
+
+    async set(key, data) {
+        // Empty sessions aren't worth a document
+        if (Object.keys(data).every(field => isEmptySessionValue(data[field]))) {
+            return this.delete(key);
+        }
+        await TelegramSession.updateOne({ key }, { data, updatedAt: new Date() }, { upsert: true });
+    },
+
+    async delete(key) {
+        await TelegramSession.deleteOne({ key });
+    }
+};
+
+function isEmptySessionValue(value) {
+    return value === undefined || (typeof value === 'object' && value !== null && Object.keys(value).length === 0);
+}
+
+// Bot usage per hour: commands run and GitHub API requests, for /stats.
+// Buckets expire through the TTL index on hour.
+const USAGE_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+const usageStatSchema = new mongoose.Schema({
+    hour: { type: Date, required: true },
+    commands: { type: Map, of: Number },
+    githubRequests: Number,
+    githubErrors: Number,
+    // Failed GitHub requests by error code, e.g. not_found
+    errorCodes: { type: Map, of: Number }
+});
+usageStatSchema.index({ hour: 1 }, { unique: true, expireAfterSeconds: USAGE_RETENTION / 1000 });
+
+const UsageStat = mongoose.model('UsageStat', usageStatSchema);
+
+// Cache for users and repository listings. The file backend keeps its
+// data on the Render disk when it is mounted.
+const CACHE_FILE = process.env.CACHE_FILE ||
+    (fs.existsSync('/data') ? '/data/data.json' : path.join(__dirname, 'data.json'));
+const USER_CACHE_TTL = 10 * 60 * 1000;
+const REPOS_CACHE_TTL = 5 * 60 * 1000;
+
+const cache = createCache({
+    backend: process.env.CACHE_BACKEND || 'file',
+    file: CACHE_FILE
+});
+
+// Keeps the user counters in the cache's stats block current
+async function refreshStats() {
+    const [totalUsers, totalConnections] = await Promise.all([
+        User.countDocuments(),
+        User.countDocuments({ isConnected: true })
+    ]);
+    await cache.updateStats({ totalUsers, totalConnections });
+}
+
+// Drops everything cached for a user after their account or repositories change
+async function invalidateUserCache(telegramId) {
+    await Promise.all([
+        cache.delete(`user_${telegramId}`),
+        cache.deletePrefix(`repos_${telegramId}_`)
+    ]);
+}
+
+// Usage counters are added up in memory and written once a minute, so
+// busy periods don't turn into a database write per update
+let pendingUsage = new Map();
+
+function countUsage(field, amount = 1) {
+    const hour = new Date();
+    hour.setUTCMinutes(0, 0, 0);
+    
+    const key = hour.toISOString();
+    const counters = pendingUsage.get(key) || {};
+    counters[field] = (counters[field] || 0) + amount;
+    pendingUsage.set(key, counters);
+}
+
+async function flushUsage() {
+    const batch = pendingUsage;
+    pendingUsage = new Map();
+    
+    await Promise.all([...batch].map(([hour, counters]) =>
+        UsageStat.updateOne({ hour: new Date(hour) }, { $inc: counters }, { upsert: true })
+    ));
+}
+
+setInterval(() => {
+    flushUsage().catch(err => console.error('❌ Usage stats error:', err));
+}, 60 * 1000).unref();
+
+onRequest(({ ok, code }) => {
+    countUsage('githubRequests');
+    if (!ok) {
+        countUsage('githubErrors');
+        countUsage(`errorCodes.${code || 'unknown'}`);
+    }
+});
+
+// GitHub API helpers
+// Parses "owner/repo" into its parts, returns null when malformed
+function parseRepoPath(input) {
+    const match = /^([\w.-]+)\/([\w.-]+)$/.exec((input || '').trim());
+    return match ? { owner: match[1], repo: match[2] } : null;
+}
+
+// Encodes each segment of a repository path for use in a contents API URL
+function encodeGitHubPath(filePath) {
+    return (filePath || '')
+        .split('/')
+        .filter(Boolean)
+        .map(encodeURIComponent)
+        .join('/');
+}
+
+function escapeMarkdown(text) {
+    return String(text).replace(/([_*`\[])/g, '\\$1');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Loads the user for the current update, replying with a connect hint if GitHub isn't linked
+// Loads a user acting as one of their linked accounts. Without an account,
+// or when it's the active one, this is the stored user. Otherwise the
+// document is switched in memory only and must not be saved.
+async function loadUser(telegramId, accountId) {
+    const user = await User.findOne({ telegramId });
+
+    if (!user || !accountId || String(accountId) === String(user.activeAccount)) {
+        return user;
+    }
+
+    const account = await LinkedAccount.findOne({ _id: accountId, telegramId });
+    if (!account) return null;
+
+    user.$locals.override = true;
+    user.activeAccount = account._id;
+    user.githubId = account.githubId;
+    user.githubUsername = account.githubUsername;
+    user.githubAccessToken = account.accessToken;
+    return user;
+}
+
+// Loads the user for a command, honouring an "@account" given with it
+async function getConnectedUser(ctx, accountId = ctx.state.accountId) {
+    const telegramId = ctx.from.id.toString();
+    const user = await loadUser(telegramId, accountId);
+
+    if (!user || !user.githubAccessToken) {
+        await ctx.reply(await translateFor(ctx, 'error.connect'));
+        return null;
+    }
+
+    return user;
+}
+
+// Menus show the user's page size from /settings, or the menu's own default
+function pageSizeFor(user, fallback) {
+    return user.settings?.pageSize || fallback;
+}
+
+// The default branch from /settings when the repository has it, otherwise
+// the repository's own default branch
+async function resolveBranch(github, user, owner, repo, defaultBranch) {
+    const preferred = user.settings?.defaultBranch;
+
+    if (preferred) {
+        try {
+            await github.get(`/repos/${owner}/${repo}/branches/${encodeGitHubPath(preferred)}`);
+            return preferred;
+        } catch (error) {
+            if (error.code !== 'not_found') throw error;
         }
-    } catch (error) {
-        console.error('Error reading cache:', error);
     }
-    return {};
+
+    if (defaultBranch) return defaultBranch;
+
+    const response = await github.get(`/repos/${owner}/${repo}`);
+    return response.data.default_branch;
+}
+
+// Whether it is currently within the user's quiet hours, in their timezone
+function isQuietHours(user, date = new Date()) {
+    const { quietHoursStart: start, quietHoursEnd: end } = user.settings || {};
+    if (!start || !end) return false;
+
+    const now = new Intl.DateTimeFormat('en-GB', {
+        timeZone: user.timezone || 'UTC',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).format(date);
+
+    // Quiet hours such as 22:00-07:00 wrap around midnight
+    return start <= end ? now >= start && now < end : now >= start || now < end;
 }
 
-function writeCache(key, value) {
+// Edits the message behind a callback query, ignoring "message is not modified" errors
+async function editOrIgnore(ctx, text, extra) {
     try {
-        const cache = readCache();
-        cache[key] = value;
-        cache.lastUpdated = new Date().toISOString();
-        fs.writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2), 'utf8');
+        await ctx.editMessageText(text, extra);
     } catch (error) {
-        console.error('Error writing cache:', error);
+        if (!String(error.description || error.message).includes('message is not modified')) {
+            throw error;
+        }
+    }
+}
+
+// Keeps state for inline menus that edit their own message, keyed by chat
+// and message id. The oldest entries are dropped once the store is full.
+function createMessageStateStore(maxEntries = 500) {
+    const states = new Map();
+    const keyOf = message => `${message.chat.id}:${message.message_id}`;
+
+    return {
+        get(message) {
+            return states.get(keyOf(message));
+        },
+        set(message, state) {
+            if (states.size >= maxEntries) {
+                states.delete(states.keys().next().value);
+            }
+            states.set(keyOf(message), state);
+        }
+    };
+}
+
+// Pending actions awaiting confirmation, keyed by a short random token so
+// callback data stays well under Telegram's 64-byte limit
+const pendingActions = new Map();
+const PENDING_ACTION_TTL = 10 * 60 * 1000;
+
+function createPendingAction(telegramId, type, data) {
+    const token = crypto.randomBytes(6).toString('base64url');
+    pendingActions.set(token, {
+        telegramId,
+        type,
+        data,
+        expiresAt: Date.now() + PENDING_ACTION_TTL
+    });
+    return token;
+}
+
+function getPendingAction(token, telegramId, type) {
+    const action = pendingActions.get(token);
+
+    if (!action || action.expiresAt < Date.now()) {
+        pendingActions.delete(token);
+        return null;
+    }
+
+    if (action.telegramId !== telegramId || action.type !== type) {
+        return null;
+    }
+
+    return action;
+}
+
+// Handler for a Cancel button: the pending action is dropped only for the
+// user who started it, so others in a group can't discard it
+function cancelPendingAction(type, message, { clearInput = false } = {}) {
+    return async (ctx) => {
+        const token = ctx.match[1];
+        const telegramId = ctx.from.id.toString();
+        const pending = pendingActions.get(token);
+
+        if (pending && pending.telegramId !== telegramId) {
+            return ctx.answerCbQuery('🚫 Only the person who started this can cancel it.', { show_alert: true });
+        }
+
+        if (getPendingAction(token, telegramId, type)) {
+            pendingActions.delete(token);
+            if (clearInput) awaitingInputs.delete(telegramId);
+        }
+
+        await ctx.answerCbQuery('Cancelled');
+        await editOrIgnore(ctx, message);
+    };
+}
+
+// Free-text replies the bot is waiting for, keyed by telegramId
+const awaitingInputs = new Map();
+const inputHandlers = {};
+// Handlers for documents sent while a prompt is waiting, by prompt type
+const documentInputHandlers = {};
+
+function awaitInput(telegramId, type, data) {
+    awaitingInputs.set(telegramId, {
+        type,
+        data,
+        expiresAt: Date.now() + PENDING_ACTION_TTL
+    });
+}
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [token, action] of pendingActions) {
+        if (action.expiresAt < now) pendingActions.delete(token);
+    }
+    for (const [telegramId, input] of awaitingInputs) {
+        if (input.expiresAt < now) awaitingInputs.delete(telegramId);
+    }
+}, 60 * 1000).unref();
+
+// Pending actions and prompts live in memory and are mirrored to MongoDB,
+// so /newissue, /dispatch, /edit, uploads and release drafts carry on after
+// a restart. Handlers change action data in place, so the state is saved
+// periodically and on shutdown rather than on every change.
+const PENDING_STATE_SAVE_INTERVAL = 15 * 1000;
+let pendingStateSaved = false;
+
+async function savePendingState() {
+    const entries = [
+        ...[...pendingActions].map(([id, value]) => ({ kind: 'action', id, value })),
+        ...[...awaitingInputs].map(([id, value]) => ({ kind: 'input', id, value }))
+    ];
+    if (entries.length === 0 && !pendingStateSaved) return;
+
+    if (entries.length > 0) {
+        // Unordered, so one entry that can't be stored doesn't hold up the rest
+        await PendingState.bulkWrite(entries.map(({ kind, id, value }) => ({
+            updateOne: {
+                filter: { kind, id },
+                update: { value, expiresAt: new Date(value.expiresAt) },
+                upsert: true
+            }
+        })), { ordered: false }).catch(err => console.error('❌ Pending state error:', err.message));
     }
+
+    // Entries that were completed or cancelled since the last save
+    await PendingState.deleteMany({
+        $or: [
+            { kind: 'action', id: { $nin: [...pendingActions.keys()] } },
+            { kind: 'input', id: { $nin: [...awaitingInputs.keys()] } }
+        ]
+    });
+    pendingStateSaved = entries.length > 0;
 }
 
-function getFromCache(key) {
-    const cache = readCache();
-    return cache[key];
+async function loadPendingState() {
+    const entries = await PendingState.find({ expiresAt: { $gt: new Date() } }).lean();
+
+    entries.forEach(({ kind, id, value }) => {
+        const store = kind === 'action' ? pendingActions : awaitingInputs;
+        if (!store.has(id)) store.set(id, value);
+    });
+    pendingStateSaved = entries.length > 0;
 }
 
+setInterval(() => {
+    savePendingState().catch(err => console.error('❌ Pending state error:', err));
+}, PENDING_STATE_SAVE_INTERVAL).unref();
+
 // Middleware
+// GitHub webhook payloads can be up to 25 MB. They are read raw, before the
+// JSON parser, so the signature is checked against the exact bytes sent.
+app.use('/github-webhook', express.raw({ type: 'application/json', limit: '25mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(express.static(__dirname));
+
+// Only the pages in public/ are served; the source and the cache file are not
+const PUBLIC_DIR = path.join(__dirname, 'public');
+app.use(express.static(PUBLIC_DIR));
 
 // Serve HTML pages
 app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'agreement.html'));
+    res.sendFile(path.join(PUBLIC_DIR, 'agreement.html'));
 });
 
 app.get('/agreement', (req, res) => {
-    res.sendFile(path.join(__dirname, 'agreement.html'));
+    res.sendFile(path.join(PUBLIC_DIR, 'agreement.html'));
 });
 
 app.get('/success', (req, res) => {
-    res.sendFile(path.join(__dirname, 'success.html'));
+    res.sendFile(path.join(PUBLIC_DIR, 'success.html'));
 });
 
 app.get('/error', (req, res) => {
-    res.sendFile(path.join(__dirname, 'error.html'));
+    res.sendFile(path.join(PUBLIC_DIR, 'error.html'));
 });
 
 // Health check endpoint
@@ -102,33 +755,140 @@ app.get('/health', (req, res) => {
     });
 });
 
-// API Endpoints
-app.post('/api/user/agree', async (req, res) => {
+// Web API authentication
+// Links the bot sends carry a short-lived JWT naming the Telegram user; the
+// pages pass it back as a Bearer token.
+const WEB_TOKEN_TTL = '1h';
+
+function createWebToken(telegramId) {
+    return jwt.sign({ sub: telegramId }, process.env.JWT_SECRET, { expiresIn: WEB_TOKEN_TTL });
+}
+
+function requireWebToken(req, res, next) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+    if (!token) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
     try {
-        const { telegramId } = req.body;
-        
-        // Check if user exists in cache first
-        let user = getFromCache(`user_${telegramId}`);
-        
-        if (!user) {
-            user = await User.findOne({ telegramId });
+        req.telegramId = jwt.verify(token, process.env.JWT_SECRET).sub;
+        next();
+    } catch (error) {
+        res.status(401).json({ success: false, error: 'Invalid or expired token' });
+    }
+}
+
+// The /admin endpoint takes ADMIN_TOKEN as a Bearer token and doesn't exist
+// while it is unset
+function requireAdminToken(req, res, next) {
+    const expected = process.env.ADMIN_TOKEN;
+    if (!expected) return res.sendStatus(404);
+    
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    // Digests have equal lengths, which timingSafeEqual requires
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    
+    if (!crypto.timingSafeEqual(digest(token), digest(expected))) {
+        return res.status(401).json({ success: false, error: 'Invalid admin token' });
+    }
+    next();
+}
+
+// Bot-wide metrics, the same as /stats
+app.get('/admin', requireAdminToken, async (req, res) => {
+    try {
+        res.json({ success: true, ...(await collectMetrics()) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Looks up a user, preferring the cache. The result is a plain read-only
+// object; load the document with User.findOne before changing it.
+async function findUser(telegramId) {
+    let user = await cache.get(`user_${telegramId}`);
+
+    if (!user) {
+        const document = await User.findOne({ telegramId });
+        if (document) {
+            user = document.toJSON();
+            await cache.set(`user_${telegramId}`, user, USER_CACHE_TTL);
         }
+    }
+
+    return user || null;
+}
+
+// A message in the language picked in /settings, English by default
+async function translateFor(ctx, key, params) {
+    const user = await findUser(ctx.from.id.toString()).catch(() => null);
+    return translate(user?.settings?.language, key, params);
+}
+
+// Fetches every repository the user can access, served from the cache for
+// 5 minutes unless force is set. Only the fields the bot displays are kept.
+async function fetchRepositories(user, { force = false } = {}) {
+    const cacheKey = `repos_${user.telegramId}_${user.githubId}`;
+    const cachedRepos = force ? null : await cache.get(cacheKey);
+
+    if (cachedRepos) {
+        return cachedRepos;
+    }
+
+    const allRepos = await fetchAllPages(githubClient(user.githubAccessToken), '/user/repos', {
+        sort: 'updated'
+    });
+
+    const repos = allRepos.map(repo => ({
+        name: repo.name,
+        full_name: repo.full_name,
+        owner: { login: repo.owner.login },
+        description: repo.description,
+        html_url: repo.html_url,
+        private: repo.private,
+        fork: repo.fork,
+        archived: repo.archived,
+        language: repo.language,
+        stargazers_count: repo.stargazers_count,
+        forks_count: repo.forks_count,
+        open_issues_count: repo.open_issues_count,
+        default_branch: repo.default_branch,
+        updated_at: repo.updated_at
+    }));
+
+    // Update user's repositories
+    user.repositories = repos.map(repo => ({
+        name: repo.name,
+        full_name: repo.full_name,
+        url: repo.html_url,
+        private: repo.private
+    }));
+    if (!user.$locals.override) {
+        await User.updateOne({ _id: user._id }, { repositories: user.repositories });
+    }
+
+    await cache.set(cacheKey, repos, REPOS_CACHE_TTL);
+    await cache.delete(`user_${user.telegramId}`);
+
+    return repos;
+}
+
+// API Endpoints
+app.post('/api/user/agree', requireWebToken, async (req, res) => {
+    try {
+        const { telegramId } = req;
         
-        if (user) {
-            user.isAgreed = true;
-            user.lastActive = new Date();
-            await user.save();
-        } else {
-            user = new User({
-                telegramId,
-                isAgreed: true,
-                lastActive: new Date()
-            });
-            await user.save();
-        }
+        await User.updateOne(
+            { telegramId },
+            { isAgreed: true, lastActive: new Date() },
+            { upsert: true }
+        );
         
-        // Update cache
-        writeCache(`user_${telegramId}`, user);
+        await cache.delete(`user_${telegramId}`);
+        await refreshStats();
         
         res.json({ success: true, message: 'Agreement accepted' });
     } catch (error) {
@@ -136,54 +896,154 @@ app.post('/api/user/agree', async (req, res) => {
     }
 });
 
-app.get('/api/user/:telegramId', async (req, res) => {
+app.get('/api/user/:telegramId', requireWebToken, async (req, res) => {
     try {
         const { telegramId } = req.params;
         
-        // Check cache first
-        let user = getFromCache(`user_${telegramId}`);
-        
-        if (!user) {
-            user = await User.findOne({ telegramId });
-            if (user) {
-                writeCache(`user_${telegramId}`, user);
-            }
+        if (telegramId !== req.telegramId) {
+            return res.status(403).json({ error: 'Forbidden' });
         }
         
+        const user = await findUser(telegramId);
+        
         res.json(user || {});
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// GitHub OAuth endpoints
-app.get('/auth/github', async (req, res) => {
-    const { telegramId } = req.query;
-    
-    if (!telegramId) {
-        return res.redirect('/error?error=No Telegram ID');
+// OAuth state is a signed, expiring payload naming the Telegram user and a
+// single-use nonce stored in PendingAuth
+function signPayload(payload) {
+    if (!process.env.SESSION_SECRET) {
+        throw new Error('SESSION_SECRET is not set');
     }
-    
-    // Store telegramId in session/cache
-    writeCache(`oauth_${telegramId}`, { 
-        telegramId, 
-        timestamp: Date.now() 
-    });
-    
+    return crypto.createHmac('sha256', process.env.SESSION_SECRET).update(payload).digest('base64url');
+}
+
+function signOAuthState(data) {
+    const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+    return `${payload}.${signPayload(payload)}`;
+}
+
+// Returns the state's data if the signature is valid and it hasn't expired
+function verifyOAuthState(state) {
+    const [payload, signature] = String(state || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(signPayload(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return data.expiresAt > Date.now() ? data : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function createOAuthLink(telegramId) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    await PendingAuth.create({ nonce, telegramId });
+
+    const state = signOAuthState({
+        nonce,
+        telegramId,
+        expiresAt: Date.now() + OAUTH_STATE_TTL
+    });
+
+    return `${process.env.FRONTEND_URL}/auth/github?state=${state}`;
+}
+
+// The browser that opens the connect link gets the state's nonce in a
+// cookie, and only that browser can complete the authorization. A GitHub
+// authorize URL passed on to someone else fails at the callback.
+const OAUTH_COOKIE = 'gh_oauth_nonce';
+const OAUTH_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    // Lax still sends it on the top-level redirect back from GitHub
+    sameSite: 'lax',
+    path: '/auth/github'
+};
+
+function readCookie(req, name) {
+    const cookie = (req.headers.cookie || '')
+        .split(';')
+        .map(part => part.trim().split('='))
+        .find(([key]) => key === name);
+    return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+}
+
+function isOAuthBrowser(req, nonce) {
+    const expected = Buffer.from(String(nonce));
+    const actual = Buffer.from(readCookie(req, OAUTH_COOKIE) || '');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function redirectToError(res, reason, message) {
+    res.redirect(`/error?reason=${reason}&error=${encodeURIComponent(message)}`);
+}
+
+// GitHub OAuth endpoints
+app.get('/auth/github', async (req, res) => {
+    const { state } = req.query;
+    
+    const authState = verifyOAuthState(state);
+    if (!authState) {
+        return redirectToError(res, 'invalid_state', 'This connect link is invalid or has expired');
+    }
+    
+    res.cookie(OAUTH_COOKIE, authState.nonce, {
+        ...OAUTH_COOKIE_OPTIONS,
+        maxAge: Math.max(authState.expiresAt - Date.now(), 0)
+    });
+    
     // Redirect to GitHub OAuth
-    const githubAuthUrl = `https://github.com/login/oauth/authorize?client_id=${process.env.GITHUB_CLIENT_ID}&scope=user repo delete_repo&redirect_uri=${process.env.FRONTEND_URL}/auth/github/callback&state=${telegramId}`;
+    const params = new URLSearchParams({
+        client_id: process.env.GITHUB_CLIENT_ID,
+        scope: 'user repo delete_repo gist',
+        redirect_uri: `${process.env.FRONTEND_URL}/auth/github/callback`,
+        state,
+        // Lets people with several GitHub accounts pick the one to link
+        prompt: 'select_account'
+    });
     
-    res.redirect(githubAuthUrl);
+    res.redirect(`https://github.com/login/oauth/authorize?${params}`);
 });
 
 app.get('/auth/github/callback', async (req, res) => {
     try {
-        const { code, state: telegramId } = req.query;
+        const { code, state } = req.query;
         
-        if (!code || !telegramId) {
-            return res.redirect('/error?error=Missing parameters');
+        if (!code || !state) {
+            return redirectToError(res, 'missing_parameters', 'Missing parameters');
         }
         
+        const authState = verifyOAuthState(state);
+        if (!authState) {
+            return redirectToError(res, 'invalid_state', 'This connect link is invalid or has expired');
+        }
+        
+        if (!isOAuthBrowser(req, authState.nonce)) {
+            return redirectToError(res, 'browser_mismatch', 'Finish connecting in the browser where you opened the connect link from Telegram');
+        }
+        res.clearCookie(OAUTH_COOKIE, OAUTH_COOKIE_OPTIONS);
+        
+        // Each state can only complete one authorization
+        const pendingAuth = await PendingAuth.findOneAndDelete({
+            nonce: authState.nonce,
+            telegramId: authState.telegramId
+        });
+        if (!pendingAuth) {
+            return redirectToError(res, 'used_state', 'This connect link has already been used');
+        }
+        
+        const { telegramId } = authState;
+        
         // Exchange code for access token
         const tokenResponse = await axios.post('https://github.com/login/oauth/access_token', {
             client_id: process.env.GITHUB_CLIENT_ID,
@@ -199,34 +1059,44 @@ app.get('/auth/github/callback', async (req, res) => {
         const { access_token } = tokenResponse.data;
         
         if (!access_token) {
-            return res.redirect('/error?error=No access token');
+            return redirectToError(res, 'no_token', 'No access token');
         }
         
         // Get user info from GitHub
-        const userResponse = await axios.get('https://api.github.com/user', {
-            headers: {
-                'Authorization': `token ${access_token}`,
-                'Accept': 'application/vnd.github.v3+json'
-            }
-        });
+        const userResponse = await githubClient(access_token).get('/user');
         
         const githubUser = userResponse.data;
         
-        // Update user in database
-        const user = await User.findOneAndUpdate(
+        // Link the account, or refresh its token when it is already linked,
+        // and make it the active one
+        const account = await LinkedAccount.findOneAndUpdate(
+            { telegramId, githubId: String(githubUser.id) },
+            {
+                githubUsername: githubUser.login,
+                accessToken: access_token,
+                lastUsedAt: new Date(),
+                $setOnInsert: { label: githubUser.login.toLowerCase() }
+            },
+            { upsert: true, new: true }
+        );
+        
+        await User.findOneAndUpdate(
             { telegramId },
             {
                 githubId: githubUser.id,
                 githubAccessToken: access_token,
                 githubUsername: githubUser.login,
+                activeAccount: account._id,
                 isConnected: true,
                 lastActive: new Date()
             },
             { upsert: true, new: true }
         );
         
-        // Update cache
-        writeCache(`user_${telegramId}`, user);
+        await invalidateUserCache(telegramId);
+        await refreshStats();
+        
+        const accountCount = await LinkedAccount.countDocuments({ telegramId });
         
         // Notify bot
         try {
@@ -234,6 +1104,10 @@ app.get('/auth/github/callback', async (req, res) => {
                 telegramId,
                 `✅ *GitHub Account Connected!*\n\n` +
                 `Successfully connected to GitHub account: *${githubUser.login}*\n\n` +
+                (accountCount > 1
+                    ? `You have ${accountCount} linked accounts. Switch between them with /accounts ` +
+                      `or pick one per command, e.g. \`/repos @${account.label}\`\n\n`
+                    : '') +
                 `Now you can use all features:\n` +
                 `• /repos - List your repositories\n` +
                 `• /createrepo - Create new repository\n` +
@@ -246,87 +1120,413 @@ app.get('/auth/github/callback', async (req, res) => {
         }
         
         // Redirect to success page
-        res.redirect(`/success?telegramId=${telegramId}`);
+        res.redirect('/success');
         
     } catch (error) {
         console.error('GitHub OAuth Error:', error);
-        res.redirect('/error?error=' + encodeURIComponent(error.message));
+        redirectToError(res, 'oauth_error', error.message);
     }
 });
 
 // GitHub API proxy endpoints
-app.post('/api/github/repos', async (req, res) => {
+app.post('/api/github/repos', requireWebToken, async (req, res) => {
     try {
-        const { telegramId } = req.body;
-        
-        const user = await User.findOne({ telegramId });
+        const user = await User.findOne({ telegramId: req.telegramId });
         if (!user || !user.githubAccessToken) {
             return res.status(401).json({ error: 'Not authenticated' });
         }
         
-        // Check cache first
-        const cacheKey = `repos_${telegramId}`;
-        const cachedRepos = getFromCache(cacheKey);
+        res.json(await fetchRepositories(user));
         
-        if (cachedRepos && Date.now() - new Date(cachedRepos.cachedAt).getTime() < 5 * 60 * 1000) {
-            return res.json(cachedRepos.data);
-        }
-        
-        // Fetch from GitHub API
-        const response = await axios.get('https://api.github.com/user/repos', {
-            headers: {
-                'Authorization': `token ${user.githubAccessToken}`,
-                'Accept': 'application/vnd.github.v3+json'
-            },
-            params: {
-                per_page: 100,
-                sort: 'updated'
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GitHub webhook receiver
+function verifyGitHubSignature(req) {
+    const signature = req.headers['x-hub-signature-256'] || '';
+    if (!process.env.GITHUB_WEBHOOK_SECRET || !Buffer.isBuffer(req.body)) return false;
+
+    const expected = Buffer.from(
+        `sha256=${crypto.createHmac('sha256', process.env.GITHUB_WEBHOOK_SECRET).update(req.body).digest('hex')}`
+    );
+    const actual = Buffer.from(signature);
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Formats a webhook payload as a Markdown message, or null for events not worth a notification
+function formatGitHubEvent(event, payload) {
+    const repo = escapeMarkdown(payload.repository.full_name);
+    const sender = escapeMarkdown(payload.sender?.login || 'someone');
+
+    switch (event) {
+        case 'push': {
+            if (payload.deleted || payload.commits.length === 0) return null;
+
+            const branch = payload.ref.replace(/^refs\/heads\//, '');
+            let text = `📤 *${sender}* pushed ${payload.commits.length} commit${payload.commits.length === 1 ? '' : 's'} ` +
+                `to \`${branch}\` in *${repo}*\n\n`;
+            payload.commits.slice(0, 5).forEach(commit => {
+                text += `\`${commit.id.slice(0, 7)}\` ${escapeMarkdown(truncate(commit.message.split('\n')[0], 70))}\n`;
+            });
+            if (payload.commits.length > 5) {
+                text += `… and ${payload.commits.length - 5} more\n`;
             }
+            return { text, url: payload.compare };
+        }
+
+        case 'issues': {
+            if (!['opened', 'closed', 'reopened'].includes(payload.action)) return null;
+
+            const { issue } = payload;
+            const icon = payload.action === 'closed' ? '🔴' : '🟢';
+            return {
+                text: `${icon} *${sender}* ${payload.action} issue *#${issue.number}* in *${repo}*\n\n` +
+                    escapeMarkdown(truncate(issue.title, 200)),
+                url: issue.html_url
+            };
+        }
+
+        case 'pull_request': {
+            if (!['opened', 'closed', 'reopened', 'ready_for_review'].includes(payload.action)) return null;
+
+            const pr = payload.pull_request;
+            const action = payload.action === 'closed' && pr.merged ? 'merged'
+                : payload.action === 'ready_for_review' ? 'marked ready for review' : payload.action;
+            const icon = action === 'merged' ? '🟣' : payload.action === 'closed' ? '🔴' : '🔀';
+            return {
+                text: `${icon} *${sender}* ${action} PR *#${pr.number}* in *${repo}*\n\n` +
+                    `${escapeMarkdown(truncate(pr.title, 200))}\n` +
+                    `\`${pr.head.ref}\` → \`${pr.base.ref}\``,
+                url: pr.html_url
+            };
+        }
+
+        case 'release': {
+            if (payload.action !== 'published') return null;
+
+            const { release } = payload;
+            return {
+                text: `🚀 *${sender}* published *${escapeMarkdown(release.name || release.tag_name)}* in *${repo}*\n\n` +
+                    `Tag: \`${release.tag_name}\`${release.prerelease ? ' (pre-release)' : ''}`,
+                url: release.html_url
+            };
+        }
+
+        case 'workflow_run': {
+            if (payload.action !== 'completed') return null;
+
+            const run = payload.workflow_run;
+            const icon = run.conclusion === 'success' ? '✅' : run.conclusion === 'cancelled' ? '⚪' : '❌';
+            return {
+                text: `${icon} Workflow *${escapeMarkdown(run.name)}* ${run.conclusion} in *${repo}*\n\n` +
+                    `Branch: \`${run.head_branch}\` · Run #${run.run_number}`,
+                url: run.html_url
+            };
+        }
+
+        default:
+            return null;
+    }
+}
+
+async function deliverGitHubEvent(event, payload) {
+    const message = formatGitHubEvent(event, payload);
+    if (!message) return;
+
+    const watches = await Watch.find({
+        repo: payload.repository.full_name.toLowerCase(),
+        events: event
+    });
+
+    for (const watch of watches) {
+        try {
+            // Watches of banned users stay silent
+            const owner = await findUser(watch.telegramId);
+            if (owner?.isBanned) continue;
+
+            // Quiet hours only apply to a user's private chat, not to groups
+            const isPrivate = watch.chatId === watch.telegramId;
+            // Private repositories stay out of groups unless the member allows it in /settings
+            if (!isPrivate && payload.repository.private && !owner?.settings?.showPrivateInGroups) continue;
+
+            await bot.telegram.sendMessage(watch.chatId, message.text, {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true,
+                disable_notification: Boolean(isPrivate && owner && isQuietHours(owner)),
+                ...Markup.inlineKeyboard([[Markup.button.url('🔗 Open on GitHub', message.url)]])
+            });
+        } catch (error) {
+            console.error(`Error delivering ${event} to chat ${watch.chatId}:`, error.message);
+        }
+    }
+}
+
+app.post('/github-webhook', (req, res) => {
+    if (!verifyGitHubSignature(req)) {
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const event = req.headers['x-github-event'];
+    if (event === 'ping') {
+        return res.json({ ok: true });
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(req.body.toString('utf8'));
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid JSON payload' });
+    }
+
+    // Acknowledge right away; GitHub times out deliveries after 10 seconds
+    res.status(202).json({ ok: true });
+
+    if (WATCHABLE_EVENTS.includes(event) && payload.repository) {
+        deliverGitHubEvent(event, payload).catch(error => {
+            console.error('Error handling GitHub webhook:', error);
         });
+    }
+});
+
+// Telegram Bot Commands
+
+// Telegram user ids allowed to run the admin commands, from ADMIN_IDS
+const ADMIN_IDS = (process.env.ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+// lastActive is written at most this often per user
+const ACTIVITY_INTERVAL = 60 * 60 * 1000;
+
+function isAdmin(telegramId) {
+    return ADMIN_IDS.includes(String(telegramId));
+}
+
+// Every command name registered below, so /stats only counts real commands
+// and made-up ones can't grow the usage documents
+const registeredCommands = new Set();
+const registerCommand = bot.command.bind(bot);
+
+bot.command = (command, ...handlers) => {
+    [].concat(command).forEach(name => registeredCommands.add(name.toLowerCase()));
+    return registerCommand(command, ...handlers);
+};
+
+// Banned users get no further than this; everyone else has their activity
+// and commands counted for /stats
+bot.use(async (ctx, next) => {
+    if (!ctx.from) return next();
+    
+    const telegramId = ctx.from.id.toString();
+    const user = await findUser(telegramId);
+    
+    if (user?.isBanned && !isAdmin(telegramId)) {
+        if (ctx.callbackQuery) {
+            return ctx.answerCbQuery('🚫 You are banned from using this bot.', { show_alert: true });
+        }
+        if (ctx.chat?.type === 'private' && ctx.message) {
+            return ctx.reply('🚫 You are banned from using this bot.');
+        }
+        return;
+    }
+    
+    if (user && (!user.lastActive || Date.now() - new Date(user.lastActive).getTime() > ACTIVITY_INTERVAL)) {
+        const lastActive = new Date();
+        await User.updateOne({ telegramId }, { lastActive });
+        await cache.set(`user_${telegramId}`, { ...user, lastActive }, USER_CACHE_TTL);
+    }
+    
+    const command = /^\/([a-z]\w{0,31})(@\w+)?(?=\s|$)/i.exec(ctx.message?.text || ctx.message?.caption || '');
+    const name = command && command[1].toLowerCase();
+    if (registeredCommands.has(name) && (!command[2] || command[2].slice(1).toLowerCase() === ctx.me.toLowerCase())) {
+        countUsage(`commands.${name}`);
+    }
+    
+    return next();
+});
+
+// "@label" right after a command runs it as that linked account instead of
+// the active one, e.g. /repos @work. The argument is removed before handlers
+// parse the text; mentions further on are left alone as free text.
+// Admin commands take usernames of their own.
+const ACCOUNTLESS_COMMANDS = ['broadcast', 'user'];
+
+bot.use(async (ctx, next) => {
+    const text = ctx.message?.text;
+    const mention = text && /^\/(\w+)(@\w+)?\s+@([\w.-]+)(?=\s|$)/.exec(text);
+    
+    if (!mention || ACCOUNTLESS_COMMANDS.includes(mention[1].toLowerCase())) return next();
+    
+    const label = mention[3].toLowerCase();
+    const account = await LinkedAccount.findOne({
+        telegramId: ctx.from.id.toString(),
+        $or: [{ label }, { githubUsername: new RegExp(`^${label.replace(/\./g, '\\.')}$`, 'i') }]
+    });
+    
+    if (!account) {
+        return ctx.reply(`❌ No linked account called @${mention[3]}. See /accounts`);
+    }
+    
+    ctx.state.accountId = account._id;
+    const position = mention[0].length - mention[3].length - 1;
+    ctx.message.text = (text.slice(0, position) + text.slice(mention[0].length)).replace(/\s+/, ' ').trim();
+    return next();
+});
+
+// Commands that take owner/repo as their first argument
+const REPO_ARGUMENT_COMMANDS = ['editrepo', 'deleterepo', 'listfiles', 'edit', 'deletefile', 'issues', 'newissue', 'prs', 'watch', 'unwatch', 'actions', 'dispatch', 'branches', 'compare', 'tags', 'release'];
+
+// In private chats a bare repository name gets the default owner from
+// /settings, e.g. /issues my-repo
+bot.use(async (ctx, next) => {
+    const text = ctx.message?.text;
+    const command = ctx.chat?.type === 'private' && text && /^\/(\w+)(@\w+)?\s+([\w.-]+)(?=\s|$)/.exec(text);
+    
+    if (!command || !REPO_ARGUMENT_COMMANDS.includes(command[1].toLowerCase())) return next();
+    
+    const user = await findUser(ctx.from.id.toString());
+    const owner = user?.settings?.defaultOwner;
+    
+    if (owner) {
+        const position = command[0].length - command[3].length;
+        ctx.message.text = `${text.slice(0, position)}${owner}/${text.slice(position)}`;
+    }
+    return next();
+});
+
+function isGroupChat(chat) {
+    return chat && ['group', 'supergroup'].includes(chat.type);
+}
+
+async function isChatAdmin(ctx) {
+    const member = await ctx.telegram.getChatMember(ctx.chat.id, ctx.from.id);
+    return ['creator', 'administrator'].includes(member.status);
+}
+
+async function canRunDestructive(ctx, binding) {
+    if (binding.destructive === 'members') return true;
+    if (binding.destructive === 'nobody') return false;
+    return isChatAdmin(ctx);
+}
+
+// Private repositories stay out of groups unless the member allows it in /settings
+async function isHiddenInGroup(ctx, target) {
+    const user = await loadUser(ctx.from.id.toString(), ctx.state.accountId);
+    if (!user || !user.githubAccessToken || user.settings?.showPrivateInGroups) return false;
+    
+    try {
+        const response = await githubClient(user.githubAccessToken).get(`/repos/${target.owner}/${target.repo}`);
+        return response.data.private;
+    } catch (error) {
+        // The command itself reports the error
+        return false;
+    }
+}
+
+// In groups only repository commands run, limited to the bound repositories
+// and to what the group's admins allow. Resolves to true when the update may
+// go on to its handler; otherwise the user has been told why not.
+async function checkGroupAccess(ctx) {
+    if (ctx.callbackQuery) {
+        if (!DESTRUCTIVE_CALLBACKS.test(ctx.callbackQuery.data || '')) return true;
         
-        const repos = response.data;
-        
-        // Update user's repositories
-        user.repositories = repos.map(repo => ({
-            name: repo.name,
-            full_name: repo.full_name,
-            url: repo.html_url,
-            private: repo.private
-        }));
-        await user.save();
-        
-        // Update cache
-        writeCache(cacheKey, {
-            data: repos,
-            cachedAt: new Date().toISOString()
-        });
-        
-        writeCache(`user_${telegramId}`, user);
+        const binding = await GroupBinding.findOne({ chatId: ctx.chat.id.toString() });
+        if (binding && await canRunDestructive(ctx, binding)) return true;
         
-        res.json(repos);
+        await ctx.answerCbQuery(
+            `🚫 ${binding ? DESTRUCTIVE_POLICIES[binding.destructive] : 'Nobody'} may do this in this group.`,
+            { show_alert: true }
+        );
+        return false;
+    }
+    
+    const text = ctx.message?.text;
+    const command = text && /^\/(\w+)(@\w+)?/.exec(text);
+    if (!command) return true;
+    
+    // Commands addressed to other bots are none of our business
+    if (command[2] && command[2].slice(1).toLowerCase() !== ctx.me.toLowerCase()) return true;
+    
+    const name = command[1].toLowerCase();
+    if (GROUP_ADMIN_COMMANDS.includes(name)) return true;
+    
+    const binding = GROUP_COMMANDS.includes(name) && await GroupBinding.findOne({ chatId: ctx.chat.id.toString() });
+    let refusal = null;
+    
+    if (!GROUP_COMMANDS.includes(name)) {
+        refusal = `🔒 /${name} only works in a private chat with me.`;
+    } else if (!binding || binding.repos.length === 0) {
+        refusal = 'ℹ️ This group isn\'t bound to a repository yet. A group admin can run /bind owner/repo.';
+    } else if (!binding.commands.includes(name)) {
+        refusal = `🚫 /${name} is disabled in this group.`;
+    } else if (DESTRUCTIVE_COMMANDS.includes(name) && !await canRunDestructive(ctx, binding)) {
+        refusal = `🚫 In this group /${name} is limited to: ${DESTRUCTIVE_POLICIES[binding.destructive]}.`;
+    }
+    
+    if (refusal) {
+        await ctx.reply(refusal);
+        return false;
+    }
+    if (name === 'watches') return true;
+    
+    const args = text.slice(command[0].length).split(' ').filter(Boolean);
+    let target = parseRepoPath(args[0]);
+    
+    if (!target) {
+        // With a single bound repository it can be left out
+        if (binding.repos.length !== 1) return true;
         
+        ctx.message.text = [command[0], binding.repos[0], ...args].join(' ');
+        target = parseRepoPath(binding.repos[0]);
+    } else if (!binding.repos.includes(`${target.owner}/${target.repo}`.toLowerCase())) {
+        await ctx.reply(
+            `🚫 ${target.owner}/${target.repo} isn't bound to this group.\n\n` +
+            `Bound: ${binding.repos.join(', ')}`
+        );
+        return false;
+    }
+    
+    if (await isHiddenInGroup(ctx, target)) {
+        await ctx.reply(
+            `🔒 ${target.owner}/${target.repo} is private. ` +
+            `Allow private repositories in groups under /settings in a private chat with me to use it here.`
+        );
+        return false;
+    }
+    
+    return true;
+}
+
+bot.use(async (ctx, next) => {
+    if (!isGroupChat(ctx.chat)) return next();
+    
+    let allowed = false;
+    try {
+        allowed = await checkGroupAccess(ctx);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        // Usually getChatMember failing, e.g. when the bot lost access to the group
+        console.error('Error checking group permissions:', error);
+        const message = '❌ Could not check your permissions in this group. Please try again.';
+        await (ctx.callbackQuery ? ctx.answerCbQuery(message, { show_alert: true }) : ctx.reply(message)).catch(() => {});
     }
+    
+    if (allowed) return next();
 });
 
-// Telegram Bot Commands
+// Sessions and scenes; scenes register themselves with the stage below
+const stage = new Scenes.Stage([], { ttl: 24 * 60 * 60 });
+bot.use(TelegrafSession({ store: mongoSessionStore }));
+bot.use(stage.middleware());
 
 // Start command
 bot.start(async (ctx) => {
     const telegramId = ctx.from.id.toString();
     
     try {
-        // Check cache first
-        let user = getFromCache(`user_${telegramId}`);
-        
-        if (!user) {
-            const response = await axios.get(`${process.env.FRONTEND_URL}/api/user/${telegramId}`);
-            user = response.data;
-        }
+        const user = await findUser(telegramId);
         
         if (user && user.isAgreed) {
-            if (user.githubAccessToken) {
+            if (user.isConnected) {
                 await sendMainMenu(ctx);
             } else {
                 await sendConnectPrompt(ctx);
@@ -341,13 +1541,12 @@ bot.start(async (ctx) => {
 
 async function sendAgreement(ctx) {
     const telegramId = ctx.from.id.toString();
-    const agreementUrl = `${process.env.AGREEMENT_URL}?telegramId=${telegramId}`;
+    const agreementUrl = `${process.env.AGREEMENT_URL}?token=${createWebToken(telegramId)}`;
     
     await ctx.reply(
         `📜 *Welcome to GitHub Management Bot!*\n\n` +
         `Before we begin, you need to agree to our Terms of Service.\n\n` +
-        `*Please visit:*\n` +
-        `${agreementUrl}\n\n` +
+        `Tap "📖 Read & Agree" to open them. The link is personal and expires in 1 hour.\n\n` +
         `After agreeing, return here and tap "✅ I've Agreed" below.`,
         {
             parse_mode: 'Markdown',
@@ -360,38 +1559,40 @@ async function sendAgreement(ctx) {
 }
 
 async function sendConnectPrompt(ctx) {
+    const user = await findUser(ctx.from.id.toString());
+    const t = (key, params) => translate(user?.settings?.language, key, params);
+    
     await ctx.reply(
-        `🔗 *Connect Your GitHub Account*\n\n` +
-        `To use all features, connect your GitHub account:\n\n` +
-        `Use command: /connect\n\n` +
-        `Or tap the button below to connect now.`,
+        `${t('connect.title')}\n\n${t('connect.body')}`,
         {
             parse_mode: 'Markdown',
             ...Markup.inlineKeyboard([
-                [Markup.button.callback('🔗 Connect GitHub', 'connect_github')]
+                [Markup.button.callback(t('connect.button'), 'connect_github')]
             ])
         }
     );
 }
 
 async function sendMainMenu(ctx) {
+    const user = await findUser(ctx.from.id.toString());
+    const t = (key, params) => translate(user?.settings?.language, key, params);
+    
     await ctx.reply(
-        `🎯 *GitHub Management Bot*\n\n` +
-        `Select what you want to do:`,
+        `${t('menu.title')}\n\n${t('menu.prompt')}`,
         {
             parse_mode: 'Markdown',
             ...Markup.inlineKeyboard([
                 [
-                    Markup.button.callback('📚 My Repos', 'list_repos'),
-                    Markup.button.callback('➕ Create Repo', 'create_repo')
+                    Markup.button.callback(t('menu.repos'), 'list_repos'),
+                    Markup.button.callback(t('menu.create'), 'create_repo')
                 ],
                 [
-                    Markup.button.callback('📁 Files', 'manage_files'),
-                    Markup.button.callback('⚙️ Settings', 'bot_settings')
+                    Markup.button.callback(t('menu.files'), 'manage_files'),
+                    Markup.button.callback(t('menu.settings'), 'bot_settings')
                 ],
                 [
-                    Markup.button.callback('ℹ️ About', 'about_bot'),
-                    Markup.button.callback('🆘 Help', 'show_help')
+                    Markup.button.callback(t('menu.about'), 'about_bot'),
+                    Markup.button.callback(t('menu.help'), 'show_help')
                 ]
             ])
         }
@@ -401,12 +1602,12 @@ async function sendMainMenu(ctx) {
 // Connect command
 bot.command('connect', async (ctx) => {
     const telegramId = ctx.from.id.toString();
-    const authUrl = `${process.env.FRONTEND_URL}/auth/github?telegramId=${telegramId}`;
+    const authUrl = await createOAuthLink(telegramId);
     
     await ctx.reply(
         `🔐 *Connect GitHub Account*\n\n` +
-        `Click the link below to authorize:\n\n` +
-        `${authUrl}\n\n` +
+        `Tap the button below to authorize.\n` +
+        `The link is personal and expires in ${OAUTH_STATE_TTL / 60000} minutes.\n\n` +
         `After authorization, return here.`,
         {
             parse_mode: 'Markdown',
@@ -418,12 +1619,186 @@ bot.command('connect', async (ctx) => {
     );
 });
 
+// Repository listing state, keyed by the chat and message showing the list
+const repoListings = createMessageStateStore();
+const REPOS_PAGE_SIZE = 5;
+
+const REPO_FILTERS = {
+    all: { label: 'All', test: () => true },
+    owned: { label: 'Owned', test: (repo, username) => repo.owner.login === username },
+    forked: { label: 'Forks', test: repo => repo.fork },
+    private: { label: 'Private', test: repo => repo.private },
+    archived: { label: 'Archived', test: repo => repo.archived }
+};
+
+const REPO_SORTS = {
+    updated: { label: '🕒 Updated', compare: (a, b) => new Date(b.updated_at) - new Date(a.updated_at) },
+    stars: { label: '⭐ Stars', compare: (a, b) => b.stargazers_count - a.stargazers_count }
+};
+
+function applyRepoListing(listing) {
+    const query = listing.query.toLowerCase();
+
+    listing.results = listing.repos
+        .filter(repo => REPO_FILTERS[listing.filter].test(repo, listing.githubUsername))
+        .filter(repo => !query ||
+            repo.full_name.toLowerCase().includes(query) ||
+            (repo.description || '').toLowerCase().includes(query))
+        .sort(REPO_SORTS[listing.sort].compare);
+
+    const totalPages = Math.max(1, Math.ceil(listing.results.length / listing.pageSize));
+    listing.page = Math.min(listing.page, totalPages - 1);
+}
+
+function formatDate(value, locale) {
+    if (!locale) return new Date(value).toISOString().slice(0, 10);
+    return new Date(value).toLocaleDateString(locale, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function renderRepoListing(listing) {
+    const totalPages = Math.max(1, Math.ceil(listing.results.length / listing.pageSize));
+    const start = listing.page * listing.pageSize;
+    const pageRepos = listing.results.slice(start, start + listing.pageSize);
+
+    let text = `📚 *Your Repositories (${listing.results.length})*\n` +
+        `Filter: ${REPO_FILTERS[listing.filter].label} · Sort: ${REPO_SORTS[listing.sort].label}`;
+    if (listing.query) {
+        text += ` · Search: "${escapeMarkdown(listing.query)}"`;
+    }
+    text += `\nPage ${listing.page + 1}/${totalPages}\n\n`;
+
+    if (pageRepos.length === 0) {
+        text += `_No repositories match._`;
+    }
+
+    pageRepos.forEach((repo, offset) => {
+        const badges = [repo.private ? '🔒' : '🌐', repo.fork ? '🍴' : '', repo.archived ? '🗄️' : ''].join('');
+        text += `${start + offset + 1}. *${escapeMarkdown(repo.full_name)}* ${badges}\n`;
+        text += `   📝 ${escapeMarkdown(repo.description || 'No description')}\n`;
+        text += `   🌟 ${repo.stargazers_count} · 🍴 ${repo.forks_count} · 🕒 ${formatDate(repo.updated_at, listing.locale)}\n\n`;
+    });
+
+    const rows = pageRepos.map((repo, offset) => [
+        Markup.button.callback(`${start + offset + 1}. ${repo.name}`, `rp_o_${start + offset}`)
+    ]);
+
+    const navigation = [];
+    if (listing.page > 0) {
+        navigation.push(Markup.button.callback('⬅️ Prev', `rp_p_${listing.page - 1}`));
+    }
+    if (listing.page < totalPages - 1) {
+        navigation.push(Markup.button.callback('Next ➡️', `rp_p_${listing.page + 1}`));
+    }
+    if (navigation.length > 0) {
+        rows.push(navigation);
+    }
+
+    const filterButton = key => Markup.button.callback(
+        `${listing.filter === key ? '✅ ' : ''}${REPO_FILTERS[key].label}`,
+        `rp_f_${key}`
+    );
+    rows.push(['all', 'owned', 'forked'].map(filterButton));
+    rows.push(['private', 'archived'].map(filterButton));
+
+    rows.push([
+        ...Object.keys(REPO_SORTS).map(key => Markup.button.callback(
+            `${listing.sort === key ? '✅ ' : ''}${REPO_SORTS[key].label}`,
+            `rp_s_${key}`
+        )),
+        Markup.button.callback('🔄 Refresh', 'rp_refresh')
+    ]);
+
+    return {
+        text,
+        extra: { parse_mode: 'Markdown', disable_web_page_preview: true, ...Markup.inlineKeyboard(rows) }
+    };
+}
+
+function renderRepoDetails(repo, locale) {
+    const badges = [
+        repo.private ? '🔒 Private' : '🌐 Public',
+        repo.fork ? '🍴 Fork' : null,
+        repo.archived ? '🗄️ Archived' : null
+    ].filter(Boolean).join(' · ');
+
+    let text = `📦 *${escapeMarkdown(repo.full_name)}*\n${badges}\n\n` +
+        `📝 ${escapeMarkdown(repo.description || 'No description')}\n`;
+    if (repo.homepage) {
+        text += `🔗 ${escapeMarkdown(repo.homepage)}\n`;
+    }
+
+    text += `\n⭐ ${repo.stargazers_count} stars · 🍴 ${repo.forks_count} forks · 👀 ${repo.subscribers_count ?? repo.watchers_count} watchers\n` +
+        `🐛 ${repo.open_issues_count} open issues and PRs\n` +
+        `🌿 Default branch: \`${repo.default_branch}\`\n` +
+        `💻 ${escapeMarkdown(repo.language || 'Unknown language')} · 📏 ${formatBytes(repo.size * 1024)}\n`;
+
+    if (repo.topics && repo.topics.length > 0) {
+        text += `🏷️ ${repo.topics.map(topic => escapeMarkdown(topic)).join(', ')}\n`;
+    }
+
+    text += `🕒 Updated ${formatDate(repo.updated_at, locale)} · Created ${formatDate(repo.created_at, locale)}`;
+
+    return {
+        text,
+        extra: {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            ...Markup.inlineKeyboard([
+                [
+                    Markup.button.callback('📁 Files', 'rp_files'),
+                    Markup.button.callback('🐛 Issues', 'rp_issues')
+                ],
+                [
+                    Markup.button.callback('⚙️ Settings', 'rp_settings'),
+                    Markup.button.url('🔗 Open on GitHub', repo.html_url)
+                ],
+                [Markup.button.callback('⬅️ Back to list', 'rp_back')]
+            ])
+        }
+    };
+}
+
+// Sends a new repository listing message, optionally narrowed by a search query
+async function sendRepoListing(ctx, user, query = '', { force = false } = {}) {
+    await ctx.reply('⏳ Fetching your repositories...');
+
+    const repos = await fetchRepositories(user, { force });
+
+    if (!repos || repos.length === 0) {
+        return ctx.reply(
+            `📭 *No Repositories Found*\n\n` +
+            `You don't have any repositories yet.\n\n` +
+            `Create one with /createrepo`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    const listing = {
+        telegramId: user.telegramId,
+        accountId: user.activeAccount,
+        githubUsername: user.githubUsername,
+        pageSize: pageSizeFor(user, REPOS_PAGE_SIZE),
+        locale: user.settings?.language,
+        repos,
+        query,
+        filter: 'all',
+        sort: 'updated',
+        page: 0
+    };
+    applyRepoListing(listing);
+
+    const { text, extra } = renderRepoListing(listing);
+    const message = await ctx.reply(text, extra);
+    repoListings.set(message, listing);
+}
+
 // Repos command
 bot.command('repos', async (ctx) => {
     const telegramId = ctx.from.id.toString();
+    const query = ctx.message.text.split(' ').slice(1).join(' ').trim();
     
     try {
-        const user = await User.findOne({ telegramId });
+        const user = await loadUser(telegramId, ctx.state.accountId);
         
         if (!user || !user.githubAccessToken) {
             return ctx.reply(
@@ -434,329 +1809,7766 @@ bot.command('repos', async (ctx) => {
             );
         }
         
-        await ctx.reply('⏳ Fetching your repositories...');
-        
-        const response = await axios.post(`${process.env.FRONTEND_URL}/api/github/repos`, {
-            telegramId
-        });
-        
-        const repos = response.data;
+        await sendRepoListing(ctx, user, query);
         
-        if (!repos || repos.length === 0) {
-            return ctx.reply(
-                `📭 *No Repositories Found*\n\n` +
-                `You don't have any repositories yet.\n\n` +
-                `Create one with /createrepo`,
-                { parse_mode: 'Markdown' }
-            );
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error fetching repositories*\n\n` +
+            `Please try again later.\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// Create repository wizard
+const CREATE_REPO_WIZARD = 'create-repo';
+const COMMON_GITIGNORES = ['Node', 'Python', 'Java', 'Go', 'Rust', 'C++', 'Swift', 'VisualStudio', 'Unity'];
+const REPO_TOPIC_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+// Back / Skip / Cancel row shared by every step
+function wizardKeyboard(ctx, rows = [], { skip = false } = {}) {
+    const navigation = [];
+    if (ctx.wizard.cursor > 1) {
+        navigation.push(Markup.button.callback('⬅️ Back', 'cw_back'));
+    }
+    if (skip) {
+        navigation.push(Markup.button.callback('⏭️ Skip', 'cw_skip'));
+    }
+    navigation.push(Markup.button.callback('❌ Cancel', 'cw_cancel'));
+
+    return Markup.inlineKeyboard([...rows, navigation]);
+}
+
+async function loadWizardUser(ctx) {
+    const user = await loadUser(ctx.from.id.toString(), ctx.wizard.state.accountId);
+
+    if (!user || !user.githubAccessToken) {
+        await ctx.reply(await translateFor(ctx, 'error.connect'));
+        await ctx.scene.leave();
+        return null;
+    }
+
+    return user;
+}
+
+// Choice buttons carry their step so taps on earlier prompts are ignored
+function choiceButton(ctx, label, value) {
+    return Markup.button.callback(label, `cw_v_${ctx.wizard.cursor}_${value}`);
+}
+
+// Reads the value picked with a choice button, clearing the buttons
+async function wizardChoice(ctx) {
+    if (!ctx.callbackQuery) {
+        await ctx.reply('👆 Please use the buttons above.');
+        return undefined;
+    }
+
+    const match = /^cw_v_(\d+)_(.+)$/.exec(ctx.callbackQuery?.data || '');
+    if (!match) return undefined;
+
+    if (Number(match[1]) !== ctx.wizard.cursor) {
+        await ctx.answerCbQuery('This step has already been answered.');
+        return undefined;
+    }
+
+    await ctx.answerCbQuery();
+    await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+    return match[2];
+}
+
+function describeNewRepo(state) {
+    return `*Name:* ${escapeMarkdown(state.name)}\n` +
+        `*Description:* ${state.description ? escapeMarkdown(state.description) : '_none_'}\n` +
+        `*Visibility:* ${state.private ? '🔒 Private' : '🌐 Public'}\n` +
+        `*.gitignore:* ${escapeMarkdown(state.gitignore || 'none')}\n` +
+        `*License:* ${escapeMarkdown(state.licenseName || 'none')}\n` +
+        `*README:* ${state.readme ? 'yes' : 'no'}\n` +
+        `*Topics:* ${state.topics?.length ? state.topics.map(topic => `\`${topic}\``).join(', ') : '_none_'}`;
+}
+
+// Each step prompts for one setting and handles the reply. handle returns
+// true once the step has a valid answer.
+const createRepoSteps = [
+    {
+        prompt: ctx => ctx.reply(
+            `🆕 *New Repository* (1/8)\n\n` +
+            `Send a name for the repository.\n` +
+            `Letters, numbers, "-", "_" and "." only.`,
+            { parse_mode: 'Markdown', ...wizardKeyboard(ctx) }
+        ),
+        async handle(ctx, state) {
+            const name = ctx.message?.text?.trim();
+            if (!name) return false;
+
+            if (!/^[\w.-]{1,100}$/.test(name) || name === '.' || name === '..') {
+                await ctx.reply('❌ That isn\'t a valid repository name. Try another one.');
+                return false;
+            }
+
+            const user = await loadWizardUser(ctx);
+            if (!user) return false;
+
+            try {
+                await githubClient(user.githubAccessToken).get(`/repos/${user.githubUsername}/${name}`);
+                await ctx.reply(`❌ You already have a repository called ${name}. Try another name.`);
+                return false;
+            } catch (error) {
+                if (error.response?.status !== 404) throw error;
+            }
+
+            state.name = name;
+            return true;
         }
+    },
+    {
+        field: 'description',
+        prompt: ctx => ctx.reply(
+            `📝 *Description* (2/8)\n\nSend a short description, or skip.`,
+            { parse_mode: 'Markdown', ...wizardKeyboard(ctx, [], { skip: true }) }
+        ),
+        async handle(ctx, state) {
+            const description = ctx.message?.text?.trim();
+            if (!description) return false;
+
+            state.description = description.slice(0, 350);
+            return true;
+        }
+    },
+    {
+        prompt: ctx => ctx.reply(
+            `👁️ *Visibility* (3/8)\n\nWho can see the repository?`,
+            {
+                parse_mode: 'Markdown',
+                ...wizardKeyboard(ctx, [[
+                    choiceButton(ctx, '🌐 Public', 'public'),
+                    choiceButton(ctx, '🔒 Private', 'private')
+                ]])
+            }
+        ),
+        async handle(ctx, state) {
+            const choice = await wizardChoice(ctx);
+            if (!['public', 'private'].includes(choice)) return false;
+
+            state.private = choice === 'private';
+            return true;
+        }
+    },
+    {
+        field: 'gitignore',
+        prompt: ctx => {
+            const buttons = COMMON_GITIGNORES.map(name => choiceButton(ctx, name, name));
+            const rows = [];
+            for (let i = 0; i < buttons.length; i += 3) {
+                rows.push(buttons.slice(i, i + 3));
+            }
+
+            return ctx.reply(
+                `🙈 *.gitignore Template* (4/8)\n\n` +
+                `Pick a template, send the name of any other GitHub template, or skip.`,
+                { parse_mode: 'Markdown', ...wizardKeyboard(ctx, rows, { skip: true }) }
+            );
+        },
+        async handle(ctx, state) {
+            const choice = ctx.message ? ctx.message.text.trim() : await wizardChoice(ctx);
+            if (!choice) return false;
+
+            const user = await loadWizardUser(ctx);
+            if (!user) return false;
+
+            const response = await githubClient(user.githubAccessToken).get('/gitignore/templates');
+            const template = response.data.find(name => name.toLowerCase() === choice.toLowerCase());
+
+            if (!template) {
+                await ctx.reply(`❌ GitHub has no "${choice}" template. Try another name or skip.`);
+                return false;
+            }
+
+            state.gitignore = template;
+            return true;
+        }
+    },
+    {
+        field: 'license',
+        async prompt(ctx) {
+            const user = await loadWizardUser(ctx);
+            if (!user) return;
+
+            const response = await githubClient(user.githubAccessToken).get('/licenses');
+            const buttons = response.data.map(license => choiceButton(ctx, license.spdx_id, license.key));
+            const rows = [];
+            for (let i = 0; i < buttons.length; i += 3) {
+                rows.push(buttons.slice(i, i + 3));
+            }
+
+            await ctx.reply(
+                `⚖️ *License* (5/8)\n\nPick a license, or skip for none.`,
+                { parse_mode: 'Markdown', ...wizardKeyboard(ctx, rows, { skip: true }) }
+            );
+        },
+        async handle(ctx, state) {
+            const key = await wizardChoice(ctx);
+            if (!key) return false;
+
+            const user = await loadWizardUser(ctx);
+            if (!user) return false;
+
+            const response = await githubClient(user.githubAccessToken).get(`/licenses/${key}`);
+            state.license = key;
+            state.licenseName = response.data.spdx_id;
+            return true;
+        }
+    },
+    {
+        prompt: ctx => ctx.reply(
+            `📖 *README* (6/8)\n\nStart the repository with a README?`,
+            {
+                parse_mode: 'Markdown',
+                ...wizardKeyboard(ctx, [[
+                    choiceButton(ctx, '✅ Yes', 'yes'),
+                    choiceButton(ctx, '❌ No', 'no')
+                ]])
+            }
+        ),
+        async handle(ctx, state) {
+            const choice = await wizardChoice(ctx);
+            if (!['yes', 'no'].includes(choice)) return false;
+
+            state.readme = choice === 'yes';
+            return true;
+        }
+    },
+    {
+        field: 'topics',
+        prompt: ctx => ctx.reply(
+            `🏷️ *Topics* (7/8)\n\n` +
+            `Send topics separated by commas, e.g. \`telegram, bot, nodejs\`, or skip.`,
+            { parse_mode: 'Markdown', ...wizardKeyboard(ctx, [], { skip: true }) }
+        ),
+        async handle(ctx, state) {
+            const text = ctx.message?.text;
+            if (!text) return false;
+
+            const topics = [...new Set(text.split(',').map(topic => topic.trim().toLowerCase().replace(/\s+/g, '-')).filter(Boolean))];
+            const invalid = topics.filter(topic => !REPO_TOPIC_PATTERN.test(topic));
+
+            if (invalid.length > 0 || topics.length > 20) {
+                await ctx.reply(
+                    `❌ Topics use lowercase letters, numbers and "-", up to 50 characters, 20 at most.\n` +
+                    (invalid.length > 0 ? `Invalid: ${invalid.join(', ')}` : '')
+                );
+                return false;
+            }
+
+            state.topics = topics;
+            return true;
+        }
+    },
+    {
+        prompt: (ctx, state) => ctx.reply(
+            `✅ *Create this repository?* (8/8)\n\n${describeNewRepo(state)}`,
+            {
+                parse_mode: 'Markdown',
+                ...wizardKeyboard(ctx, [[choiceButton(ctx, '🚀 Create Repository', 'create')]])
+            }
+        ),
+        async handle(ctx, state) {
+            if (await wizardChoice(ctx) !== 'create') return false;
+
+            const user = await loadWizardUser(ctx);
+            if (!user) return false;
+
+            await ctx.scene.leave();
+            await createRepository(ctx, user, {
+                name: state.name,
+                description: state.description,
+                private: state.private,
+                auto_init: state.readme,
+                gitignore_template: state.gitignore,
+                license_template: state.license
+            }, state.topics);
+            return false;
+        }
+    }
+];
+
+async function promptWizardStep(ctx) {
+    await createRepoSteps[ctx.wizard.cursor - 1].prompt(ctx, ctx.wizard.state);
+}
+
+const createRepoWizard = new Scenes.WizardScene(
+    CREATE_REPO_WIZARD,
+    // The entering update only starts the wizard
+    async (ctx) => {
+        ctx.wizard.next();
+        await promptWizardStep(ctx);
+    },
+    ...createRepoSteps.map(step => async (ctx, next) => {
+        const text = ctx.message?.text;
+
+        // Other buttons and uploads keep working while the wizard is open
+        if (ctx.callbackQuery ? !ctx.callbackQuery.data?.startsWith('cw_') : !text) {
+            return next();
+        }
+
+        // Any other command ends the wizard and runs as usual
+        if (text && text.startsWith('/')) {
+            await ctx.scene.leave();
+            if (/^\/cancel(@\w+)?$/.test(text.trim())) {
+                return ctx.reply('❌ Repository creation cancelled.');
+            }
+            return next();
+        }
+
+        try {
+            if (!await step.handle(ctx, ctx.wizard.state)) return;
+            ctx.wizard.next();
+            await promptWizardStep(ctx);
+        } catch (error) {
+            await ctx.reply(
+                `❌ *Error*\n\n` +
+                `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+                { parse_mode: 'Markdown' }
+            );
+        }
+    })
+);
+
+createRepoWizard.action('cw_back', async (ctx) => {
+    await ctx.answerCbQuery();
+    await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+    if (ctx.wizard.cursor > 1) {
+        ctx.wizard.back();
+    }
+    await promptWizardStep(ctx);
+});
+
+createRepoWizard.action('cw_skip', async (ctx) => {
+    const step = createRepoSteps[ctx.wizard.cursor - 1];
+    if (!step.field) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery();
+    await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+    delete ctx.wizard.state[step.field];
+    if (step.field === 'license') delete ctx.wizard.state.licenseName;
+
+    ctx.wizard.next();
+    await promptWizardStep(ctx);
+});
+
+createRepoWizard.action('cw_cancel', async (ctx) => {
+    await ctx.answerCbQuery('Cancelled');
+    await ctx.scene.leave();
+    await editOrIgnore(ctx, '❌ Repository creation cancelled.');
+});
+
+stage.register(createRepoWizard);
+
+function startCreateRepoWizard(ctx) {
+    return ctx.scene.enter(CREATE_REPO_WIZARD, { accountId: ctx.state.accountId && String(ctx.state.accountId) });
+}
+
+// Creates the repository and reports back; topics need a second request
+async function createRepository(ctx, user, settings, topics = []) {
+    try {
+        await ctx.reply('⏳ Creating repository...');
         
-        let message = `📚 *Your Repositories (${repos.length})*\n\n`;
-        
-        repos.slice(0, 5).forEach((repo, index) => {
-            message += `${index + 1}. *${repo.full_name}*\n`;
-            message += `   📝 ${repo.description || 'No description'}\n`;
-            message += `   🌟 ${repo.stargazers_count} stars\n`;
-            message += `   ${repo.private ? '🔒 Private' : '🌐 Public'}\n\n`;
-        });
+        const github = githubClient(user.githubAccessToken);
+        const response = await github.post('/user/repos', settings);
+        await cache.deletePrefix(`repos_${user.telegramId}_`);
         
-        if (repos.length > 5) {
-            message += `... and ${repos.length - 5} more repositories.\n`;
+        const repo = response.data;
+        if (topics.length > 0) {
+            await github.put(`/repos/${repo.full_name}/topics`, { names: topics });
         }
         
-        await ctx.reply(message, {
+        await ctx.reply(
+            `✅ *Repository Created!*\n\n` +
+            `*Name:* ${escapeMarkdown(repo.full_name)}\n` +
+            `*URL:* ${repo.html_url}\n` +
+            `*Status:* ${repo.private ? '🔒 Private' : '🌐 Public'}\n\n` +
+            `You can now push code to this repository.`,
+            {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([
+                    [Markup.button.url('🔗 Open Repository', repo.html_url)]
+                ])
+            }
+        );
+        
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error creating repository*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+}
+
+// Splits command arguments on spaces, keeping "quoted text" together
+function parseArguments(text) {
+    const args = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const quoted = match[1] ?? match[2];
+        args.push({ value: quoted ?? match[3], quoted: quoted !== undefined });
+    }
+
+    return args;
+}
+
+// Create repo command
+bot.command('createrepo', startCreateRepoWizard);
+
+// New repo command: quick creation in one line, or the wizard without arguments
+bot.command('newrepo', async (ctx) => {
+    const args = parseArguments(ctx.message.text.split(' ').slice(1).join(' '));
+    
+    if (args.length < 1) {
+        return startCreateRepoWizard(ctx);
+    }
+    
+    // Only a bare, unquoted "private" at the end sets the visibility
+    const last = args[args.length - 1];
+    const isPrivate = args.length > 1 && !last.quoted && last.value.toLowerCase() === 'private';
+    const name = args[0].value;
+    const description = args.slice(1, isPrivate ? -1 : undefined).map(arg => arg.value).join(' ');
+    
+    const user = await getConnectedUser(ctx);
+    if (!user) return;
+    
+    await createRepository(ctx, user, {
+        name,
+        description,
+        private: isPrivate,
+        auto_init: true
+    });
+});
+
+// Repository settings editor state, keyed by the chat and message showing it
+const repoEditors = createMessageStateStore();
+
+const REPO_FEATURES = {
+    issues: { label: 'Issues', field: 'has_issues' },
+    wiki: { label: 'Wiki', field: 'has_wiki' },
+    projects: { label: 'Projects', field: 'has_projects' }
+};
+
+// Text fields edited by replying to a prompt; "-" clears optional ones
+const REPO_TEXT_FIELDS = {
+    name: { label: 'name', prompt: 'Send the new repository name.' },
+    description: { label: 'description', prompt: 'Send the new description, or "-" to clear it.' },
+    homepage: { label: 'homepage', prompt: 'Send the new homepage URL, or "-" to clear it.' },
+    topics: { label: 'topics', prompt: 'Send the topics separated by commas, or "-" to clear them.' }
+};
+
+function renderRepoEditor(editor) {
+    const repo = editor.data;
+    const features = Object.values(REPO_FEATURES)
+        .map(feature => `${feature.label} ${repo[feature.field] ? '✅' : '❌'}`)
+        .join(' · ');
+
+    const text = `⚙️ *Settings: ${escapeMarkdown(repo.full_name)}*\n\n` +
+        `Name: \`${repo.name}\`\n` +
+        `Description: ${escapeMarkdown(repo.description || '—')}\n` +
+        `Homepage: ${escapeMarkdown(repo.homepage || '—')}\n` +
+        `Topics: ${escapeMarkdown((repo.topics || []).join(', ') || '—')}\n` +
+        `Visibility: ${repo.private ? '🔒 Private' : '🌐 Public'}\n` +
+        `Status: ${repo.archived ? '🗄️ Archived (read-only)' : '✅ Active'}\n` +
+        `Default branch: \`${repo.default_branch}\`\n` +
+        `Features: ${features}`;
+
+    return {
+        text,
+        extra: {
             parse_mode: 'Markdown',
+            disable_web_page_preview: true,
             ...Markup.inlineKeyboard([
                 [
-                    Markup.button.callback('🔄 Refresh', 'refresh_repos'),
-                    Markup.button.callback('📁 View All', 'view_all_repos')
-                ]
+                    Markup.button.callback('✏️ Rename', 're_f_name'),
+                    Markup.button.callback('📝 Description', 're_f_description')
+                ],
+                [
+                    Markup.button.callback('🔗 Homepage', 're_f_homepage'),
+                    Markup.button.callback('🏷️ Topics', 're_f_topics')
+                ],
+                [
+                    Markup.button.callback(repo.private ? '🌐 Make Public' : '🔒 Make Private', 're_vis'),
+                    Markup.button.callback(repo.archived ? '📤 Unarchive' : '🗄️ Archive', 're_arch')
+                ],
+                [Markup.button.callback('🌿 Default Branch', 're_branches')],
+                Object.entries(REPO_FEATURES).map(([key, feature]) => Markup.button.callback(
+                    `${feature.label} ${repo[feature.field] ? '✅' : '❌'}`,
+                    `re_t_${key}`
+                )),
+                [Markup.button.callback('🗑️ Delete Repository', 're_delete')]
             ])
-        });
+        }
+    };
+}
+
+// Redraws an editor message; works from both callbacks and text replies
+async function updateRepoEditor(telegram, message, editor) {
+    const { text, extra } = renderRepoEditor(editor);
+
+    try {
+        await telegram.editMessageText(message.chat.id, message.message_id, undefined, text, extra);
+    } catch (error) {
+        if (!String(error.description || error.message).includes('message is not modified')) {
+            throw error;
+        }
+    }
+}
+
+async function updateRepository(token, editor, changes) {
+    const response = await githubClient(token).patch(`/repos/${editor.data.full_name}`, changes);
+    editor.data = { ...editor.data, ...response.data, topics: response.data.topics || editor.data.topics };
+    await cache.deletePrefix(`repos_${editor.telegramId}_`);
+}
+
+async function openRepoEditor(ctx, user, owner, repo) {
+    const response = await githubClient(user.githubAccessToken).get(`/repos/${owner}/${repo}`);
+
+    if (!response.data.permissions?.admin) {
+        return ctx.reply(`❌ You need admin access to change the settings of ${response.data.full_name}.`);
+    }
+
+    const editor = { telegramId: user.telegramId, accountId: user.activeAccount, data: response.data };
+    const { text, extra } = renderRepoEditor(editor);
+    const message = await ctx.reply(text, extra);
+    repoEditors.set(message, editor);
+}
+
+// Asks the user to type the repository name back before deleting it
+async function promptRepoDeletion(ctx, fullName, accountId) {
+    const token = createPendingAction(ctx.from.id.toString(), 'delete_repo', { fullName, accountId });
+    awaitInput(ctx.from.id.toString(), 'delete_repo_confirm', { token });
+
+    await ctx.reply(
+        `🚨 *Delete Repository*\n\n` +
+        `This will permanently delete \`${fullName}\` including its issues, pull requests, wiki and releases. ` +
+        `This cannot be undone.\n\n` +
+        `To confirm, type the full repository name:\n\`${fullName}\``,
+        {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                [Markup.button.callback('❌ Cancel', `drp_no_${token}`)]
+            ])
+        }
+    );
+}
+
+// Edit repo command
+bot.command('editrepo', async (ctx) => {
+    const target = parseRepoPath(ctx.message.text.split(' ')[1]);
+    
+    if (!target) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/editrepo [owner]/[repo]\`\n\n` +
+            `*Example:*\n` +
+            `\`/editrepo octocat/Hello-World\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+        
+        await openRepoEditor(ctx, user, target.owner, target.repo);
         
     } catch (error) {
         await ctx.reply(
-            `❌ *Error fetching repositories*\n\n` +
-            `Please try again later.\n\n` +
-            `Error: ${error.message}`,
+            `❌ *Error loading repository*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// Delete repo command
+bot.command('deleterepo', async (ctx) => {
+    const target = parseRepoPath(ctx.message.text.split(' ')[1]);
+    
+    if (!target) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/deleterepo [owner]/[repo]\`\n\n` +
+            `*Example:*\n` +
+            `\`/deleterepo octocat/old-project\``,
             { parse_mode: 'Markdown' }
         );
     }
+    
+    const user = await getConnectedUser(ctx);
+    if (!user) return;
+    
+    await promptRepoDeletion(ctx, `${target.owner}/${target.repo}`, user.activeAccount);
+});
+
+// Files command
+bot.command('files', async (ctx) => {
+    await ctx.reply(
+        `📁 *Manage Repository Files*\n\n` +
+        `To view files, use:\n\n` +
+        `\`/listfiles [owner]/[repo] [path] [branch]\`\n\n` +
+        `*Example:*\n` +
+        `\`/listfiles octocat/Hello-World\`\n\n` +
+        `To delete a file:\n` +
+        `\`/deletefile [owner]/[repo] [file-path]\`\n\n` +
+        `To upload files, just send them here as documents or photos.`,
+        { parse_mode: 'Markdown' }
+    );
+});
+
+// File browser state, keyed by the chat and message showing the listing
+const fileBrowsers = createMessageStateStore();
+const FILE_BROWSER_PAGE_SIZE = 10;
+const MAX_INLINE_FILE_SIZE = 3000;
+const MAX_DOCUMENT_SIZE = 50 * 1024 * 1024;
+
+async function getFileBrowser(ctx) {
+    const browser = fileBrowsers.get(ctx.callbackQuery.message);
+
+    if (!browser || browser.telegramId !== ctx.from.id.toString()) {
+        await ctx.answerCbQuery('⌛ This file browser has expired. Run /listfiles again.', { show_alert: true });
+        return null;
+    }
+
+    return browser;
+}
+
+async function loadDirectory(token, browser) {
+    const response = await githubClient(token).get(
+        `/repos/${browser.owner}/${browser.repo}/contents/${encodeGitHubPath(browser.path)}`,
+        { params: { ref: browser.branch } }
+    );
+
+    if (!Array.isArray(response.data)) {
+        throw new Error(`${browser.path} is a file, not a directory`);
+    }
+
+    // Folders first, then files, both alphabetically
+    browser.entries = response.data
+        .map(entry => ({ name: entry.name, path: entry.path, type: entry.type, size: entry.size }))
+        .sort((a, b) => {
+            if ((a.type === 'dir') !== (b.type === 'dir')) {
+                return a.type === 'dir' ? -1 : 1;
+            }
+            return a.name.localeCompare(b.name);
+        });
+    browser.page = 0;
+}
+
+function renderFileBrowser(browser) {
+    const totalPages = Math.max(1, Math.ceil(browser.entries.length / browser.pageSize));
+    const start = browser.page * browser.pageSize;
+    const pageEntries = browser.entries.slice(start, start + browser.pageSize);
+
+    let text = `📁 *${escapeMarkdown(`${browser.owner}/${browser.repo}`)}*\n` +
+        `🌿 Branch: \`${browser.branch}\`\n` +
+        `📂 Path: \`/${browser.path}\`\n\n`;
+
+    if (browser.entries.length === 0) {
+        text += `_This directory is empty._`;
+    } else {
+        text += `${browser.entries.length} items · Page ${browser.page + 1}/${totalPages}`;
+    }
+
+    const rows = pageEntries.map((entry, offset) => {
+        const icon = entry.type === 'dir' ? '📁' : entry.type === 'submodule' ? '🔗' : '📄';
+        const label = entry.type === 'dir' ? `${icon} ${entry.name}/` : `${icon} ${entry.name} (${formatBytes(entry.size)})`;
+        return [Markup.button.callback(label, `lf_open_${start + offset}`)];
+    });
+
+    const navigation = [];
+    if (browser.page > 0) {
+        navigation.push(Markup.button.callback('⬅️ Prev', `lf_page_${browser.page - 1}`));
+    }
+    if (browser.path) {
+        navigation.push(Markup.button.callback('⬆️ Up', 'lf_up'));
+    }
+    if (browser.page < totalPages - 1) {
+        navigation.push(Markup.button.callback('Next ➡️', `lf_page_${browser.page + 1}`));
+    }
+    if (navigation.length > 0) {
+        rows.push(navigation);
+    }
+
+    rows.push([
+        Markup.button.callback('🌿 Switch Branch', 'lf_branches'),
+        Markup.button.callback('🔄 Refresh', 'lf_refresh')
+    ]);
+    rows.push([
+        Markup.button.url('🔗 Open on GitHub', `https://github.com/${browser.owner}/${browser.repo}/tree/${encodeURIComponent(browser.branch)}/${encodeGitHubPath(browser.path)}`)
+    ]);
+
+    return {
+        text,
+        extra: { parse_mode: 'Markdown', ...Markup.inlineKeyboard(rows) }
+    };
+}
+
+// A buffer is treated as text if it has no NUL bytes in its first 8 KB
+function isTextBuffer(buffer) {
+    return !buffer.subarray(0, 8000).includes(0);
+}
+
+async function sendRepositoryFile(ctx, token, browser, entry) {
+    const fileUrl = `https://github.com/${browser.owner}/${browser.repo}/blob/${encodeURIComponent(browser.branch)}/${encodeGitHubPath(entry.path)}`;
+
+    if (entry.size > MAX_DOCUMENT_SIZE) {
+        return ctx.reply(
+            `📄 *${escapeMarkdown(entry.name)}* is ${formatBytes(entry.size)}, which is too large to send through Telegram.`,
+            {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([[Markup.button.url('🔗 Open on GitHub', fileUrl)]])
+            }
+        );
+    }
+
+    // The raw media type returns the file body directly and works for files over 1 MB
+    const response = await githubClient(token).get(
+        `/repos/${browser.owner}/${browser.repo}/contents/${encodeGitHubPath(entry.path)}`,
+        {
+            params: { ref: browser.branch },
+            headers: { 'Accept': 'application/vnd.github.raw' },
+            responseType: 'arraybuffer'
+        }
+    );
+
+    const buffer = Buffer.from(response.data);
+
+    if (buffer.length <= MAX_INLINE_FILE_SIZE && isTextBuffer(buffer)) {
+        const message = `📄 <b>${escapeHtml(entry.path)}</b> (${browser.branch})\n\n` +
+            `<pre>${escapeHtml(buffer.toString('utf8')) || ' '}</pre>`;
+
+        if (message.length <= 4096) {
+            return ctx.reply(message, {
+                parse_mode: 'HTML',
+                ...Markup.inlineKeyboard([[Markup.button.url('🔗 Open on GitHub', fileUrl)]])
+            });
+        }
+    }
+
+    await ctx.replyWithDocument(
+        { source: buffer, filename: entry.name },
+        { caption: `📄 ${entry.path} (${browser.branch}) · ${formatBytes(buffer.length)}` }
+    );
+}
+
+// Sends a new file browser message, defaulting to the repository's default branch
+async function openFileBrowser(ctx, user, owner, repo, folder, branch) {
+    if (!branch) {
+        branch = await resolveBranch(githubClient(user.githubAccessToken), user, owner, repo);
+    }
+
+    const browser = {
+        telegramId: ctx.from.id.toString(),
+        accountId: user.activeAccount,
+        pageSize: pageSizeFor(user, FILE_BROWSER_PAGE_SIZE),
+        owner,
+        repo,
+        branch,
+        path: (folder || '').replace(/^\/+|\/+$/g, ''),
+        entries: [],
+        page: 0
+    };
+
+    await loadDirectory(user.githubAccessToken, browser);
+
+    const { text, extra } = renderFileBrowser(browser);
+    const message = await ctx.reply(text, extra);
+    fileBrowsers.set(message, browser);
+}
+
+// List files command
+bot.command('listfiles', async (ctx) => {
+    const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    const target = parseRepoPath(args[0]);
+
+    if (!target) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/listfiles [owner]/[repo] [path] [branch]\`\n\n` +
+            `*Example:*\n` +
+            `\`/listfiles octocat/Hello-World\`\n` +
+            `\`/listfiles octocat/Hello-World src main\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+
+        await openFileBrowser(ctx, user, target.owner, target.repo, args[1], args[2]);
+
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error listing files*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// Edit file command
+const MAX_EDIT_FILE_SIZE = 200 * 1024;
+const MAX_DIFF_PREVIEW = 3000;
+
+// The user's reply as the file's new content: sed substitutions, a unified
+// diff or the complete replacement text
+async function applyFileEdit(content, reply) {
+    if (isSedCommand(reply)) return applySedCommands(content, reply);
+    if (/^@@ -\d+/m.test(reply)) return applyUnifiedDiff(content, reply);
+
+    // Telegram drops the final newline of a message
+    return content.endsWith('\n') && !reply.endsWith('\n') ? `${reply}\n` : reply;
+}
+
+function renderEditPreview(action, token) {
+    const { owner, repo, filePath, branch, content, updated, message } = action.data;
+    const diff = createUnifiedDiff(content, updated, { path: filePath });
+
+    let shown = diff;
+    while (escapeHtml(shown).length > MAX_DIFF_PREVIEW) {
+        shown = shown.slice(0, shown.lastIndexOf('\n', Math.floor(shown.length * 0.8)));
+    }
+    if (shown !== diff) {
+        shown += '\n… (diff truncated)';
+    }
+
+    return {
+        text: `📝 <b>Review Changes</b>\n\n` +
+            `Repository: <code>${escapeHtml(`${owner}/${repo}`)}</code>\n` +
+            `File: <code>${escapeHtml(filePath)}</code>\n` +
+            `Commit message: ${escapeHtml(message)}\n\n` +
+            `<pre>${escapeHtml(shown)}</pre>\n\n` +
+            `Send another change to keep editing.`,
+        extra: {
+            parse_mode: 'HTML',
+            ...Markup.inlineKeyboard([
+                [Markup.button.callback(`✅ Commit to ${branch}`, `ed_ok_${token}`)],
+                [Markup.button.callback('🔀 Commit to New Branch & Open PR', `ed_pr_${token}`)],
+                [
+                    Markup.button.callback('✏️ Edit Commit Message', `ed_msg_${token}`),
+                    Markup.button.callback('❌ Cancel', `ed_no_${token}`)
+                ]
+            ])
+        }
+    };
+}
+
+bot.command('edit', async (ctx) => {
+    const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    const target = parseRepoPath(args[0]);
+    const filePath = (args[1] || '').replace(/^\/+/, '');
+
+    if (!target || !filePath) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/edit [owner]/[repo] [file path] [branch]\`\n\n` +
+            `*Example:*\n` +
+            `\`/edit octocat/Hello-World README.md\`\n` +
+            `\`/edit octocat/Hello-World package.json develop\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+
+        const github = githubClient(user.githubAccessToken);
+        const repoResponse = await github.get(`/repos/${target.owner}/${target.repo}`);
+
+        if (!repoResponse.data.permissions?.push) {
+            return ctx.reply(`❌ You don't have write access to ${repoResponse.data.full_name}.`);
+        }
+
+        const branch = args[2] || await resolveBranch(github, user, target.owner, target.repo, repoResponse.data.default_branch);
+        const response = await github.get(
+            `/repos/${target.owner}/${target.repo}/contents/${encodeGitHubPath(filePath)}`,
+            { params: { ref: branch } }
+        );
+        const file = response.data;
+
+        if (Array.isArray(file) || file.type !== 'file') {
+            return ctx.reply(`❌ ${filePath} is not a file.`);
+        }
+        if (file.size > MAX_EDIT_FILE_SIZE || file.encoding !== 'base64') {
+            return ctx.reply(`❌ ${filePath} is ${formatBytes(file.size)}. Only files up to ${formatBytes(MAX_EDIT_FILE_SIZE)} can be edited here.`);
+        }
+
+        const buffer = Buffer.from(file.content, 'base64');
+        if (!isTextBuffer(buffer)) {
+            return ctx.reply(`❌ ${filePath} is a binary file and can't be edited as text.`);
+        }
+
+        const telegramId = ctx.from.id.toString();
+        const content = buffer.toString('utf8');
+        const token = createPendingAction(telegramId, 'edit_file', {
+            accountId: user.activeAccount,
+            owner: target.owner,
+            repo: target.repo,
+            filePath: file.path,
+            branch,
+            // The blob SHA the edit is based on; GitHub rejects the commit if the file changed since
+            sha: file.sha,
+            content,
+            updated: content,
+            message: `Update ${file.path}`
+        });
+
+        const current = `📄 <b>${escapeHtml(file.path)}</b> (${escapeHtml(branch)})\n\n<pre>${escapeHtml(content) || ' '}</pre>`;
+        if (current.length <= 4096) {
+            await ctx.reply(current, { parse_mode: 'HTML' });
+        } else {
+            await ctx.replyWithDocument(
+                { source: buffer, filename: file.name },
+                { caption: `📄 ${file.path} (${branch}) · ${formatBytes(buffer.length)}` }
+            );
+        }
+
+        awaitInput(telegramId, 'edit_content', { token });
+        await ctx.reply(
+            `✏️ *Editing* \`${file.path}\` on \`${branch}\`\n\n` +
+            `Reply with one of:\n` +
+            `• the complete new content\n` +
+            `• a substitution such as \`s/old/new/g\` (one per line)\n` +
+            `• a unified diff\n\n` +
+            `You'll see a diff before anything is committed.`,
+            {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([[Markup.button.callback('❌ Cancel', `ed_no_${token}`)]])
+            }
+        );
+
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error opening file*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+inputHandlers.edit_content = async (ctx, text, { token }) => {
+    const telegramId = ctx.from.id.toString();
+    const action = getPendingAction(token, telegramId, 'edit_file');
+
+    if (!action) {
+        return ctx.reply('⌛ This edit has expired. Run /edit again.');
+    }
+
+    let updated;
+    try {
+        updated = await applyFileEdit(action.data.updated, text);
+    } catch (error) {
+        awaitInput(telegramId, 'edit_content', { token });
+        return ctx.reply(`❌ ${error.message}. Send another change.`);
+    }
+
+    awaitInput(telegramId, 'edit_content', { token });
+
+    if (updated === action.data.content) {
+        action.data.updated = updated;
+        return ctx.reply('ℹ️ The file is unchanged. Send a change to make.');
+    }
+
+    action.data.updated = updated;
+    const { text: preview, extra } = renderEditPreview(action, token);
+    await ctx.reply(preview, extra);
+};
+
+// Delete file command
+function renderDeleteConfirmation(action, token) {
+    const { owner, repo, filePath, branch, message } = action.data;
+
+    return {
+        text: `⚠️ *Delete File*\n\n` +
+            `Repository: \`${owner}/${repo}\`\n` +
+            `File: \`${filePath}\`\n` +
+            `Branch: \`${branch || 'default'}\`\n` +
+            `Commit message: ${escapeMarkdown(message)}\n\n` +
+            `Are you sure you want to delete this file?`,
+        extra: {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                [
+                    Markup.button.callback('✅ Yes, Delete', `del_ok_${token}`),
+                    Markup.button.callback('❌ Cancel', `del_no_${token}`)
+                ],
+                [Markup.button.callback('✏️ Edit Commit Message', `del_msg_${token}`)]
+            ])
+        }
+    };
+}
+
+bot.command('deletefile', async (ctx) => {
+    const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    const target = parseRepoPath(args[0]);
+    
+    if (!target || args.length < 2) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/deletefile [owner]/[repo] [file-path] [branch]\`\n\n` +
+            `*Example:*\n` +
+            `\`/deletefile octocat/Hello-World README.md\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    const filePath = args[1].replace(/^\/+/, '');
+    const token = createPendingAction(ctx.from.id.toString(), 'delete_file', {
+        accountId: ctx.state.accountId,
+        owner: target.owner,
+        repo: target.repo,
+        filePath,
+        branch: args[2],
+        message: `Delete ${filePath}`
+    });
+    
+    const { text, extra } = renderDeleteConfirmation(pendingActions.get(token), token);
+    await ctx.reply(text, extra);
+});
+
+// Issue menu state, keyed by the chat and message showing the list or an issue
+const issueMenus = createMessageStateStore();
+const ISSUES_PAGE_SIZE = 5;
+const ISSUE_STATES = { open: '🟢 Open', closed: '🔴 Closed', all: '📋 All' };
+
+function truncate(text, length) {
+    const value = String(text || '');
+    return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+// The issues endpoint mixes in pull requests. They are dropped and GitHub
+// pages are fetched ahead until the menu page is full; menu.cursors keeps
+// where each menu page starts in GitHub's listing.
+const ISSUES_FETCH_SIZE = 100;
+const ISSUES_MAX_FETCHES = 5;
+
+async function loadIssues(token, menu) {
+    if (menu.page === 0 || !menu.cursors?.[menu.page]) {
+        menu.page = 0;
+        menu.cursors = [{ page: 1, offset: 0 }];
+    }
+
+    const github = githubClient(token);
+    const issues = [];
+    let { page, offset } = menu.cursors[menu.page];
+    let next = null;
+
+    for (let fetches = 0; fetches < ISSUES_MAX_FETCHES && !next; fetches++) {
+        const response = await github.get(`/repos/${menu.owner}/${menu.repo}/issues`, {
+            params: {
+                state: menu.state,
+                labels: menu.label || undefined,
+                sort: 'created',
+                direction: 'desc',
+                per_page: ISSUES_FETCH_SIZE,
+                page
+            }
+        });
+
+        for (let index = offset; index < response.data.length && !next; index++) {
+            if (response.data[index].pull_request) continue;
+
+            if (issues.length === menu.pageSize) {
+                next = { page, offset: index };
+            } else {
+                issues.push(response.data[index]);
+            }
+        }
+
+        if (response.data.length < ISSUES_FETCH_SIZE) break;
+        page++;
+        offset = 0;
+        // Out of fetches: the page may come up short, but the listing goes on
+        if (fetches === ISSUES_MAX_FETCHES - 1 && !next) next = { page, offset };
+    }
+
+    menu.issues = issues;
+    menu.hasNext = Boolean(next);
+    menu.cursors = menu.cursors.slice(0, menu.page + 1);
+    if (next) menu.cursors.push(next);
+}
+
+function renderIssueList(menu) {
+    let text = `🐛 *Issues: ${escapeMarkdown(`${menu.owner}/${menu.repo}`)}*\n` +
+        `State: ${ISSUE_STATES[menu.state]} · Label: ${escapeMarkdown(menu.label || 'any')}\n` +
+        `Page ${menu.page + 1}\n\n`;
+
+    if (menu.issues.length === 0) {
+        text += `_No issues on this page._`;
+    }
+
+    menu.issues.forEach(issue => {
+        const labels = issue.labels.map(label => label.name).join(', ');
+        text += `${issue.state === 'open' ? '🟢' : '🔴'} *#${issue.number}* ${escapeMarkdown(truncate(issue.title, 80))}\n`;
+        text += `   👤 ${escapeMarkdown(issue.user.login)} · 💬 ${issue.comments} · 🕒 ${formatDate(issue.updated_at, menu.locale)}`;
+        text += labels ? ` · 🏷️ ${escapeMarkdown(labels)}\n\n` : `\n\n`;
+    });
+
+    const rows = menu.issues.map((issue, index) => [
+        Markup.button.callback(`#${issue.number} ${truncate(issue.title, 40)}`, `is_o_${index}`)
+    ]);
+
+    const navigation = [];
+    if (menu.page > 0) {
+        navigation.push(Markup.button.callback('⬅️ Prev', `is_p_${menu.page - 1}`));
+    }
+    if (menu.hasNext) {
+        navigation.push(Markup.button.callback('Next ➡️', `is_p_${menu.page + 1}`));
+    }
+    if (navigation.length > 0) {
+        rows.push(navigation);
+    }
+
+    rows.push(Object.entries(ISSUE_STATES).map(([state, label]) => Markup.button.callback(
+        `${menu.state === state ? '✅ ' : ''}${label}`,
+        `is_s_${state}`
+    )));
+    rows.push([
+        Markup.button.callback('🏷️ Filter Label', 'is_labels'),
+        Markup.button.callback('🔄 Refresh', 'is_refresh')
+    ]);
+
+    return {
+        text,
+        extra: { parse_mode: 'Markdown', disable_web_page_preview: true, ...Markup.inlineKeyboard(rows) }
+    };
+}
+
+// Loads an issue with its last few comments into the menu
+async function loadIssueDetails(token, menu, number) {
+    const github = githubClient(token);
+    const issueUrl = `/repos/${menu.owner}/${menu.repo}/issues/${number}`;
+    const issue = (await github.get(issueUrl)).data;
+
+    let comments = [];
+    if (issue.comments > 0) {
+        // Request the last page so the newest comments come back
+        const response = await github.get(`${issueUrl}/comments`, {
+            params: { per_page: 100, page: Math.ceil(issue.comments / 100) }
+        });
+        comments = response.data.slice(-3);
+    }
+
+    menu.selected = { issue, comments };
+}
+
+function renderIssueDetails(menu, githubUsername) {
+    const { issue, comments } = menu.selected;
+    const isOpen = issue.state === 'open';
+    const assignees = issue.assignees.map(assignee => assignee.login);
+    const labels = issue.labels.map(label => label.name);
+
+    let text = `${isOpen ? '🟢 Open' : '🔴 Closed'} · *#${issue.number}* ${escapeMarkdown(issue.title)}\n` +
+        `${escapeMarkdown(`${menu.owner}/${menu.repo}`)} · by ${escapeMarkdown(issue.user.login)} · ${formatDate(issue.created_at, menu.locale)}\n`;
+
+    if (labels.length > 0) {
+        text += `🏷️ ${escapeMarkdown(labels.join(', '))}\n`;
+    }
+    text += `👥 Assignees: ${escapeMarkdown(assignees.join(', ') || 'none')}\n` +
+        `💬 ${issue.comments} comments\n\n` +
+        (issue.body ? escapeMarkdown(truncate(issue.body, 1500)) : '_No description provided._');
+
+    if (comments.length > 0) {
+        text += `\n\n*Latest comments:*`;
+        comments.forEach(comment => {
+            text += `\n\n💬 *${escapeMarkdown(comment.user.login)}* (${formatDate(comment.created_at, menu.locale)}):\n` +
+                escapeMarkdown(truncate(comment.body, 400));
+        });
+    }
+
+    const assignedToMe = assignees.includes(githubUsername);
+    const rows = [
+        [
+            Markup.button.callback('💬 Comment', 'is_comment'),
+            isOpen
+                ? Markup.button.callback('✅ Close', 'is_close')
+                : Markup.button.callback('🔄 Reopen', 'is_reopen')
+        ],
+        [
+            Markup.button.callback(assignedToMe ? '🙅 Unassign me' : '🙋 Assign me', 'is_assign'),
+            Markup.button.url('🔗 Open on GitHub', issue.html_url)
+        ]
+    ];
+
+    if (menu.issues) {
+        rows.push([Markup.button.callback('⬅️ Back to list', 'is_back')]);
+    }
+
+    return {
+        text,
+        extra: { parse_mode: 'Markdown', disable_web_page_preview: true, ...Markup.inlineKeyboard(rows) }
+    };
+}
+
+async function openIssueList(ctx, user, owner, repo) {
+    const menu = {
+        telegramId: user.telegramId,
+        accountId: user.activeAccount,
+        githubUsername: user.githubUsername,
+        pageSize: pageSizeFor(user, ISSUES_PAGE_SIZE),
+        locale: user.settings?.language,
+        owner,
+        repo,
+        state: 'open',
+        label: null,
+        page: 0
+    };
+
+    await loadIssues(user.githubAccessToken, menu);
+
+    const { text, extra } = renderIssueList(menu);
+    const message = await ctx.reply(text, extra);
+    issueMenus.set(message, menu);
+}
+
+// Sends a standalone issue view, e.g. right after creating an issue
+async function openIssueDetails(ctx, user, owner, repo, number) {
+    const menu = {
+        telegramId: user.telegramId,
+        accountId: user.activeAccount,
+        githubUsername: user.githubUsername,
+        pageSize: pageSizeFor(user, ISSUES_PAGE_SIZE),
+        locale: user.settings?.language,
+        owner,
+        repo
+    };
+
+    await loadIssueDetails(user.githubAccessToken, menu, number);
+
+    const { text, extra } = renderIssueDetails(menu, user.githubUsername);
+    const message = await ctx.reply(text, extra);
+    issueMenus.set(message, menu);
+}
+
+// Issues command
+bot.command('issues', async (ctx) => {
+    const target = parseRepoPath(ctx.message.text.split(' ')[1]);
+    
+    if (!target) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/issues [owner]/[repo]\`\n\n` +
+            `*Example:*\n` +
+            `\`/issues octocat/Hello-World\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+        
+        await openIssueList(ctx, user, target.owner, target.repo);
+        
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error fetching issues*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// New issue command, a guided conversation: title, body, labels, assignees
+function renderIssueChoices(title, options, selected, prefix, token) {
+    const rows = [];
+
+    for (let i = 0; i < options.length; i += 2) {
+        rows.push(options.slice(i, i + 2).map((option, offset) => Markup.button.callback(
+            `${selected.includes(option) ? '✅' : '⬜'} ${option}`,
+            `${prefix}_${i + offset}_${token}`
+        )));
+    }
+
+    rows.push([
+        Markup.button.callback('➡️ Done', `${prefix}d_${token}`),
+        Markup.button.callback('❌ Cancel', `ni_no_${token}`)
+    ]);
+
+    return {
+        text: `${title}\n\nSelected: ${escapeMarkdown(selected.join(', ') || 'none')}`,
+        extra: { parse_mode: 'Markdown', ...Markup.inlineKeyboard(rows) }
+    };
+}
+
+bot.command('newissue', async (ctx) => {
+    const target = parseRepoPath(ctx.message.text.split(' ')[1]);
+    
+    if (!target) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/newissue [owner]/[repo]\`\n\n` +
+            `*Example:*\n` +
+            `\`/newissue octocat/Hello-World\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    const user = await getConnectedUser(ctx);
+    if (!user) return;
+    
+    const telegramId = ctx.from.id.toString();
+    const token = createPendingAction(telegramId, 'new_issue', {
+        accountId: user.activeAccount,
+        owner: target.owner,
+        repo: target.repo,
+        labels: [],
+        assignees: []
+    });
+    
+    awaitInput(telegramId, 'new_issue_title', { token });
+    await ctx.reply(
+        `🆕 *New Issue in ${escapeMarkdown(`${target.owner}/${target.repo}`)}*\n\n` +
+        `Step 1/4: Send the issue title.`,
+        {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([[Markup.button.callback('❌ Cancel', `ni_no_${token}`)]])
+        }
+    );
+});
+
+// Pull request menu state, keyed by the chat and message showing it
+const prMenus = createMessageStateStore();
+const PRS_PAGE_SIZE = 5;
+
+const MERGE_METHODS = {
+    merge: '🔀 Merge commit',
+    squash: '🧩 Squash and merge',
+    rebase: '📐 Rebase and merge'
+};
+
+// Combines commit statuses and check runs into one CI verdict
+async function loadCiStatus(github, owner, repo, sha) {
+    const [status, checks] = await Promise.all([
+        github.get(`/repos/${owner}/${repo}/commits/${sha}/status`),
+        github.get(`/repos/${owner}/${repo}/commits/${sha}/check-runs`, { params: { per_page: 100 } })
+    ]);
+
+    const states = status.data.statuses.map(entry => entry.state === 'error' ? 'failure' : entry.state);
+    checks.data.check_runs.forEach(run => {
+        if (run.status !== 'completed') {
+            states.push('pending');
+        } else {
+            states.push(['success', 'neutral', 'skipped'].includes(run.conclusion) ? 'success' : 'failure');
+        }
+    });
+
+    if (states.length === 0) return '➖ no checks';
+
+    const failed = states.filter(state => state === 'failure').length;
+    const pending = states.filter(state => state === 'pending').length;
+
+    if (failed > 0) return `❌ ${failed}/${states.length} failing`;
+    if (pending > 0) return `⏳ ${pending}/${states.length} pending`;
+    return `✅ ${states.length} passing`;
+}
+
+function describeMergeability(pr) {
+    if (pr.merged) return '🟣 merged';
+    if (pr.mergeable === null) return '⏳ checking';
+
+    switch (pr.mergeable_state) {
+        case 'clean': return '✅ ready';
+        case 'unstable': return '🟡 checks not passing';
+        case 'blocked': return '🛡️ blocked by branch protection';
+        case 'behind': return '↩️ behind base branch';
+        case 'dirty': return '⚠️ has conflicts';
+        case 'draft': return '📝 draft';
+        default: return pr.mergeable ? '✅ mergeable' : '⚠️ has conflicts';
+    }
+}
+
+// Uses each reviewer's latest decisive review
+async function loadReviewState(github, owner, repo, number) {
+    const response = await github.get(`/repos/${owner}/${repo}/pulls/${number}/reviews`, { params: { per_page: 100 } });
+    const latest = new Map();
+
+    response.data
+        .filter(review => ['APPROVED', 'CHANGES_REQUESTED', 'DISMISSED'].includes(review.state))
+        .forEach(review => latest.set(review.user.login, review.state));
+
+    const states = [...latest.values()];
+    const approvals = states.filter(state => state === 'APPROVED').length;
+
+    if (states.includes('CHANGES_REQUESTED')) return '✋ changes requested';
+    if (approvals > 0) return `✅ ${approvals} approval${approvals === 1 ? '' : 's'}`;
+    return '👀 no reviews';
+}
+
+// Loads a page of open pull requests along with CI, merge and review state
+async function loadPullRequests(token, menu) {
+    const github = githubClient(token);
+    const response = await github.get(`/repos/${menu.owner}/${menu.repo}/pulls`, {
+        params: { state: 'open', per_page: menu.pageSize, page: menu.page + 1 }
+    });
+
+    menu.hasNext = /rel="next"/.test(response.headers.link || '');
+    menu.prs = await Promise.all(response.data.map(async (summary) => {
+        // The list endpoint leaves out mergeability, so each PR is fetched in full
+        const [pr, ci, reviews] = await Promise.all([
+            github.get(`/repos/${menu.owner}/${menu.repo}/pulls/${summary.number}`).then(res => res.data),
+            loadCiStatus(github, menu.owner, menu.repo, summary.head.sha),
+            loadReviewState(github, menu.owner, menu.repo, summary.number)
+        ]);
+        return { pr, ci, reviews };
+    }));
+}
+
+function renderPullRequestList(menu) {
+    let text = `🔀 *Pull Requests: ${escapeMarkdown(`${menu.owner}/${menu.repo}`)}*\n` +
+        `Page ${menu.page + 1}\n\n`;
+
+    if (menu.prs.length === 0) {
+        text += `_No open pull requests._`;
+    }
+
+    menu.prs.forEach(({ pr, ci, reviews }) => {
+        text += `${pr.draft ? '📝' : '🟢'} *#${pr.number}* ${escapeMarkdown(truncate(pr.title, 80))}\n` +
+            `   👤 ${escapeMarkdown(pr.user.login)} · \`${pr.head.ref}\` → \`${pr.base.ref}\`\n` +
+            `   CI: ${ci} · Merge: ${describeMergeability(pr)} · Reviews: ${reviews}\n\n`;
+    });
+
+    const rows = menu.prs.map(({ pr }, index) => [
+        Markup.button.callback(`#${pr.number} ${truncate(pr.title, 40)}`, `pr_o_${index}`)
+    ]);
+
+    const navigation = [];
+    if (menu.page > 0) {
+        navigation.push(Markup.button.callback('⬅️ Prev', `pr_p_${menu.page - 1}`));
+    }
+    if (menu.hasNext) {
+        navigation.push(Markup.button.callback('Next ➡️', `pr_p_${menu.page + 1}`));
+    }
+    if (navigation.length > 0) {
+        rows.push(navigation);
+    }
+    rows.push([Markup.button.callback('🔄 Refresh', 'pr_refresh')]);
+
+    return {
+        text,
+        extra: { parse_mode: 'Markdown', disable_web_page_preview: true, ...Markup.inlineKeyboard(rows) }
+    };
+}
+
+async function loadPullRequestDetails(token, menu, number) {
+    const github = githubClient(token);
+    const pr = (await github.get(`/repos/${menu.owner}/${menu.repo}/pulls/${number}`)).data;
+
+    const [files, ci, reviews] = await Promise.all([
+        fetchAllPages(github, `/repos/${menu.owner}/${menu.repo}/pulls/${number}/files`),
+        loadCiStatus(github, menu.owner, menu.repo, pr.head.sha),
+        loadReviewState(github, menu.owner, menu.repo, number)
+    ]);
+
+    menu.selected = { pr, files, ci, reviews };
+}
+
+function renderPullRequestDetails(menu) {
+    const { pr, files, ci, reviews } = menu.selected;
+    const state = pr.merged ? '🟣 Merged' : pr.state === 'closed' ? '🔴 Closed' : pr.draft ? '📝 Draft' : '🟢 Open';
+
+    let text = `${state} · *#${pr.number}* ${escapeMarkdown(pr.title)}\n` +
+        `${escapeMarkdown(`${menu.owner}/${menu.repo}`)} · by ${escapeMarkdown(pr.user.login)}\n` +
+        `\`${pr.head.ref}\` → \`${pr.base.ref}\`\n\n` +
+        `CI: ${ci}\n` +
+        `Merge: ${describeMergeability(pr)}\n` +
+        `Reviews: ${reviews}\n\n` +
+        `📊 ${pr.changed_files} files · +${pr.additions} −${pr.deletions} · ${pr.commits} commits\n`;
+
+    files.slice(0, 20).forEach(file => {
+        text += `\`${truncate(file.filename, 60)}\` +${file.additions} −${file.deletions}\n`;
+    });
+    if (files.length > 20) {
+        text += `… and ${files.length - 20} more files\n`;
+    }
+
+    const rows = [
+        [
+            Markup.button.callback('📄 Full Diff', 'pr_diff'),
+            Markup.button.url('🔗 Open on GitHub', pr.html_url)
+        ]
+    ];
+
+    if (pr.state === 'open') {
+        rows.push([
+            Markup.button.callback('✅ Approve', 'pr_approve'),
+            Markup.button.callback('✋ Request Changes', 'pr_rv_changes')
+        ]);
+        rows.push([
+            Markup.button.callback('💬 Comment', 'pr_rv_comment'),
+            Markup.button.callback('🔀 Merge', 'pr_merge')
+        ]);
+    }
+
+    if (menu.prs) {
+        rows.push([Markup.button.callback('⬅️ Back to list', 'pr_back')]);
+    }
+
+    return {
+        text,
+        extra: { parse_mode: 'Markdown', disable_web_page_preview: true, ...Markup.inlineKeyboard(rows) }
+    };
+}
+
+// Pull requests command
+bot.command('prs', async (ctx) => {
+    const target = parseRepoPath(ctx.message.text.split(' ')[1]);
+    
+    if (!target) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/prs [owner]/[repo]\`\n\n` +
+            `*Example:*\n` +
+            `\`/prs octocat/Hello-World\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+        
+        await ctx.reply('⏳ Fetching pull requests...');
+        
+        const menu = {
+            telegramId: user.telegramId,
+            accountId: user.activeAccount,
+            pageSize: pageSizeFor(user, PRS_PAGE_SIZE),
+            owner: target.owner,
+            repo: target.repo,
+            page: 0
+        };
+        await loadPullRequests(user.githubAccessToken, menu);
+        
+        const { text, extra } = renderPullRequestList(menu);
+        const message = await ctx.reply(text, extra);
+        prMenus.set(message, menu);
+        
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error fetching pull requests*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// Repository event subscriptions
+function githubWebhookUrl() {
+    return `${process.env.WEBHOOK_URL}/github-webhook`;
+}
+
+// Creates the repository webhook, or reuses one registered by an earlier /watch.
+// The hook always sends every watchable event; each chat's filter is applied on delivery.
+async function ensureRepoWebhook(github, fullName) {
+    const hooks = await github.get(`/repos/${fullName}/hooks`, { params: { per_page: 100 } });
+    const existing = hooks.data.find(hook => hook.config.url === githubWebhookUrl());
+
+    if (existing) {
+        const missing = WATCHABLE_EVENTS.filter(event => !existing.events.includes(event));
+        if (missing.length > 0 || !existing.active) {
+            await github.patch(`/repos/${fullName}/hooks/${existing.id}`, { active: true, add_events: missing });
+        }
+        return existing.id;
+    }
+
+    const response = await github.post(`/repos/${fullName}/hooks`, {
+        name: 'web',
+        active: true,
+        events: WATCHABLE_EVENTS,
+        config: {
+            url: githubWebhookUrl(),
+            content_type: 'json',
+            secret: process.env.GITHUB_WEBHOOK_SECRET,
+            insecure_ssl: '0'
+        }
+    });
+
+    return response.data.id;
+}
+
+// Deletes a watch and, once no chat watches the repository any more, the
+// webhook behind it. Without a token, the one of whoever set up the watch is used.
+async function removeWatch(watch, token) {
+    await watch.deleteOne();
+    
+    const remaining = await Watch.countDocuments({ repo: watch.repo });
+    if (remaining > 0 || !watch.hookId) return;
+    
+    if (!token) {
+        const owner = await User.findOne({ telegramId: watch.telegramId });
+        token = owner?.githubAccessToken;
+    }
+    if (!token) return;
+    
+    await githubClient(token)
+        .delete(`/repos/${watch.repo}/hooks/${watch.hookId}`)
+        .catch(error => console.error('Error removing webhook:', githubErrorMessage(error)));
+}
+
+// Watch command
+bot.command('watch', async (ctx) => {
+    const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    const target = parseRepoPath(args[0]);
+    
+    if (!target) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/watch [owner]/[repo] [events]\`\n\n` +
+            `*Events:* ${WATCHABLE_EVENTS.map(event => `\`${event}\``).join(', ')} (default: all)\n\n` +
+            `*Example:*\n` +
+            `\`/watch octocat/Hello-World push,pull_request\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    const events = args.slice(1).join(',').split(',').map(event => event.trim()).filter(Boolean);
+    const unknown = events.filter(event => !WATCHABLE_EVENTS.includes(event));
+    
+    if (unknown.length > 0) {
+        return ctx.reply(
+            `❌ *Unknown events:* ${unknown.map(event => `\`${event}\``).join(', ')}\n\n` +
+            `Available: ${WATCHABLE_EVENTS.map(event => `\`${event}\``).join(', ')}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+        
+        const github = githubClient(user.githubAccessToken);
+        const repoResponse = await github.get(`/repos/${target.owner}/${target.repo}`);
+        const fullName = repoResponse.data.full_name;
+        
+        if (!repoResponse.data.permissions?.admin) {
+            return ctx.reply(`❌ You need admin access to ${fullName} to install a webhook.`);
+        }
+        
+        const hookId = await ensureRepoWebhook(github, fullName);
+        const watchedEvents = events.length > 0 ? [...new Set(events)] : WATCHABLE_EVENTS;
+        
+        await Watch.findOneAndUpdate(
+            { chatId: ctx.chat.id.toString(), repo: fullName.toLowerCase() },
+            { telegramId: user.telegramId, events: watchedEvents, hookId },
+            { upsert: true, new: true }
+        );
+        
+        await ctx.reply(
+            `👀 *Watching ${escapeMarkdown(fullName)}*\n\n` +
+            `Events: ${watchedEvents.map(event => `\`${event}\``).join(', ')}\n\n` +
+            `Notifications will be delivered to this chat. Use /unwatch to stop.`,
+            { parse_mode: 'Markdown' }
+        );
+        
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error watching repository*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// Unwatch command
+bot.command('unwatch', async (ctx) => {
+    const target = parseRepoPath(ctx.message.text.split(' ')[1]);
+    
+    if (!target) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/unwatch [owner]/[repo]\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    const repo = `${target.owner}/${target.repo}`.toLowerCase();
+    
+    try {
+        const watch = await Watch.findOne({ chatId: ctx.chat.id.toString(), repo });
+        
+        if (!watch) {
+            return ctx.reply(`❌ This chat isn't watching ${target.owner}/${target.repo}.`);
+        }
+        
+        await removeWatch(watch);
+        
+        await ctx.reply(`🔕 Stopped watching ${target.owner}/${target.repo}.`);
+        
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error removing watch*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// Watches command
+bot.command('watches', async (ctx) => {
+    try {
+        const watches = await Watch.find({ chatId: ctx.chat.id.toString() }).sort({ repo: 1 });
+        
+        if (watches.length === 0) {
+            return ctx.reply(
+                `📭 *No Watched Repositories*\n\n` +
+                `Start with \`/watch [owner]/[repo]\``,
+                { parse_mode: 'Markdown' }
+            );
+        }
+        
+        let message = `👀 *Watched Repositories (${watches.length})*\n\n`;
+        watches.forEach(watch => {
+            message += `• *${escapeMarkdown(watch.repo)}*\n   ${watch.events.map(event => `\`${event}\``).join(', ')}\n`;
+        });
+        
+        await ctx.reply(message, { parse_mode: 'Markdown' });
+        
+    } catch (error) {
+        await ctx.reply(`❌ Error loading watches: ${error.message}`);
+    }
+});
+
+// Scheduler
+const scheduledTasks = new Map();
+const SCHEDULER_QUOTA_RESERVE = 100;
+const MAX_JOBS_PER_USER = 10;
+const POLL_INTERVALS = [5, 10, 15, 20, 30, 60];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Parses "HH:MM" into cron minute and hour fields
+function parseTimeOfDay(value = '09:00') {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return { minute: Number(match[2]), hour: Number(match[1]) };
+}
+
+function describeSchedule(job) {
+    const [minute, hour, , , weekday] = job.cron.split(' ');
+    const time = `${hour.padStart(2, '0')}:${minute.padStart(2, '0')}`;
+
+    switch (job.type) {
+        case 'digest': return `📰 Daily digest at ${time} (${job.timezone})`;
+        case 'traffic': return `📈 Weekly traffic on ${WEEKDAYS[Number(weekday)]} at ${time} (${job.timezone})`;
+        case 'poll': return `🔔 Polling ${job.repo} every ${minute === '0' ? 60 : minute.replace('*/', '')} min`;
+        default: return job.type;
+    }
+}
+
+function registerScheduledJob(job) {
+    unregisterScheduledJob(job.id);
+
+    const task = cron.schedule(job.cron, () => {
+        runScheduledJob(job.id).catch(error => {
+            console.error(`Scheduled job ${job.id} failed:`, githubErrorMessage(error));
+        });
+    }, { timezone: job.timezone });
+
+    scheduledTasks.set(job.id, task);
+}
+
+function unregisterScheduledJob(jobId) {
+    const task = scheduledTasks.get(jobId);
+    if (task) {
+        task.stop();
+        scheduledTasks.delete(jobId);
+    }
+}
+
+async function loadScheduledJobs() {
+    const jobs = await ScheduledJob.find();
+    jobs.forEach(registerScheduledJob);
+
+    if (jobs.length > 0) {
+        console.log(`⏰ Registered ${jobs.length} scheduled job(s)`);
+    }
+}
+
+// Formats an entry from the repository events API for polling alerts
+function formatRepoEvent(event) {
+    const actor = escapeMarkdown(event.actor.login);
+    const { payload } = event;
+
+    switch (event.type) {
+        case 'PushEvent':
+            return `📤 ${actor} pushed ${payload.size} commit(s) to \`${payload.ref.replace(/^refs\/heads\//, '')}\``;
+        case 'IssuesEvent':
+            return `🐛 ${actor} ${payload.action} issue #${payload.issue.number}: ${escapeMarkdown(truncate(payload.issue.title, 80))}`;
+        case 'IssueCommentEvent':
+            return `💬 ${actor} commented on #${payload.issue.number}`;
+        case 'PullRequestEvent':
+            return `🔀 ${actor} ${payload.pull_request.merged ? 'merged' : payload.action} PR #${payload.number}: ${escapeMarkdown(truncate(payload.pull_request.title, 80))}`;
+        case 'ReleaseEvent':
+            return `🚀 ${actor} ${payload.action} release ${escapeMarkdown(payload.release.tag_name)}`;
+        case 'WatchEvent':
+            return `⭐ ${actor} starred the repository`;
+        case 'ForkEvent':
+            return `🍴 ${actor} forked it to ${escapeMarkdown(payload.forkee.full_name)}`;
+        default:
+            return null;
+    }
+}
+
+// Each runner returns the message to send, or null when there is nothing to report
+const scheduleRunners = {
+    async digest(github, job, user) {
+        const repos = await fetchAllPages(github, '/user/repos', { affiliation: 'owner' });
+        const previous = job.state.repos;
+        const current = {};
+        const lines = [];
+
+        repos.forEach(repo => {
+            current[repo.full_name] = { stars: repo.stargazers_count, forks: repo.forks_count };
+
+            const before = previous && previous[repo.full_name];
+            if (!before) return;
+
+            const stars = repo.stargazers_count - before.stars;
+            const forks = repo.forks_count - before.forks;
+            if (stars > 0 || forks > 0) {
+                const changes = [stars > 0 ? `+${stars} ⭐` : null, forks > 0 ? `+${forks} 🍴` : null].filter(Boolean);
+                lines.push(`• *${escapeMarkdown(repo.full_name)}*: ${changes.join(' · ')}`);
+            }
+        });
+
+        job.state = { repos: current };
+
+        // The first run only records a baseline to compare against
+        if (!previous) return null;
+
+        const since = (job.lastRunAt || job.createdAt).toISOString().replace(/\.\d+Z$/, 'Z');
+        const search = await github.get('/search/issues', {
+            params: { q: `user:${user.githubUsername} is:issue created:>${since}`, per_page: 10 }
+        });
+
+        if (lines.length === 0 && search.data.total_count === 0) return null;
+
+        let text = `📰 *Daily Digest*\n\n`;
+        if (lines.length > 0) {
+            text += `*Stars & forks:*\n${lines.slice(0, 20).join('\n')}\n\n`;
+        }
+        if (search.data.total_count > 0) {
+            text += `*New issues (${search.data.total_count}):*\n`;
+            search.data.items.forEach(issue => {
+                const repo = issue.repository_url.split('/').slice(-2).join('/');
+                text += `• ${escapeMarkdown(repo)}#${issue.number} ${escapeMarkdown(truncate(issue.title, 60))}\n`;
+            });
+        }
+        return text;
+    },
+
+    async traffic(github) {
+        const repos = (await fetchAllPages(github, '/user/repos', { affiliation: 'owner' }))
+            .filter(repo => !repo.fork)
+            .sort((a, b) => b.stargazers_count - a.stargazers_count)
+            .slice(0, 10);
+
+        const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+        const lines = [];
+
+        for (const repo of repos) {
+            const [views, clones] = await Promise.all([
+                github.get(`/repos/${repo.full_name}/traffic/views`),
+                github.get(`/repos/${repo.full_name}/traffic/clones`)
+            ]);
+
+            const sum = (entries, field) => entries
+                .filter(entry => new Date(entry.timestamp).getTime() >= weekAgo)
+                .reduce((total, entry) => total + entry[field], 0);
+
+            const viewCount = sum(views.data.views, 'count');
+            const cloneCount = sum(clones.data.clones, 'count');
+            if (viewCount > 0 || cloneCount > 0) {
+                lines.push(`• *${escapeMarkdown(repo.full_name)}*: 👀 ${viewCount} views (${sum(views.data.views, 'uniques')} unique) · 📥 ${cloneCount} clones`);
+            }
+        }
+
+        if (lines.length === 0) return null;
+        return `📈 *Weekly Traffic*\n\n${lines.join('\n')}`;
+    },
+
+    async poll(github, job) {
+        // A matching ETag gets a 304, which doesn't count against the rate limit
+        const response = await github.get(`/repos/${job.repo}/events`, {
+            params: { per_page: 30 },
+            headers: job.etag ? { 'If-None-Match': job.etag } : {},
+            validateStatus: status => status === 200 || status === 304
+        });
+
+        if (response.status === 304) return null;
+
+        job.etag = response.headers.etag;
+        const lastSeen = job.state.lastEventId;
+        const fresh = [];
+
+        for (const event of response.data) {
+            if (event.id === lastSeen) break;
+            fresh.push(event);
+        }
+
+        job.state = { lastEventId: response.data[0]?.id || lastSeen };
+
+        if (!lastSeen) return null;
+
+        const lines = fresh.reverse().map(formatRepoEvent).filter(Boolean);
+        if (lines.length === 0) return null;
+
+        return `🔔 *${escapeMarkdown(job.repo)}*\n\n${lines.slice(-15).join('\n')}`;
+    }
+};
+
+async function runScheduledJob(jobId) {
+    const job = await ScheduledJob.findById(jobId);
+    if (!job) {
+        return unregisterScheduledJob(jobId);
+    }
+
+    const user = await User.findOne({ telegramId: job.telegramId });
+    // Jobs of banned users are kept but don't run until they are unbanned
+    if (!user || !user.githubAccessToken || user.isBanned) return;
+
+    // Background jobs leave the last of the quota to interactive commands
+    const quota = getRateLimit(user.githubAccessToken);
+    if (quota && quota.resource === 'core' && quota.remaining < SCHEDULER_QUOTA_RESERVE && quota.resetAt > new Date()) {
+        return console.log(`Skipping scheduled job ${job.id}: rate limit resets in ${formatWait(quota.resetAt - Date.now())}`);
+    }
+
+    const message = await scheduleRunners[job.type](githubClient(user.githubAccessToken), job, user);
+
+    job.lastRunAt = new Date();
+    job.markModified('state');
+    await job.save();
+
+    if (message) {
+        await bot.telegram.sendMessage(job.chatId, message, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            disable_notification: isQuietHours(user)
+        });
+    }
+}
+
+// Schedule command
+bot.command('schedule', async (ctx) => {
+    const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    const type = (args[0] || '').toLowerCase();
+    
+    if (!SCHEDULE_TYPES.includes(type)) {
+        return ctx.reply(
+            `⏰ *Schedule Notifications*\n\n` +
+            `\`/schedule digest [HH:MM]\`\n` +
+            `Daily digest of new stars, forks and issues across your repos.\n\n` +
+            `\`/schedule traffic [day] [HH:MM]\`\n` +
+            `Weekly views and clones for your top repos.\n\n` +
+            `\`/schedule poll [owner]/[repo] [minutes]\`\n` +
+            `Alerts for repos where you can't install webhooks ` +
+            `(every ${POLL_INTERVALS.join(', ')} minutes).\n\n` +
+            `Times use your timezone, set with /timezone.`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+        
+        const count = await ScheduledJob.countDocuments({ telegramId: user.telegramId });
+        if (count >= MAX_JOBS_PER_USER) {
+            return ctx.reply(`❌ You can have at most ${MAX_JOBS_PER_USER} scheduled jobs. Remove one with /unschedule.`);
+        }
+        
+        const job = new ScheduledJob({
+            telegramId: user.telegramId,
+            chatId: ctx.chat.id.toString(),
+            type,
+            timezone: user.timezone || 'UTC'
+        });
+        
+        if (type === 'digest') {
+            const time = parseTimeOfDay(args[1]);
+            if (!time) return ctx.reply('❌ Time must be in HH:MM format, e.g. 09:00');
+            job.cron = `${time.minute} ${time.hour} * * *`;
+        } else if (type === 'traffic') {
+            const weekday = WEEKDAYS.indexOf((args[1] || 'mon').toLowerCase().slice(0, 3));
+            const time = parseTimeOfDay(args[2]);
+            if (weekday === -1 || !time) {
+                return ctx.reply('❌ Usage: /schedule traffic [mon-sun] [HH:MM], e.g. /schedule traffic fri 17:00');
+            }
+            job.cron = `${time.minute} ${time.hour} * * ${weekday}`;
+        } else {
+            const target = parseRepoPath(args[1]);
+            const minutes = Number(args[2] || 15);
+            if (!target || !POLL_INTERVALS.includes(minutes)) {
+                return ctx.reply(`❌ Usage: /schedule poll [owner]/[repo] [${POLL_INTERVALS.join('|')}]`);
+            }
+            
+            const repoResponse = await githubClient(user.githubAccessToken).get(`/repos/${target.owner}/${target.repo}`);
+            job.repo = repoResponse.data.full_name;
+            job.cron = minutes === 60 ? '0 * * * *' : `*/${minutes} * * * *`;
+        }
+        
+        await job.save();
+        registerScheduledJob(job);
+        
+        await ctx.reply(
+            `✅ *Scheduled*\n\n${escapeMarkdown(describeSchedule(job))}\n\n` +
+            `See all jobs with /schedules.`,
+            { parse_mode: 'Markdown' }
+        );
+        
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error scheduling job*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// Schedules command
+bot.command('schedules', async (ctx) => {
+    try {
+        const jobs = await ScheduledJob.find({ telegramId: ctx.from.id.toString() }).sort({ createdAt: 1 });
+        
+        if (jobs.length === 0) {
+            return ctx.reply(
+                `📭 *No Scheduled Jobs*\n\n` +
+                `Create one with /schedule`,
+                { parse_mode: 'Markdown' }
+            );
+        }
+        
+        let message = `⏰ *Scheduled Jobs (${jobs.length})*\n\n`;
+        jobs.forEach((job, index) => {
+            message += `${index + 1}. ${escapeMarkdown(describeSchedule(job))}\n`;
+            if (job.lastRunAt) {
+                message += `   Last run: ${job.lastRunAt.toISOString().replace('T', ' ').slice(0, 16)} UTC\n`;
+            }
+        });
+        message += `\nRemove one with \`/unschedule [number]\``;
+        
+        await ctx.reply(message, { parse_mode: 'Markdown' });
+        
+    } catch (error) {
+        await ctx.reply(`❌ Error loading schedules: ${error.message}`);
+    }
+});
+
+// Unschedule command
+bot.command('unschedule', async (ctx) => {
+    const index = Number(ctx.message.text.split(' ')[1]) - 1;
+    
+    try {
+        const jobs = await ScheduledJob.find({ telegramId: ctx.from.id.toString() }).sort({ createdAt: 1 });
+        const job = jobs[index];
+        
+        if (!job) {
+            return ctx.reply('❌ Usage: /unschedule [number] (see /schedules for numbers)');
+        }
+        
+        await job.deleteOne();
+        unregisterScheduledJob(job.id);
+        
+        await ctx.reply(`🗑️ Removed: ${describeSchedule(job)}`);
+        
+    } catch (error) {
+        await ctx.reply(`❌ Error removing schedule: ${error.message}`);
+    }
+});
+
+async function setUserTimezone(telegramId, timezone) {
+    await User.updateOne({ telegramId }, { timezone });
+    await cache.delete(`user_${telegramId}`);
+
+    // Existing jobs follow the new timezone
+    const jobs = await ScheduledJob.find({ telegramId });
+    for (const job of jobs) {
+        job.timezone = timezone;
+        await job.save();
+        registerScheduledJob(job);
+    }
+}
+
+// Timezone command
+bot.command('timezone', async (ctx) => {
+    const timezone = ctx.message.text.split(' ')[1];
+    const telegramId = ctx.from.id.toString();
+    
+    try {
+        if (!timezone) {
+            const user = await User.findOne({ telegramId });
+            return ctx.reply(
+                `🌍 Your timezone is *${escapeMarkdown(user?.timezone || 'UTC')}*.\n\n` +
+                `Change it with \`/timezone Europe/Berlin\``,
+                { parse_mode: 'Markdown' }
+            );
+        }
+        
+        if (!isValidTimezone(timezone)) {
+            return ctx.reply('❌ Unknown timezone. Use an IANA name such as Europe/Berlin or America/New_York.');
+        }
+        
+        await setUserTimezone(telegramId, timezone);
+        await ctx.reply(`✅ Timezone set to ${timezone}.`);
+        
+    } catch (error) {
+        await ctx.reply(`❌ Error setting timezone: ${error.message}`);
+    }
+});
+
+// Rate limit command
+bot.command('ratelimit', async (ctx) => {
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+        
+        // This endpoint doesn't count against the quota it reports
+        const response = await githubClient(user.githubAccessToken).get('/rate_limit');
+        const { core, search, graphql } = response.data.resources;
+        
+        const line = (label, quota) => {
+            const icon = quota.remaining === 0 ? '🔴' : quota.remaining < quota.limit / 10 ? '🟡' : '🟢';
+            const reset = new Date(quota.reset * 1000) - Date.now();
+            return `${icon} *${label}:* ${quota.remaining}/${quota.limit}` +
+                (quota.remaining < quota.limit ? ` · resets in ${formatWait(reset)}` : '');
+        };
+        
+        await ctx.reply(
+            `📊 *GitHub API Quota*\n\n` +
+            `${line('REST', core)}\n` +
+            `${line('Search', search)}\n` +
+            (graphql ? `${line('GraphQL', graphql)}\n` : '') +
+            `\nRequests retry automatically when GitHub asks the bot to slow down.`,
+            { parse_mode: 'Markdown' }
+        );
+        
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error fetching rate limit*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// GitHub Actions
+const actionMenus = createMessageStateStore();
+const RUNS_PAGE_SIZE = 5;
+const LOG_TAIL_LINES = 60;
+
+function formatDuration(milliseconds) {
+    const seconds = Math.max(0, Math.round(milliseconds / 1000));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+    return `${seconds}s`;
+}
+
+function runStatusIcon(run) {
+    if (run.status !== 'completed') return run.status === 'queued' ? '🕓' : '⏳';
+
+    switch (run.conclusion) {
+        case 'success': return '✅';
+        case 'cancelled': return '⚪';
+        case 'skipped': return '⏭️';
+        default: return '❌';
+    }
+}
+
+function runDuration(run) {
+    const start = new Date(run.run_started_at || run.started_at || run.created_at).getTime();
+    const end = run.status === 'completed' ? new Date(run.updated_at || run.completed_at).getTime() : Date.now();
+    return formatDuration(end - start);
+}
+
+// Minimal ZIP reader for Actions log archives: walks the central directory
+// and inflates stored or deflated entries on demand. ZIP64 archives (over
+// 4 GB or 65535 entries) are refused rather than misread.
+const ZIP64_ERROR = 'This log archive uses ZIP64, which the bot can\'t read. Open the logs on GitHub instead';
+
+function readZipEntries(buffer) {
+    let end = buffer.length - 22;
+    while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) end--;
+    if (end < 0) throw new Error('Invalid log archive');
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    // A ZIP64 end of central directory locator sits right before the record
+    const hasZip64Locator = end >= 20 && buffer.readUInt32LE(end - 20) === 0x07064b50;
+    if (hasZip64Locator || count === 0xffff || offset === 0xffffffff) {
+        throw new Error(ZIP64_ERROR);
+    }
+
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error('Invalid log archive');
+        }
+
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        if ([compressedSize, size, localOffset].includes(0xffffffff)) {
+            throw new Error(ZIP64_ERROR);
+        }
+
+        entries.push({
+            name,
+            read() {
+                if (buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+                    throw new Error(`Invalid log archive entry ${name}`);
+                }
+                if (method !== 0 && method !== 8) {
+                    throw new Error(`Unsupported compression in log archive entry ${name}`);
+                }
+
+                const start = localOffset + 30 +
+                    buffer.readUInt16LE(localOffset + 26) +
+                    buffer.readUInt16LE(localOffset + 28);
+                const data = buffer.subarray(start, start + compressedSize);
+                return method === 0 ? data : zlib.inflateRawSync(data);
+            }
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+async function loadWorkflowRuns(token, menu) {
+    const response = await githubClient(token).get(`/repos/${menu.owner}/${menu.repo}/actions/runs`, {
+        params: { per_page: menu.pageSize, page: menu.page + 1 }
+    });
+
+    menu.runs = response.data.workflow_runs;
+    menu.hasNext = (menu.page + 1) * menu.pageSize < response.data.total_count;
+}
+
+function renderWorkflowRuns(menu) {
+    let text = `⚙️ *Actions: ${escapeMarkdown(`${menu.owner}/${menu.repo}`)}*\n` +
+        `Page ${menu.page + 1}\n\n`;
+
+    if (menu.runs.length === 0) {
+        text += `_No workflow runs yet._`;
+    }
+
+    menu.runs.forEach(run => {
+        text += `${runStatusIcon(run)} *${escapeMarkdown(run.name)}* #${run.run_number}\n` +
+            `   🌿 \`${run.head_branch}\` · ${escapeMarkdown(run.event)} · ⏱️ ${runDuration(run)}\n` +
+            `   ${escapeMarkdown(truncate((run.display_title || '').split('\n')[0], 60))}\n\n`;
+    });
+
+    const rows = menu.runs.map((run, index) => [
+        Markup.button.callback(`${runStatusIcon(run)} ${truncate(run.name, 30)} #${run.run_number}`, `ac_o_${index}`)
+    ]);
+
+    const navigation = [];
+    if (menu.page > 0) {
+        navigation.push(Markup.button.callback('⬅️ Prev', `ac_p_${menu.page - 1}`));
+    }
+    if (menu.hasNext) {
+        navigation.push(Markup.button.callback('Next ➡️', `ac_p_${menu.page + 1}`));
+    }
+    if (navigation.length > 0) {
+        rows.push(navigation);
+    }
+    rows.push([Markup.button.callback('🔄 Refresh', 'ac_refresh')]);
+
+    return {
+        text,
+        extra: { parse_mode: 'Markdown', disable_web_page_preview: true, ...Markup.inlineKeyboard(rows) }
+    };
+}
+
+async function loadWorkflowRunDetails(token, menu, runId) {
+    const github = githubClient(token);
+    const [run, jobs] = await Promise.all([
+        github.get(`/repos/${menu.owner}/${menu.repo}/actions/runs/${runId}`).then(res => res.data),
+        github.get(`/repos/${menu.owner}/${menu.repo}/actions/runs/${runId}/jobs`, { params: { per_page: 100 } })
+            .then(res => res.data.jobs)
+    ]);
+
+    menu.selected = { run, jobs };
+}
+
+function renderWorkflowRunDetails(menu) {
+    const { run, jobs } = menu.selected;
+
+    let text = `${runStatusIcon(run)} *${escapeMarkdown(run.name)}* #${run.run_number}\n` +
+        `${escapeMarkdown(`${menu.owner}/${menu.repo}`)} · 🌿 \`${run.head_branch}\` · \`${run.head_sha.slice(0, 7)}\`\n` +
+        `Triggered by ${escapeMarkdown(run.event)} · ⏱️ ${runDuration(run)}\n` +
+        `Status: ${run.status}${run.conclusion ? ` (${run.conclusion})` : ''}\n\n` +
+        `*Jobs:*\n`;
+
+    jobs.slice(0, 15).forEach(job => {
+        text += `${runStatusIcon(job)} ${escapeMarkdown(job.name)} · ${runDuration(job)}\n`;
+
+        job.steps
+            .filter(step => step.conclusion === 'failure')
+            .forEach(step => {
+                text += `   ❌ Step ${step.number}: ${escapeMarkdown(step.name)}\n`;
+            });
+    });
+
+    const rows = [];
+    if (run.status === 'completed') {
+        const rerun = [Markup.button.callback('🔁 Re-run all', 'ac_rerun')];
+        if (run.conclusion === 'failure') {
+            rerun.push(Markup.button.callback('🔁 Re-run failed', 'ac_rerun_failed'));
+        }
+        rows.push(rerun);
+    } else {
+        rows.push([Markup.button.callback('⛔ Cancel run', 'ac_cancel')]);
+    }
+
+    if (jobs.some(job => job.conclusion === 'failure')) {
+        rows.push([Markup.button.callback('📜 Failed step logs', 'ac_logs')]);
+    }
+
+    rows.push([
+        Markup.button.url('🔗 Open on GitHub', run.html_url),
+        Markup.button.callback('🔄 Refresh', 'ac_detail')
+    ]);
+    rows.push([Markup.button.callback('⬅️ Back to runs', 'ac_back')]);
+
+    return {
+        text,
+        extra: { parse_mode: 'Markdown', disable_web_page_preview: true, ...Markup.inlineKeyboard(rows) }
+    };
+}
+
+// Pulls the failed steps' logs out of the run's log archive
+async function fetchFailedStepLogs(token, menu) {
+    const { run, jobs } = menu.selected;
+    const response = await githubClient(token).get(
+        `/repos/${menu.owner}/${menu.repo}/actions/runs/${run.id}/logs`,
+        { responseType: 'arraybuffer' }
+    );
+
+    const entries = readZipEntries(Buffer.from(response.data));
+    const sections = [];
+
+    jobs.filter(job => job.conclusion === 'failure').forEach(job => {
+        // Archives hold one file per step under a folder named after the job
+        // (with "/" replaced), plus one combined file per job at the root
+        const folder = `${job.name.replace(/\//g, '')}/`;
+        const failedSteps = job.steps.filter(step => step.conclusion === 'failure');
+        let found = false;
+
+        failedSteps.forEach(step => {
+            const entry = entries.find(candidate =>
+                candidate.name.startsWith(folder) &&
+                candidate.name.slice(folder.length).startsWith(`${step.number}_`));
+            if (entry) {
+                sections.push({ title: `${job.name} › ${step.name}`, log: entry.read().toString('utf8') });
+                found = true;
+            }
+        });
+
+        if (!found) {
+            const entry = entries.find(candidate =>
+                !candidate.name.includes('/') && candidate.name.endsWith(`_${job.name.replace(/\//g, '')}.txt`));
+            if (entry) {
+                sections.push({ title: job.name, log: entry.read().toString('utf8') });
+            }
+        }
+    });
+
+    return sections;
+}
+
+// Actions command
+bot.command('actions', async (ctx) => {
+    const target = parseRepoPath(ctx.message.text.split(' ')[1]);
+    
+    if (!target) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/actions [owner]/[repo]\`\n\n` +
+            `*Example:*\n` +
+            `\`/actions octocat/Hello-World\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+        
+        const menu = {
+            telegramId: user.telegramId,
+            accountId: user.activeAccount,
+            pageSize: pageSizeFor(user, RUNS_PAGE_SIZE),
+            owner: target.owner,
+            repo: target.repo,
+            page: 0
+        };
+        await loadWorkflowRuns(user.githubAccessToken, menu);
+        
+        const { text, extra } = renderWorkflowRuns(menu);
+        const message = await ctx.reply(text, extra);
+        actionMenus.set(message, menu);
+        
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error fetching workflow runs*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// Reads the workflow_dispatch inputs declared in a workflow file
+function parseDispatchInputs(source) {
+    const workflow = YAML.parse(source) || {};
+    const triggers = workflow.on || workflow.true || {};
+
+    if (Array.isArray(triggers) || typeof triggers === 'string') {
+        return [].concat(triggers).includes('workflow_dispatch') ? [] : null;
+    }
+    if (!('workflow_dispatch' in triggers)) return null;
+
+    const inputs = (triggers.workflow_dispatch && triggers.workflow_dispatch.inputs) || {};
+    return Object.entries(inputs).map(([name, input]) => ({
+        name,
+        description: input?.description || '',
+        required: Boolean(input?.required),
+        type: input?.type || 'string',
+        default: input?.default === undefined ? undefined : String(input.default),
+        options: (input?.options || []).map(String)
+    }));
+}
+
+async function promptDispatchInput(ctx, token, action) {
+    const { inputs, index } = action.data;
+
+    if (index >= inputs.length) {
+        return showDispatchConfirmation(ctx, token, action);
+    }
+
+    const input = inputs[index];
+    const rows = [];
+
+    if (input.type === 'choice') {
+        input.options.forEach((option, optionIndex) => {
+            rows.push([Markup.button.callback(option, `dp_v_${index}_${optionIndex}_${token}`)]);
+        });
+    } else if (input.type === 'boolean') {
+        rows.push([
+            Markup.button.callback('✅ true', `dp_b_${index}_true_${token}`),
+            Markup.button.callback('❌ false', `dp_b_${index}_false_${token}`)
+        ]);
+    } else {
+        awaitInput(ctx.from.id.toString(), 'dispatch_input', { token });
+    }
+
+    if (input.default !== undefined) {
+        rows.push([Markup.button.callback(`↩️ Use default (${truncate(input.default, 30)})`, `dp_def_${index}_${token}`)]);
+    } else if (!input.required) {
+        rows.push([Markup.button.callback('⏭️ Skip', `dp_def_${index}_${token}`)]);
+    }
+    rows.push([Markup.button.callback('❌ Cancel', `dp_no_${token}`)]);
+
+    const message = await ctx.reply(
+        `📝 *Input ${index + 1}/${inputs.length}: ${escapeMarkdown(input.name)}*` +
+        `${input.required ? ' (required)' : ''}\n\n` +
+        `${escapeMarkdown(input.description || 'No description')}\n` +
+        `Type: \`${input.type}\`` +
+        (['choice', 'boolean'].includes(input.type) ? '' : `\n\nSend the value as a message.`),
+        { parse_mode: 'Markdown', ...Markup.inlineKeyboard(rows) }
+    );
+    action.data.promptMessageId = message.message_id;
+}
+
+async function setDispatchInput(ctx, token, value) {
+    const action = getPendingAction(token, ctx.from.id.toString(), 'dispatch');
+
+    if (!action) {
+        return ctx.reply('⌛ This dispatch has expired. Run /dispatch again.');
+    }
+
+    // The answered prompt's buttons go away, also when it was answered by text
+    await ctx.telegram.editMessageReplyMarkup(ctx.chat.id, action.data.promptMessageId, undefined, undefined)
+        .catch(() => {});
+
+    const input = action.data.inputs[action.data.index];
+    if (value !== undefined) {
+        action.data.values[input.name] = value;
+    }
+
+    action.data.index++;
+    awaitingInputs.delete(ctx.from.id.toString());
+    await promptDispatchInput(ctx, token, action);
+}
+
+async function showDispatchConfirmation(ctx, token, action) {
+    const { owner, repo, ref, workflow, values } = action.data;
+    const lines = Object.entries(values).map(([name, value]) => `• ${escapeMarkdown(name)}: \`${value}\``);
+
+    await ctx.reply(
+        `🚀 *Run ${escapeMarkdown(workflow.name)}?*\n\n` +
+        `Repository: \`${owner}/${repo}\`\n` +
+        `Ref: \`${ref}\`\n` +
+        (lines.length > 0 ? `Inputs:\n${lines.join('\n')}` : `No inputs`),
+        {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([[
+                Markup.button.callback('✅ Run Workflow', `dp_ok_${token}`),
+                Markup.button.callback('❌ Cancel', `dp_no_${token}`)
+            ]])
+        }
+    );
+}
+
+// Dispatch command
+bot.command('dispatch', async (ctx) => {
+    const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    const target = parseRepoPath(args[0]);
+    
+    if (!target) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/dispatch [owner]/[repo] [ref]\`\n\n` +
+            `*Example:*\n` +
+            `\`/dispatch octocat/Hello-World main\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+        
+        const github = githubClient(user.githubAccessToken);
+        const [repoResponse, workflowsResponse] = await Promise.all([
+            github.get(`/repos/${target.owner}/${target.repo}`),
+            github.get(`/repos/${target.owner}/${target.repo}/actions/workflows`, { params: { per_page: 100 } })
+        ]);
+        
+        const workflows = workflowsResponse.data.workflows
+            .filter(workflow => workflow.state === 'active')
+            .map(workflow => ({ id: workflow.id, name: workflow.name, path: workflow.path }));
+        
+        if (workflows.length === 0) {
+            return ctx.reply(`📭 ${target.owner}/${target.repo} has no active workflows.`);
+        }
+        
+        const token = createPendingAction(user.telegramId, 'dispatch', {
+            accountId: user.activeAccount,
+            owner: target.owner,
+            repo: target.repo,
+            ref: args[1] || await resolveBranch(github, user, target.owner, target.repo, repoResponse.data.default_branch),
+            workflows,
+            values: {},
+            index: 0
+        });
+        
+        const rows = workflows.slice(0, 30).map((workflow, index) => [
+            Markup.button.callback(`⚙️ ${workflow.name}`, `dp_w_${index}_${token}`)
+        ]);
+        rows.push([Markup.button.callback('❌ Cancel', `dp_no_${token}`)]);
+        
+        await ctx.reply(
+            `🚀 *Dispatch a Workflow*\n\n` +
+            `Repository: \`${target.owner}/${target.repo}\`\n\n` +
+            `Choose the workflow to run:`,
+            { parse_mode: 'Markdown', ...Markup.inlineKeyboard(rows) }
+        );
+        
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error loading workflows*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// Branches, tags and releases
+const branchMenus = createMessageStateStore();
+const tagMenus = createMessageStateStore();
+const BRANCHES_PAGE_SIZE = 10;
+const TAGS_PAGE_SIZE = 10;
+// Each candidate costs a compare request
+const MAX_MERGED_BRANCH_CHECKS = 50;
+const MAX_RELEASE_NOTES_PREVIEW = 2500;
+
+function hasNextPage(response) {
+    return /rel="next"/.test(response.headers.link || '');
+}
+
+function compareUrl(owner, repo, base, head) {
+    return `/repos/${owner}/${repo}/compare/${encodeGitHubPath(base)}...${encodeGitHubPath(head)}`;
+}
+
+async function loadBranches(token, menu) {
+    const response = await githubClient(token).get(`/repos/${menu.owner}/${menu.repo}/branches`, {
+        params: { per_page: menu.pageSize, page: menu.page + 1 }
+    });
+
+    menu.branches = response.data.map(branch => ({
+        name: branch.name,
+        sha: branch.commit.sha,
+        protected: branch.protected
+    }));
+    menu.hasNext = hasNextPage(response);
+}
+
+function renderBranches(menu) {
+    let text = `🌿 *Branches: ${escapeMarkdown(`${menu.owner}/${menu.repo}`)}*\n` +
+        `Page ${menu.page + 1}\n\n`;
+
+    if (menu.branches.length === 0) {
+        text += `_No branches._`;
+    }
+
+    menu.branches.forEach(branch => {
+        const badges = [
+            branch.name === menu.defaultBranch ? '⭐ default' : null,
+            branch.protected ? '🛡️ protected' : null
+        ].filter(Boolean).join(' · ');
+        text += `• \`${branch.name}\` ${badges}\n`;
+    });
+
+    const rows = menu.branches.map((branch, index) => [
+        Markup.button.callback(`${branch.protected ? '🛡️' : '🌿'} ${truncate(branch.name, 40)}`, `br_o_${index}`)
+    ]);
+
+    const navigation = [];
+    if (menu.page > 0) {
+        navigation.push(Markup.button.callback('⬅️ Prev', `br_p_${menu.page - 1}`));
+    }
+    if (menu.hasNext) {
+        navigation.push(Markup.button.callback('Next ➡️', `br_p_${menu.page + 1}`));
+    }
+    if (navigation.length > 0) {
+        rows.push(navigation);
+    }
+
+    rows.push([
+        Markup.button.callback('➕ New Branch', 'br_new'),
+        Markup.button.callback('🧹 Delete Merged', 'br_merged')
+    ]);
+    rows.push([Markup.button.callback('🔄 Refresh', 'br_refresh')]);
+
+    return {
+        text,
+        extra: { parse_mode: 'Markdown', ...Markup.inlineKeyboard(rows) }
+    };
+}
+
+async function loadBranchDetails(token, menu, name) {
+    const github = githubClient(token);
+    const branch = await github.get(`/repos/${menu.owner}/${menu.repo}/branches/${encodeGitHubPath(name)}`);
+    const comparison = name === menu.defaultBranch
+        ? null
+        : (await github.get(compareUrl(menu.owner, menu.repo, menu.defaultBranch, name))).data;
+
+    menu.selected = { branch: branch.data, comparison };
+}
+
+function renderBranchDetails(menu) {
+    const { branch, comparison } = menu.selected;
+    const { commit } = branch.commit;
+    const isDefault = branch.name === menu.defaultBranch;
+
+    let text = `🌿 *${escapeMarkdown(branch.name)}*\n` +
+        `${escapeMarkdown(`${menu.owner}/${menu.repo}`)}` +
+        `${isDefault ? ' · ⭐ default' : ''}${branch.protected ? ' · 🛡️ protected' : ''}\n\n` +
+        `Last commit: \`${branch.commit.sha.slice(0, 7)}\` ${escapeMarkdown(truncate(commit.message.split('\n')[0], 60))}\n` +
+        `👤 ${escapeMarkdown(commit.author?.name || 'unknown')} · 🕒 ${formatDate(commit.author?.date || commit.committer.date, menu.locale)}\n`;
+
+    if (comparison) {
+        text += `\nCompared to \`${menu.defaultBranch}\`: ${comparison.ahead_by} ahead, ${comparison.behind_by} behind`;
+    }
+
+    const rows = [];
+    if (!isDefault && !branch.protected) {
+        rows.push([Markup.button.callback('🗑️ Delete Branch', 'br_del')]);
+    }
+    rows.push([
+        Markup.button.url('🔗 Open on GitHub', `https://github.com/${menu.owner}/${menu.repo}/tree/${encodeGitHubPath(branch.name)}`),
+        Markup.button.callback('⬅️ Back', 'br_back')
+    ]);
+
+    return {
+        text,
+        extra: { parse_mode: 'Markdown', disable_web_page_preview: true, ...Markup.inlineKeyboard(rows) }
+    };
+}
+
+// Branches other than the default one whose commits are all on the default
+// branch, and which were merged: the default branch has moved past them or
+// a pull request from them was merged. A branch just created from the
+// default branch has no commits of its own yet and is left alone.
+// Protected branches are never offered for deletion.
+async function findMergedBranches(token, menu) {
+    const github = githubClient(token);
+    const branches = await github.paginate(`/repos/${menu.owner}/${menu.repo}/branches`);
+    const candidates = branches.filter(branch => branch.name !== menu.defaultBranch && !branch.protected);
+    const merged = [];
+
+    for (const branch of candidates.slice(0, MAX_MERGED_BRANCH_CHECKS)) {
+        const comparison = await github.get(compareUrl(menu.owner, menu.repo, menu.defaultBranch, branch.name));
+        if (comparison.data.ahead_by !== 0) continue;
+
+        if (comparison.data.behind_by > 0 || await hasMergedPullRequest(github, menu, branch.name)) {
+            merged.push(branch.name);
+        }
+    }
+
+    return { merged, skipped: Math.max(0, candidates.length - MAX_MERGED_BRANCH_CHECKS) };
+}
+
+async function hasMergedPullRequest(github, menu, branch) {
+    const response = await github.get(`/repos/${menu.owner}/${menu.repo}/pulls`, {
+        params: { state: 'closed', head: `${menu.owner}:${branch}`, per_page: 100 }
+    });
+    return response.data.some(pull => pull.merged_at);
+}
+
+// Resolves a branch, tag or commit SHA to the commit it points at
+async function resolveCommitSha(github, owner, repo, ref) {
+    const response = await github.get(`/repos/${owner}/${repo}/commits/${encodeGitHubPath(ref)}`, {
+        headers: { 'Accept': 'application/vnd.github.sha' },
+        responseType: 'text'
+    });
+    return String(response.data).trim();
+}
+
+async function createBranch(github, owner, repo, name, fromRef) {
+    const sha = await resolveCommitSha(github, owner, repo, fromRef);
+    await github.post(`/repos/${owner}/${repo}/git/refs`, { ref: `refs/heads/${name}`, sha });
+    return sha;
+}
+
+function deleteBranch(github, owner, repo, name) {
+    return github.delete(`/repos/${owner}/${repo}/git/refs/heads/${encodeGitHubPath(name)}`);
+}
+
+// Branches command
+bot.command('branches', async (ctx) => {
+    const target = parseRepoPath(ctx.message.text.split(' ')[1]);
+    
+    if (!target) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/branches [owner]/[repo]\`\n\n` +
+            `*Example:*\n` +
+            `\`/branches octocat/Hello-World\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+        
+        const repoResponse = await githubClient(user.githubAccessToken).get(`/repos/${target.owner}/${target.repo}`);
+        const menu = {
+            telegramId: user.telegramId,
+            accountId: user.activeAccount,
+            pageSize: pageSizeFor(user, BRANCHES_PAGE_SIZE),
+            locale: user.settings?.language,
+            owner: target.owner,
+            repo: target.repo,
+            defaultBranch: repoResponse.data.default_branch,
+            page: 0
+        };
+        await loadBranches(user.githubAccessToken, menu);
+        
+        const { text, extra } = renderBranches(menu);
+        const message = await ctx.reply(text, extra);
+        branchMenus.set(message, menu);
+        
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error fetching branches*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// Compare command
+bot.command('compare', async (ctx) => {
+    const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    const target = parseRepoPath(args[0]);
+    // Accepts "base head" as well as "base...head"
+    const [base, head] = args.length === 2 && args[1].includes('...') ? args[1].split('...') : args.slice(1);
+    
+    if (!target || !base || !head) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/compare [owner]/[repo] [base] [head]\`\n\n` +
+            `*Example:*\n` +
+            `\`/compare octocat/Hello-World main feature\`\n` +
+            `\`/compare octocat/Hello-World v1.0.0...v1.1.0\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+        
+        const github = githubClient(user.githubAccessToken);
+        const url = compareUrl(target.owner, target.repo, base, head);
+        const loadPage = async page => (await github.get(url, { params: { per_page: 100, page } })).data;
+        const comparison = await loadPage(1);
+        
+        // Commits come oldest first, so the latest are on the last page
+        // and, when it is short, the one before
+        let commits = comparison.commits;
+        const lastPage = Math.ceil(comparison.total_commits / 100);
+        if (lastPage > 1) {
+            commits = (await loadPage(lastPage)).commits;
+            if (commits.length < 10) {
+                const previous = lastPage === 2 ? comparison : await loadPage(lastPage - 1);
+                commits = [...previous.commits, ...commits];
+            }
+        }
+        const files = comparison.files || [];
+        const additions = files.reduce((total, file) => total + file.additions, 0);
+        const deletions = files.reduce((total, file) => total + file.deletions, 0);
+        
+        let text = `⚖️ *${escapeMarkdown(`${target.owner}/${target.repo}`)}*\n` +
+            `\`${base}\` ... \`${head}\`\n\n` +
+            `Status: ${comparison.status} · ${comparison.ahead_by} ahead, ${comparison.behind_by} behind\n` +
+            `📝 ${comparison.total_commits} commit${comparison.total_commits === 1 ? '' : 's'} · ` +
+            `📄 ${files.length}${files.length >= 300 ? '+' : ''} file${files.length === 1 ? '' : 's'} changed · ` +
+            `+${additions} −${deletions}\n`;
+        
+        if (commits.length > 0) {
+            text += `\n*Latest commits:*\n`;
+            commits.slice(-10).reverse().forEach(commit => {
+                text += `\`${commit.sha.slice(0, 7)}\` ${escapeMarkdown(truncate(commit.commit.message.split('\n')[0], 60))}\n`;
+            });
+        }
+        
+        await ctx.reply(text, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            ...Markup.inlineKeyboard([[Markup.button.url('🔗 Open on GitHub', comparison.html_url)]])
+        });
+        
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error comparing refs*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+async function loadTags(token, menu) {
+    const response = await githubClient(token).get(`/repos/${menu.owner}/${menu.repo}/tags`, {
+        params: { per_page: menu.pageSize, page: menu.page + 1 }
+    });
+
+    menu.tags = response.data.map(tag => ({ name: tag.name, sha: tag.commit.sha }));
+    menu.hasNext = hasNextPage(response);
+}
+
+function renderTags(menu) {
+    let text = `🏷️ *Tags: ${escapeMarkdown(`${menu.owner}/${menu.repo}`)}*\n` +
+        `Page ${menu.page + 1}\n\n`;
+
+    if (menu.tags.length === 0) {
+        text += `_No tags yet. Draft a release with /release to create one._`;
+    }
+
+    menu.tags.forEach(tag => {
+        text += `• \`${tag.name}\` · \`${tag.sha.slice(0, 7)}\`\n`;
+    });
+
+    const navigation = [];
+    if (menu.page > 0) {
+        navigation.push(Markup.button.callback('⬅️ Prev', `tg_p_${menu.page - 1}`));
+    }
+    if (menu.hasNext) {
+        navigation.push(Markup.button.callback('Next ➡️', `tg_p_${menu.page + 1}`));
+    }
+
+    const rows = navigation.length > 0 ? [navigation] : [];
+    rows.push([
+        Markup.button.url('🔗 Open on GitHub', `https://github.com/${menu.owner}/${menu.repo}/tags`),
+        Markup.button.callback('🔄 Refresh', 'tg_refresh')
+    ]);
+
+    return {
+        text,
+        extra: { parse_mode: 'Markdown', disable_web_page_preview: true, ...Markup.inlineKeyboard(rows) }
+    };
+}
+
+// Tags command
+bot.command('tags', async (ctx) => {
+    const target = parseRepoPath(ctx.message.text.split(' ')[1]);
+    
+    if (!target) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/tags [owner]/[repo]\`\n\n` +
+            `*Example:*\n` +
+            `\`/tags octocat/Hello-World\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+        
+        const menu = {
+            telegramId: user.telegramId,
+            accountId: user.activeAccount,
+            pageSize: pageSizeFor(user, TAGS_PAGE_SIZE),
+            owner: target.owner,
+            repo: target.repo,
+            page: 0
+        };
+        await loadTags(user.githubAccessToken, menu);
+        
+        const { text, extra } = renderTags(menu);
+        const message = await ctx.reply(text, extra);
+        tagMenus.set(message, menu);
+        
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error fetching tags*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+function renderReleaseDraft(action, token) {
+    const { owner, repo, tag, target, name, body, assets } = action.data;
+    const notes = body.length > MAX_RELEASE_NOTES_PREVIEW
+        ? `${body.slice(0, MAX_RELEASE_NOTES_PREVIEW)}\n…`
+        : body;
+
+    let text = `🚀 <b>Draft Release</b>\n\n` +
+        `Repository: <code>${escapeHtml(`${owner}/${repo}`)}</code>\n` +
+        `Tag: <code>${escapeHtml(tag)}</code> from <code>${escapeHtml(target)}</code>\n` +
+        `Title: ${escapeHtml(name)}\n\n` +
+        `<pre>${escapeHtml(notes) || ' '}</pre>\n`;
+
+    if (assets.length > 0) {
+        text += `\n📎 Assets:\n${assets.map(asset => `• ${escapeHtml(asset.name)} (${formatBytes(asset.size)})`).join('\n')}\n`;
+    }
+
+    return {
+        text,
+        extra: {
+            parse_mode: 'HTML',
+            ...Markup.inlineKeyboard([
+                [
+                    Markup.button.callback('✏️ Edit Notes', `rl_notes_${token}`),
+                    Markup.button.callback('✏️ Edit Title', `rl_name_${token}`)
+                ],
+                [Markup.button.callback('📎 Attach Files', `rl_assets_${token}`)],
+                [
+                    Markup.button.callback('🚀 Publish', `rl_pub_${token}`),
+                    Markup.button.callback('🗑️ Discard', `rl_del_${token}`)
+                ]
+            ])
+        }
+    };
+}
+
+// Release command
+bot.command('release', async (ctx) => {
+    const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+    const target = parseRepoPath(args[0]);
+    const tag = args[1];
+    
+    if (!target || !tag) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/release [owner]/[repo] [tag] [target]\`\n\n` +
+            `The tag is created when the release is published. ` +
+            `Target is the branch or commit to tag and defaults to the default branch.\n\n` +
+            `*Example:*\n` +
+            `\`/release octocat/Hello-World v1.2.0\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+        
+        await ctx.reply('⏳ Drafting release notes...');
+        
+        const github = githubClient(user.githubAccessToken);
+        const repoResponse = await github.get(`/repos/${target.owner}/${target.repo}`);
+        const releaseTarget = args[2] || repoResponse.data.default_branch;
+        
+        const notes = await github.post(`/repos/${target.owner}/${target.repo}/releases/generate-notes`, {
+            tag_name: tag,
+            target_commitish: releaseTarget
+        });
+        const release = await github.post(`/repos/${target.owner}/${target.repo}/releases`, {
+            tag_name: tag,
+            target_commitish: releaseTarget,
+            name: notes.data.name,
+            body: notes.data.body,
+            draft: true
+        });
+        
+        const token = createPendingAction(user.telegramId, 'release', {
+            accountId: user.activeAccount,
+            owner: target.owner,
+            repo: target.repo,
+            releaseId: release.data.id,
+            uploadUrl: release.data.upload_url,
+            tag,
+            target: releaseTarget,
+            name: release.data.name || tag,
+            body: release.data.body || '',
+            assets: []
+        });
+        
+        const { text, extra } = renderReleaseDraft(pendingActions.get(token), token);
+        await ctx.reply(text, extra);
+        
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error drafting release*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// Gists
+const gistMenus = createMessageStateStore();
+const GISTS_PAGE_SIZE = 10;
+const MAX_GIST_FILE_SIZE = 1024 * 1024;
+// Truncated gist files larger than this are linked instead of sent
+const MAX_GIST_DOWNLOAD_SIZE = 10 * 1024 * 1024;
+const GIST_DOWNLOAD_TIMEOUT = 30 * 1000;
+// Code block languages (```python) mapped to file extensions
+const GIST_EXTENSIONS = {
+    javascript: 'js', js: 'js', jsx: 'jsx', typescript: 'ts', ts: 'ts', tsx: 'tsx',
+    python: 'py', py: 'py', ruby: 'rb', rb: 'rb', go: 'go', rust: 'rs', java: 'java',
+    kotlin: 'kt', swift: 'swift', c: 'c', cpp: 'cpp', 'c++': 'cpp', csharp: 'cs', cs: 'cs',
+    php: 'php', bash: 'sh', shell: 'sh', sh: 'sh', powershell: 'ps1', sql: 'sql',
+    html: 'html', css: 'css', scss: 'scss', json: 'json', yaml: 'yml', yml: 'yml',
+    toml: 'toml', xml: 'xml', markdown: 'md', md: 'md', diff: 'diff', lua: 'lua', r: 'r'
+};
+
+// Guesses an extension for text without a code block language
+function guessGistExtension(content) {
+    const shebang = /^#!.*\b(bash|sh|zsh|python3?|node|ruby|perl)\b/.exec(content);
+    if (shebang) {
+        return { bash: 'sh', sh: 'sh', zsh: 'sh', python: 'py', python3: 'py', node: 'js', ruby: 'rb', perl: 'pl' }[shebang[1]];
+    }
+
+    try {
+        if (/^\s*[[{]/.test(content)) {
+            JSON.parse(content);
+            return 'json';
+        }
+    } catch (error) {
+        // Not JSON
+    }
+
+    return 'txt';
+}
+
+function isGistScopeError(error) {
+    // Tokens issued before the gist scope was requested get a 404 when writing
+    return ['not_found', 'forbidden'].includes(error.code);
+}
+
+function gistErrorMessage(error) {
+    return isGistScopeError(error)
+        ? `${githubErrorMessage(error)}. If you connected before gists were supported, run /connect again to grant gist access.`
+        : githubErrorMessage(error);
+}
+
+// Reads the file a gist is created from: a document, or a text message
+// whose code block (if any) decides the content and extension
+async function gistFileFromMessage(ctx, message, filename) {
+    if (message.document) {
+        const { document } = message;
+
+        if ((document.file_size || 0) > MAX_GIST_FILE_SIZE) {
+            throw new Error(`${document.file_name || 'The file'} is ${formatBytes(document.file_size)}. Gists from Telegram are limited to ${formatBytes(MAX_GIST_FILE_SIZE)}.`);
+        }
+
+        const buffer = await downloadTelegramFile(ctx.telegram, document.file_id);
+        if (!isTextBuffer(buffer)) {
+            throw new Error(`${document.file_name || 'The file'} is binary. Gists can only hold text.`);
+        }
+
+        return { name: filename || document.file_name || `file_${document.file_unique_id}.txt`, content: buffer.toString('utf8') };
+    }
+
+    const text = message.text || message.caption;
+    if (!text) {
+        throw new Error('Reply to a text message or a document to turn it into a gist.');
+    }
+
+    const entities = message.entities || message.caption_entities || [];
+    const block = entities.find(entity => entity.type === 'pre');
+    const content = block ? text.slice(block.offset, block.offset + block.length) : text;
+    const extension = GIST_EXTENSIONS[(block?.language || '').toLowerCase()] || guessGistExtension(content);
+
+    return { name: filename || `snippet.${extension}`, content };
+}
+
+// "/gist [public|secret] [file.ext] [description]" as a reply to a message,
+// or as the caption of a document
+async function createGistFromMessage(ctx, source, argumentText) {
+    const args = parseArguments(argumentText);
+    let isPublic = false;
+
+    if (args[0] && !args[0].quoted && ['public', 'secret'].includes(args[0].value.toLowerCase())) {
+        isPublic = args.shift().value.toLowerCase() === 'public';
+    }
+
+    const filename = args[0] && /^[\w.-]+\.\w+$/.test(args[0].value) ? args.shift().value : null;
+    const description = args.map(arg => arg.value).join(' ');
+
+    const user = await getConnectedUser(ctx);
+    if (!user) return;
+
+    try {
+        const file = await gistFileFromMessage(ctx, source, filename);
+        if (!file.content.trim()) {
+            return ctx.reply('❌ Gists can\'t be empty.');
+        }
+
+        const response = await githubClient(user.githubAccessToken).post('/gists', {
+            description: description || file.name,
+            public: isPublic,
+            files: { [file.name]: { content: file.content } }
+        });
+        const gist = response.data;
+
+        await ctx.reply(
+            `✅ *Gist Created*\n\n` +
+            `${isPublic ? '🌐 Public' : '🔒 Secret'} · \`${file.name}\` · ${formatBytes(Buffer.byteLength(file.content))}\n` +
+            `${escapeMarkdown(gist.description || '')}`,
+            {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([
+                    [Markup.button.url('🔗 Open Gist', gist.html_url)],
+                    [Markup.button.switchToChat('📤 Share', `gist:${gist.id}`)]
+                ])
+            }
+        );
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error creating gist*\n\n` +
+            `Error: ${escapeMarkdown(error.code ? gistErrorMessage(error) : error.message)}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+}
+
+// Gist command
+bot.command('gist', async (ctx) => {
+    const source = ctx.message.reply_to_message;
+    
+    if (!source) {
+        return ctx.reply(
+            `📝 *Create a Gist*\n\n` +
+            `Reply to a message or a document with:\n` +
+            `\`/gist [public|secret] [file name] [description]\`\n\n` +
+            `Or send a document with \`/gist\` as its caption.\n\n` +
+            `Gists are secret unless you say \`public\`. Without a file name, ` +
+            `the code block's language picks the extension.\n\n` +
+            `*Example:*\n` +
+            `\`/gist public deploy.sh Deploy script\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    await createGistFromMessage(ctx, source, ctx.message.text.split(' ').slice(1).join(' '));
+});
+
+async function loadGists(token, menu) {
+    const response = await githubClient(token).get('/gists', {
+        params: { per_page: menu.pageSize, page: menu.page + 1 }
+    });
+
+    menu.gists = response.data.map(gist => ({
+        id: gist.id,
+        description: gist.description,
+        public: gist.public,
+        files: Object.keys(gist.files),
+        updatedAt: gist.updated_at
+    }));
+    menu.hasNext = hasNextPage(response);
+}
+
+function gistTitle(gist) {
+    return gist.description || gist.files[0] || gist.id;
+}
+
+function renderGists(menu) {
+    let text = `📝 *Your Gists*\nPage ${menu.page + 1}\n\n`;
+
+    if (menu.gists.length === 0) {
+        text += `_No gists yet. Reply to a message with /gist to create one._`;
+    }
+
+    menu.gists.forEach(gist => {
+        text += `${gist.public ? '🌐' : '🔒'} *${escapeMarkdown(truncate(gistTitle(gist), 60))}*\n` +
+            `   📄 ${gist.files.length} file${gist.files.length === 1 ? '' : 's'} · 🕒 ${formatDate(gist.updatedAt, menu.locale)}\n`;
+    });
+
+    const rows = menu.gists.map((gist, index) => [
+        Markup.button.callback(`${gist.public ? '🌐' : '🔒'} ${truncate(gistTitle(gist), 40)}`, `gi_o_${index}`)
+    ]);
+
+    const navigation = [];
+    if (menu.page > 0) {
+        navigation.push(Markup.button.callback('⬅️ Prev', `gi_p_${menu.page - 1}`));
+    }
+    if (menu.hasNext) {
+        navigation.push(Markup.button.callback('Next ➡️', `gi_p_${menu.page + 1}`));
+    }
+    if (navigation.length > 0) {
+        rows.push(navigation);
+    }
+    rows.push([Markup.button.callback('🔄 Refresh', 'gi_refresh')]);
+
+    return {
+        text,
+        extra: { parse_mode: 'Markdown', ...Markup.inlineKeyboard(rows) }
+    };
+}
+
+async function loadGistDetails(token, menu, id) {
+    const github = githubClient(token);
+    const gist = await github.get(`/gists/${id}`);
+    // 204 when starred, 404 when not
+    const starred = await github.get(`/gists/${id}/star`)
+        .then(() => true)
+        .catch(error => {
+            if (error.code === 'not_found') return false;
+            throw error;
+        });
+
+    menu.selected = { gist: gist.data, files: Object.values(gist.data.files), starred };
+}
+
+function renderGistDetails(menu) {
+    const { gist, files, starred } = menu.selected;
+
+    let text = `${gist.public ? '🌐 Public' : '🔒 Secret'} gist${starred ? ' · ⭐ starred' : ''}\n` +
+        `*${escapeMarkdown(gist.description || 'No description')}*\n\n` +
+        `🕒 Updated ${formatDate(gist.updated_at, menu.locale)} · 💬 ${gist.comments}\n\n` +
+        `*Files:*\n`;
+
+    files.slice(0, 10).forEach(file => {
+        text += `📄 \`${file.filename}\` · ${escapeMarkdown(file.language || 'Text')} · ${formatBytes(file.size)}\n`;
+    });
+    if (files.length > 10) {
+        text += `… and ${files.length - 10} more\n`;
+    }
+
+    const rows = files.slice(0, 10).map((file, index) => [
+        Markup.button.callback(`📄 ${truncate(file.filename, 30)}`, `gi_f_${index}`),
+        Markup.button.callback('✏️ Update', `gi_u_${index}`)
+    ]);
+
+    rows.push([
+        Markup.button.callback(starred ? '☆ Unstar' : '⭐ Star', 'gi_star'),
+        Markup.button.callback('🗑️ Delete', 'gi_del')
+    ]);
+    rows.push([
+        Markup.button.url('🔗 Open', gist.html_url),
+        Markup.button.switchToChat('📤 Share', `gist:${gist.id}`)
+    ]);
+    rows.push([Markup.button.callback('⬅️ Back to gists', 'gi_back')]);
+
+    return {
+        text,
+        extra: { parse_mode: 'Markdown', disable_web_page_preview: true, ...Markup.inlineKeyboard(rows) }
+    };
+}
+
+// Gists command
+bot.command('gists', async (ctx) => {
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+        
+        const menu = {
+            telegramId: user.telegramId,
+            accountId: user.activeAccount,
+            pageSize: pageSizeFor(user, GISTS_PAGE_SIZE),
+            locale: user.settings?.language,
+            page: 0
+        };
+        await loadGists(user.githubAccessToken, menu);
+        
+        const { text, extra } = renderGists(menu);
+        const message = await ctx.reply(text, extra);
+        gistMenus.set(message, menu);
+        
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error fetching gists*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// Admin console
+// Admin commands only answer the ids in ADMIN_IDS; for everyone else they
+// don't exist
+const DAY = 24 * 60 * 60 * 1000;
+const STATS_TOP_COMMANDS = 10;
+// About 25 messages a second, under Telegram's limit of 30
+const BROADCAST_DELAY = 40;
+const BROADCAST_MAX_RETRIES = 3;
+
+// Progress of the broadcast being sent, if any
+let activeBroadcast = null;
+
+function adminCommand(handler) {
+    return async (ctx, next) => {
+        if (!isAdmin(ctx.from.id)) return next();
+        return handler(ctx);
+    };
+}
+
+function adminAction(handler) {
+    return async (ctx) => {
+        if (!isAdmin(ctx.from.id)) {
+            return ctx.answerCbQuery('🚫 Admins only.', { show_alert: true });
+        }
+        return handler(ctx);
+    };
+}
+
+function wait(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+// Adds counts into total, e.g. command counts from several hours
+function addCounts(total, counts) {
+    Object.entries(counts || {}).forEach(([key, value]) => {
+        total[key] = (total[key] || 0) + value;
+    });
+    return total;
+}
+
+function sortCounts(counts) {
+    return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+}
+
+function errorRate(requests, errors) {
+    return requests ? Math.round(errors / requests * 10000) / 10000 : 0;
+}
+
+// Everything /stats and the /admin endpoint report. Days are UTC calendar
+// days, the last one being today.
+async function collectMetrics() {
+    await flushUsage();
+    
+    const now = new Date();
+    const today = new Date(now);
+    today.setUTCHours(0, 0, 0, 0);
+    const firstDay = new Date(today.getTime() - 6 * DAY);
+    const dayAgo = new Date(now.getTime() - DAY);
+    const weekAgo = new Date(now.getTime() - 7 * DAY);
+    
+    const [
+        total, agreed, connected, banned, active24h, active7d, announcementsOff,
+        linkedAccounts, groups, watches, scheduledJobs, usage
+    ] = await Promise.all([
+        User.countDocuments(),
+        User.countDocuments({ isAgreed: true }),
+        User.countDocuments({ isConnected: true }),
+        User.countDocuments({ isBanned: true }),
+        User.countDocuments({ lastActive: { $gte: dayAgo } }),
+        User.countDocuments({ lastActive: { $gte: weekAgo } }),
+        User.countDocuments({ 'settings.receiveAnnouncements': false }),
+        LinkedAccount.countDocuments(),
+        GroupBinding.countDocuments(),
+        Watch.countDocuments(),
+        ScheduledJob.countDocuments(),
+        UsageStat.find({ hour: { $gte: firstDay } }).sort({ hour: 1 }).lean()
+    ]);
+    
+    const days = Array.from({ length: 7 }, (_, index) => ({
+        date: new Date(firstDay.getTime() + index * DAY).toISOString().slice(0, 10),
+        requests: 0,
+        errors: 0
+    }));
+    const commands24h = {};
+    const commands7d = {};
+    const errorCodes = {};
+    const github24h = { requests: 0, errors: 0 };
+    
+    usage.forEach(bucket => {
+        const day = days[Math.floor((bucket.hour.getTime() - firstDay.getTime()) / DAY)];
+        day.requests += bucket.githubRequests || 0;
+        day.errors += bucket.githubErrors || 0;
+        addCounts(commands7d, bucket.commands);
+        addCounts(errorCodes, bucket.errorCodes);
+        
+        if (bucket.hour >= dayAgo) {
+            addCounts(commands24h, bucket.commands);
+            github24h.requests += bucket.githubRequests || 0;
+            github24h.errors += bucket.githubErrors || 0;
+        }
+    });
+    
+    return {
+        generatedAt: now.toISOString(),
+        users: { total, agreed, connected, banned, active24h, active7d, announcementsOff },
+        linkedAccounts,
+        groups,
+        watches,
+        scheduledJobs,
+        commands: {
+            last24h: sortCounts(commands24h),
+            last7d: sortCounts(commands7d)
+        },
+        github: {
+            last24h: { ...github24h, errorRate: errorRate(github24h.requests, github24h.errors) },
+            daily: days.map(day => ({ ...day, errorRate: errorRate(day.requests, day.errors) })),
+            errorCodes: sortCounts(errorCodes)
+        }
+    };
+}
+
+function formatPercent(rate) {
+    return `${(rate * 100).toFixed(1)}%`;
+}
+
+function renderStats(metrics) {
+    const { users, commands, github } = metrics;
+    const topCommands = Object.entries(commands.last7d).slice(0, STATS_TOP_COMMANDS)
+        .map(([name, count]) => `\`/${name}\` ${commands.last24h[name] || 0} / ${count}`);
+    const daily = github.daily
+        .map(day => `\`${day.date}\` ${day.requests} requests, ${day.errors} errors (${formatPercent(day.errorRate)})`);
+    const errorCodes = Object.entries(github.errorCodes)
+        .map(([code, count]) => `\`${code}\` ${count}`);
+    
+    const text = `📊 *Bot Statistics*\n\n` +
+        `*Users*\n` +
+        `👥 Total: ${users.total} (${users.agreed} agreed, ${users.connected} connected)\n` +
+        `🟢 Active: ${users.active24h} in 24h, ${users.active7d} in 7 days\n` +
+        `🚫 Banned: ${users.banned}\n` +
+        `🔕 Announcements off: ${users.announcementsOff}\n` +
+        `🔑 Linked accounts: ${metrics.linkedAccounts}\n` +
+        `👥 Bound groups: ${metrics.groups}\n` +
+        `👁 Watches: ${metrics.watches}\n` +
+        `⏰ Scheduled jobs: ${metrics.scheduledJobs}\n\n` +
+        `*Commands* (24h / 7 days)\n` +
+        `${topCommands.length > 0 ? topCommands.join('\n') : '_None yet_'}\n\n` +
+        `*GitHub API*\n` +
+        `Last 24h: ${github.last24h.requests} requests, ${github.last24h.errors} errors (${formatPercent(github.last24h.errorRate)})\n` +
+        `${daily.join('\n')}\n` +
+        `Errors by code: ${errorCodes.length > 0 ? errorCodes.join(', ') : '_none_'}\n\n` +
+        `_Updated ${metrics.generatedAt.slice(0, 16).replace('T', ' ')} UTC_`;
+    
+    return {
+        text,
+        extra: {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([[Markup.button.callback('🔄 Refresh', 'adm_stats')]])
+        }
+    };
+}
+
+// Stats command
+bot.command('stats', adminCommand(async (ctx) => {
+    try {
+        const { text, extra } = renderStats(await collectMetrics());
+        await ctx.reply(text, extra);
+    } catch (error) {
+        await ctx.reply(`❌ Error loading statistics: ${error.message}`);
+    }
+}));
+
+// Users who haven't turned announcements off in /settings; banned users
+// are left out
+function announcementRecipients() {
+    return User.find({
+        isBanned: { $ne: true },
+        'settings.receiveAnnouncements': { $ne: false }
+    }).select('telegramId').lean();
+}
+
+// Sends one copy of a broadcast, waiting out Telegram's flood limits.
+// Returns 'sent', 'blocked' when the user blocked the bot, or 'failed'.
+async function sendAnnouncement(chatId, broadcast) {
+    const extra = Markup.inlineKeyboard([
+        [Markup.button.callback('🔕 Turn off announcements', 'st_announce_off')]
+    ]);
+    
+    for (let attempt = 0; ; attempt++) {
+        try {
+            if (broadcast.text) {
+                await bot.telegram.sendMessage(chatId, broadcast.text, { entities: broadcast.entities, ...extra });
+            } else {
+                await bot.telegram.copyMessage(chatId, broadcast.fromChatId, broadcast.messageId, extra);
+            }
+            return 'sent';
+        } catch (error) {
+            if (error.code === 429 && attempt < BROADCAST_MAX_RETRIES) {
+                await wait((error.parameters?.retry_after || 1) * 1000);
+            } else {
+                return error.code === 403 ? 'blocked' : 'failed';
+            }
+        }
+    }
+}
+
+async function runBroadcast(adminChatId, broadcast) {
+    const recipients = await announcementRecipients();
+    activeBroadcast = { total: recipients.length, sent: 0, blocked: 0, failed: 0, startedAt: Date.now() };
+    
+    try {
+        for (const recipient of recipients) {
+            activeBroadcast[await sendAnnouncement(recipient.telegramId, broadcast)]++;
+            await wait(BROADCAST_DELAY);
+        }
+        
+        const { total, sent, blocked, failed, startedAt } = activeBroadcast;
+        await bot.telegram.sendMessage(adminChatId,
+            `✅ *Broadcast finished*\n\n` +
+            `📨 Sent: ${sent} of ${total}\n` +
+            `🚫 Blocked the bot: ${blocked}\n` +
+            `❌ Failed: ${failed}\n` +
+            `⏱ Took ${formatWait(Date.now() - startedAt)}`,
+            { parse_mode: 'Markdown' }
+        );
+    } finally {
+        activeBroadcast = null;
+    }
+}
+
+function broadcastProgress() {
+    const { total, sent, blocked, failed } = activeBroadcast;
+    return `${sent + blocked + failed} of ${total} done`;
+}
+
+// Broadcast command: "/broadcast text", or as a reply to copy that message
+// with its formatting and media
+bot.command('broadcast', adminCommand(async (ctx) => {
+    try {
+        if (activeBroadcast) {
+            return ctx.reply(`⏳ A broadcast is already being sent (${broadcastProgress()}).`);
+        }
+        
+        const message = ctx.message;
+        const command = /^\/\w+(@\w+)?\s*/.exec(message.text);
+        const start = command[0].length;
+        const reply = message.reply_to_message;
+        let broadcast;
+        
+        if (start < message.text.length) {
+            broadcast = {
+                text: message.text.slice(start),
+                entities: (message.entities || [])
+                    .filter(entity => entity.offset >= start)
+                    .map(entity => ({ ...entity, offset: entity.offset - start }))
+            };
+        } else if (reply) {
+            broadcast = { fromChatId: ctx.chat.id, messageId: reply.message_id };
+        } else {
+            return ctx.reply(
+                '📣 *Broadcast*\n\n' +
+                'Usage: `/broadcast your message`, or reply to a message with /broadcast to send a copy of it.\n\n' +
+                'Users who turned announcements off in /settings are skipped.',
+                { parse_mode: 'Markdown' }
+            );
+        }
+        
+        const recipients = await User.countDocuments({
+            isBanned: { $ne: true },
+            'settings.receiveAnnouncements': { $ne: false }
+        });
+        const token = createPendingAction(ctx.from.id.toString(), 'broadcast', broadcast);
+        
+        await ctx.reply(`📣 Send this message to ${recipients} users?`, {
+            reply_to_message_id: broadcast.text ? message.message_id : reply.message_id,
+            ...Markup.inlineKeyboard([[
+                Markup.button.callback('✅ Send', `adm_bc_ok_${token}`),
+                Markup.button.callback('❌ Cancel', `adm_bc_no_${token}`)
+            ]])
+        });
+    } catch (error) {
+        await ctx.reply(`❌ Error preparing broadcast: ${error.message}`);
+    }
+}));
+
+// Finds a user by Telegram id or by the username of any linked GitHub account
+async function findUserByQuery(query) {
+    const value = query.replace(/^@/, '');
+    if (/^\d+$/.test(value)) {
+        return User.findOne({ telegramId: value });
+    }
+    
+    const username = new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    const account = await LinkedAccount.findOne({ githubUsername: username });
+    return User.findOne(account ? { telegramId: account.telegramId } : { githubUsername: username });
+}
+
+async function renderAdminUser(user) {
+    const { telegramId } = user;
+    const [accounts, watches, scheduledJobs, groups] = await Promise.all([
+        LinkedAccount.find({ telegramId }).select('githubUsername').lean(),
+        Watch.countDocuments({ telegramId }),
+        ScheduledJob.countDocuments({ telegramId }),
+        GroupBinding.countDocuments({ createdBy: telegramId })
+    ]);
+    const date = value => value ? new Date(value).toISOString().slice(0, 16).replace('T', ' ') : 'never';
+    const github = user.githubUsername ? `@${escapeMarkdown(user.githubUsername)}` : '_not connected_';
+    const linked = accounts.map(account => `@${escapeMarkdown(account.githubUsername)}`).join(', ');
+    
+    const text = `👤 *User ${telegramId}*\n\n` +
+        `🐙 GitHub: ${github}\n` +
+        `🔑 Linked accounts: ${accounts.length}${linked ? ` (${linked})` : ''}\n` +
+        `📝 Agreed to terms: ${user.isAgreed ? 'yes' : 'no'}\n` +
+        `📅 Joined: ${date(user.createdAt)} UTC\n` +
+        `🟢 Last active: ${date(user.lastActive)} UTC\n` +
+        `🌍 Timezone: \`${user.timezone || 'UTC'}\`\n` +
+        `👁 Watches: ${watches}\n` +
+        `⏰ Scheduled jobs: ${scheduledJobs}\n` +
+        `👥 Groups bound: ${groups}\n` +
+        `📣 Announcements: ${user.settings?.receiveAnnouncements === false ? 'off' : 'on'}\n\n` +
+        (user.isBanned ? `🚫 *Banned* since ${date(user.bannedAt)} UTC` : '✅ Not banned');
+    
+    const buttons = [Markup.button.callback('🔄 Refresh', `adm_user_${telegramId}`)];
+    if (!isAdmin(telegramId)) {
+        buttons.unshift(user.isBanned
+            ? Markup.button.callback('✅ Unban', `adm_unban_${telegramId}`)
+            : Markup.button.callback('🚫 Ban', `adm_ban_${telegramId}`));
+    }
+    
+    return {
+        text,
+        extra: {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([buttons])
+        }
+    };
+}
+
+// User command: /user <telegram id or GitHub username>
+bot.command('user', adminCommand(async (ctx) => {
+    const query = ctx.message.text.split(' ').filter(Boolean)[1];
+    
+    if (!query) {
+        return ctx.reply(
+            '👤 Usage: `/user telegram_id` or `/user github_username`',
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    try {
+        const user = await findUserByQuery(query);
+        if (!user) {
+            return ctx.reply(`❌ No user found for ${query}`);
+        }
+        
+        const { text, extra } = await renderAdminUser(user);
+        await ctx.reply(text, extra);
+    } catch (error) {
+        await ctx.reply(`❌ Error loading user: ${error.message}`);
+    }
+}));
+
+// Linked accounts
+async function renderAccounts(telegramId) {
+    const [user, accounts] = await Promise.all([
+        User.findOne({ telegramId }),
+        LinkedAccount.find({ telegramId }).sort({ createdAt: 1 })
+    ]);
+    
+    let text = `👥 *Linked GitHub Accounts*\n\n`;
+    const rows = [];
+    
+    if (accounts.length === 0) {
+        text += `_No accounts linked yet._\n\n`;
+    }
+    
+    accounts.forEach(account => {
+        const active = String(account._id) === String(user?.activeAccount);
+        text += `${active ? '✅' : '▫️'} *${escapeMarkdown(account.githubUsername)}* ` +
+            `(@${escapeMarkdown(account.label)})${active ? ' · active' : ''}\n`;
+        
+        const buttons = [];
+        if (!active) {
+            buttons.push(Markup.button.callback(`🔄 Use ${account.githubUsername}`, `acc_use_${account._id}`));
+        }
+        buttons.push(Markup.button.callback('✏️ Rename', `acc_label_${account._id}`));
+        buttons.push(Markup.button.callback('🗑️ Unlink', `acc_rm_${account._id}`));
+        rows.push(buttons);
+    });
+    
+    if (accounts.length > 1) {
+        text += `\nRun a single command as another account by adding its name, ` +
+            `e.g. \`/repos @${escapeMarkdown(accounts[0].label)}\``;
+    }
+    
+    rows.push([Markup.button.url('➕ Link Another Account', await createOAuthLink(telegramId))]);
+    
+    return { text, extra: { parse_mode: 'Markdown', ...Markup.inlineKeyboard(rows) } };
+}
+
+// Makes a linked account the one the bot acts as
+async function activateAccount(telegramId, account) {
+    await User.updateOne(
+        { telegramId },
+        {
+            githubId: account.githubId,
+            githubAccessToken: account.accessToken,
+            githubUsername: account.githubUsername,
+            activeAccount: account._id,
+            isConnected: true
+        }
+    );
+    await LinkedAccount.updateOne({ _id: account._id }, { lastUsedAt: new Date() });
+    await invalidateUserCache(telegramId);
+}
+
+// Revokes a linked account's access on GitHub and removes it. When it was
+// the active account the most recently used remaining one takes over, or
+// the user ends up disconnected.
+async function unlinkAccount(telegramId, account, revoke) {
+    if (account.accessToken) {
+        await revoke(account.accessToken)
+            .catch(error => console.error('Error revoking token:', githubErrorMessage(error)));
+    }
+    await account.deleteOne();
+    
+    const user = await User.findOne({ telegramId });
+    if (user && String(user.activeAccount) === String(account._id)) {
+        const next = await LinkedAccount.findOne({ telegramId }).sort({ lastUsedAt: -1 });
+        
+        if (next) {
+            await activateAccount(telegramId, next);
+        } else {
+            await User.updateOne(
+                { telegramId },
+                {
+                    $unset: { githubId: 1, githubAccessToken: 1, githubUsername: 1, activeAccount: 1 },
+                    isConnected: false,
+                    repositories: []
+                }
+            );
+            await invalidateUserCache(telegramId);
+        }
+    }
+    await refreshStats();
+}
+
+// Accounts command
+bot.command('accounts', async (ctx) => {
+    try {
+        const { text, extra } = await renderAccounts(ctx.from.id.toString());
+        await ctx.reply(text, extra);
+    } catch (error) {
+        await ctx.reply(`❌ Error loading accounts: ${error.message}`);
+    }
+});
+
+// Disconnect command
+bot.command('disconnect', async (ctx) => {
+    const telegramId = ctx.from.id.toString();
+    
+    try {
+        // "/disconnect @work" only disconnects that account
+        const accounts = await LinkedAccount.find(
+            ctx.state.accountId ? { _id: ctx.state.accountId, telegramId } : { telegramId }
+        );
+        
+        if (accounts.length === 0) {
+            return ctx.reply('ℹ️ No GitHub account is connected.');
+        }
+        
+        const token = createPendingAction(telegramId, 'disconnect', {
+            accountIds: accounts.map(account => String(account._id))
+        });
+        
+        await ctx.reply(
+            `🔌 *Disconnect GitHub?*\n\n` +
+            `The bot's authorization will be revoked on GitHub for:\n` +
+            accounts.map(account => `• ${escapeMarkdown(account.githubUsername)}`).join('\n') +
+            `\n\nThis signs the bot out of these GitHub accounts everywhere. ` +
+            `Watches and schedules stop working until you /connect again.`,
+            {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([[
+                    Markup.button.callback('✅ Disconnect', `dc_ok_${token}`),
+                    Markup.button.callback('❌ Cancel', `dc_no_${token}`)
+                ]])
+            }
+        );
+    } catch (error) {
+        await ctx.reply(`❌ Error disconnecting: ${error.message}`);
+    }
+});
+
+// Collects everything stored about a user
+async function collectUserData(telegramId) {
+    const [user, accounts, watches, schedules] = await Promise.all([
+        User.findOne({ telegramId }),
+        LinkedAccount.find({ telegramId }),
+        Watch.find({ telegramId }),
+        ScheduledJob.find({ telegramId })
+    ]);
+    
+    return {
+        exportedAt: new Date().toISOString(),
+        user: user ? user.toJSON() : null,
+        linkedAccounts: accounts.map(account => account.toJSON()),
+        watches: watches.map(watch => watch.toJSON()),
+        schedules: schedules.map(job => job.toJSON())
+    };
+}
+
+// Export data command
+bot.command('exportdata', async (ctx) => {
+    const telegramId = ctx.from.id.toString();
+    
+    try {
+        const data = await collectUserData(telegramId);
+        
+        if (!data.user) {
+            return ctx.reply('ℹ️ There is no data stored about you.');
+        }
+        
+        await ctx.replyWithDocument(
+            {
+                source: Buffer.from(JSON.stringify(data, null, 2), 'utf8'),
+                filename: `github-bot-data-${telegramId}.json`
+            },
+            { caption: '📦 Everything this bot stores about you. Access tokens are never included.' }
+        );
+    } catch (error) {
+        await ctx.reply(`❌ Error exporting data: ${error.message}`);
+    }
+});
+
+// Removes a user and everything that belongs to them
+async function deleteUserData(telegramId) {
+    const user = await User.findOne({ telegramId });
+    const accounts = await LinkedAccount.find({ telegramId });
+    const watches = await Watch.find({ telegramId });
+    
+    // Webhooks are removed while a token is still valid
+    for (const watch of watches) {
+        await removeWatch(watch, user?.githubAccessToken);
+    }
+    
+    for (const account of accounts) {
+        await revokeOAuthGrant(account.accessToken)
+            .catch(error => console.error('Error revoking grant:', githubErrorMessage(error)));
+    }
+    
+    const jobs = await ScheduledJob.find({ telegramId });
+    jobs.forEach(job => unregisterScheduledJob(job.id));
+    
+    await Promise.all([
+        ScheduledJob.deleteMany({ telegramId }),
+        LinkedAccount.deleteMany({ telegramId }),
+        PendingAuth.deleteMany({ telegramId }),
+        TelegramSession.deleteMany({ key: new RegExp(`^${telegramId}:`) }),
+        PendingState.deleteMany({
+            $or: [{ kind: 'input', id: telegramId }, { kind: 'action', 'value.telegramId': telegramId }]
+        }),
+        User.deleteOne({ telegramId }),
+        invalidateUserCache(telegramId)
+    ]);
+    
+    awaitingInputs.delete(telegramId);
+    for (const [token, action] of pendingActions) {
+        if (action.telegramId === telegramId) pendingActions.delete(token);
+    }
+    
+    await refreshStats();
+}
+
+// Delete account command
+bot.command('deleteaccount', async (ctx) => {
+    const telegramId = ctx.from.id.toString();
+    const token = createPendingAction(telegramId, 'delete_account', {});
+    
+    await ctx.reply(
+        `🚨 *Delete Your Account*\n\n` +
+        `This erases everything the bot stores about you:\n` +
+        `• Your profile and agreement\n` +
+        `• All linked GitHub accounts (access is revoked on GitHub)\n` +
+        `• Watched repositories and their webhooks\n` +
+        `• Scheduled digests, reports and alerts\n\n` +
+        `Your repositories on GitHub are not touched. ` +
+        `Use /exportdata first if you want a copy. This cannot be undone.`,
+        {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                [Markup.button.callback('🗑️ Delete Everything', `da_ok_${token}`)],
+                [Markup.button.callback('❌ Cancel', `da_no_${token}`)]
+            ])
+        }
+    );
+});
+
+// Group binding
+async function requireGroupAdmin(ctx) {
+    if (!isGroupChat(ctx.chat)) {
+        await ctx.reply('ℹ️ Run this command in the group you want to configure.');
+        return false;
+    }
+    if (!await isChatAdmin(ctx)) {
+        await ctx.reply('🚫 Only group admins can do this.');
+        return false;
+    }
+    return true;
+}
+
+function renderGroupSettings(binding) {
+    let text = `⚙️ *Group Settings*\n\n` +
+        `*Repositories:* ${binding.repos.length > 0 ? binding.repos.map(repo => `\`${repo}\``).join(', ') : '_none_'}\n` +
+        `*Destructive actions:* ${DESTRUCTIVE_POLICIES[binding.destructive]}\n` +
+        `_(${DESTRUCTIVE_COMMANDS.map(command => `/${command}`).join(', ')}, merging pull requests, committing uploads, closing issues, cancelling runs)_\n\n` +
+        `*Commands:* tap to enable or disable`;
+    
+    const commandButtons = GROUP_COMMANDS.map(command => Markup.button.callback(
+        `${binding.commands.includes(command) ? '✅' : '⬜'} /${command}`,
+        `gs_c_${command}`
+    ));
+    const rows = [];
+    for (let i = 0; i < commandButtons.length; i += 2) {
+        rows.push(commandButtons.slice(i, i + 2));
+    }
+    
+    rows.push(Object.entries(DESTRUCTIVE_POLICIES).map(([policy, label]) => Markup.button.callback(
+        `${binding.destructive === policy ? '🔘' : '⚪'} ${label}`,
+        `gs_d_${policy}`
+    )));
+    
+    return { text, extra: { parse_mode: 'Markdown', ...Markup.inlineKeyboard(rows) } };
+}
+
+// Bind command
+bot.command('bind', async (ctx) => {
+    const target = parseRepoPath(ctx.message.text.split(' ')[1]);
+    
+    if (!target) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/bind [owner]/[repo]\`\n\n` +
+            `Run it in a group to let members work on the repository there.`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    if (!await requireGroupAdmin(ctx)) return;
+    
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+        
+        const github = githubClient(user.githubAccessToken);
+        const repoResponse = await github.get(`/repos/${target.owner}/${target.repo}`);
+        const fullName = repoResponse.data.full_name;
+        const chatId = ctx.chat.id.toString();
+        
+        await GroupBinding.findOneAndUpdate(
+            { chatId },
+            { $addToSet: { repos: fullName.toLowerCase() }, $setOnInsert: { createdBy: user.telegramId } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+        
+        // Deliver repository events to the group when the webhook can be installed
+        let notifications = `Ask a repository admin to run \`/watch ${fullName}\` here for notifications.`;
+        if (repoResponse.data.permissions?.admin) {
+            const hookId = await ensureRepoWebhook(github, fullName);
+            await Watch.findOneAndUpdate(
+                { chatId, repo: fullName.toLowerCase() },
+                { telegramId: user.telegramId, events: WATCHABLE_EVENTS, hookId },
+                { upsert: true, new: true }
+            );
+            notifications = `Repository events will be posted here.`;
+        }
+        
+        await ctx.reply(
+            `🔗 *${escapeMarkdown(fullName)} bound to this group*\n\n` +
+            `Members who have connected GitHub in a private chat with me can now use ` +
+            `${GROUP_COMMANDS.map(command => `/${command}`).join(', ')} here with their own account.\n\n` +
+            `${notifications}\n\n` +
+            `Admins can adjust permissions with /groupsettings.`,
+            { parse_mode: 'Markdown' }
+        );
+        
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error binding repository*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// Unbind command
+bot.command('unbind', async (ctx) => {
+    const target = parseRepoPath(ctx.message.text.split(' ')[1]);
+    
+    if (!target) {
+        return ctx.reply(
+            `❌ *Usage:*\n` +
+            `\`/unbind [owner]/[repo]\``,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    if (!await requireGroupAdmin(ctx)) return;
+    
+    const repo = `${target.owner}/${target.repo}`.toLowerCase();
+    
+    try {
+        const binding = await GroupBinding.findOneAndUpdate(
+            { chatId: ctx.chat.id.toString(), repos: repo },
+            { $pull: { repos: repo } }
+        );
+        
+        if (!binding) {
+            return ctx.reply(`❌ ${target.owner}/${target.repo} isn't bound to this group.`);
+        }
+        
+        const watch = await Watch.findOne({ chatId: ctx.chat.id.toString(), repo });
+        if (watch) {
+            await removeWatch(watch);
+        }
+        await ctx.reply(`🔓 Unbound ${target.owner}/${target.repo} from this group.`);
+        
+    } catch (error) {
+        await ctx.reply(`❌ Error unbinding repository: ${error.message}`);
+    }
+});
+
+// Group settings command
+bot.command('groupsettings', async (ctx) => {
+    if (!await requireGroupAdmin(ctx)) return;
+    
+    try {
+        const binding = await GroupBinding.findOne({ chatId: ctx.chat.id.toString() });
+        
+        if (!binding) {
+            return ctx.reply('ℹ️ This group isn\'t bound to a repository yet. Start with /bind owner/repo.');
+        }
+        
+        const { text, extra } = renderGroupSettings(binding);
+        await ctx.reply(text, extra);
+        
+    } catch (error) {
+        await ctx.reply(`❌ Error loading group settings: ${error.message}`);
+    }
+});
+
+// Settings
+const SETTINGS_PAGE_SIZES = [5, 10, 15, 20];
+
+function renderSettings(user) {
+    const settings = user.settings || {};
+    const t = (key, params) => translate(settings.language, key, params);
+    const pageSize = settings.pageSize || REPOS_PAGE_SIZE;
+    const language = LANGUAGES[settings.language] || LANGUAGES.en;
+    const quietHours = settings.quietHoursStart ? `${settings.quietHoursStart}-${settings.quietHoursEnd}` : null;
+    const value = text => text ? `\`${text}\`` : t('settings.notSet');
+    
+    const text = `${t('settings.title')}\n\n` +
+        `${t('settings.owner')}: ${value(settings.defaultOwner)}\n` +
+        `${t('settings.branch')}: ${value(settings.defaultBranch)}\n` +
+        `${t('settings.pageSize')}: ${pageSize}\n` +
+        `${t('settings.quiet')}: ${quietHours ? `\`${quietHours}\`` : `_${t('settings.off')}_`}\n` +
+        `${t('settings.timezone')}: \`${user.timezone || 'UTC'}\`\n` +
+        `${t('settings.language')}: ${language}\n` +
+        `${t('settings.private')}: ${t(settings.showPrivateInGroups ? 'settings.shown' : 'settings.hidden')}\n` +
+        `${t('settings.announcements')}: ${t(settings.receiveAnnouncements === false ? 'settings.off' : 'settings.on')}`;
+    
+    return {
+        text,
+        extra: {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                [
+                    Markup.button.callback(t('settings.ownerButton'), 'st_in_owner'),
+                    Markup.button.callback(t('settings.branchButton'), 'st_in_branch')
+                ],
+                [
+                    Markup.button.callback(t('settings.pageSizeButton', { size: pageSize }), 'st_size'),
+                    Markup.button.callback(t('settings.languageButton', { language }), 'st_lang')
+                ],
+                [
+                    Markup.button.callback(t('settings.quietButton'), 'st_in_quiet'),
+                    Markup.button.callback(t('settings.timezoneButton'), 'st_in_timezone')
+                ],
+                [Markup.button.callback(
+                    `${settings.showPrivateInGroups ? '✅' : '🚫'} ${t('settings.privateButton')}`,
+                    'st_private'
+                )],
+                [Markup.button.callback(
+                    `${settings.receiveAnnouncements === false ? '🔕' : '📣'} ${t('settings.announcementsButton')}`,
+                    'st_announce'
+                )]
+            ])
+        }
+    };
+}
+
+async function updateSettings(telegramId, update) {
+    await User.updateOne({ telegramId }, update);
+    await invalidateUserCache(telegramId);
+}
+
+// Settings command
+bot.command('settings', async (ctx) => {
+    try {
+        const user = await findUser(ctx.from.id.toString());
+        if (!user) {
+            return ctx.reply(translate(undefined, 'error.start'));
+        }
+        
+        const { text, extra } = renderSettings(user);
+        await ctx.reply(text, extra);
+    } catch (error) {
+        await ctx.reply(`❌ Error loading settings: ${error.message}`);
+    }
+});
+
+// About command
+bot.command('about', async (ctx) => {
+    await ctx.reply(
+        `🤖 *GitHub Management Bot*\n\n` +
+        `Version: 1.0.0\n` +
+        `Bot: @GitHubmngbot\n\n` +
+        `*Features:*\n` +
+        `• 📚 List & manage repositories\n` +
+        `• 🆕 Create new repositories\n` +
+        `• 📁 File management\n` +
+        `• ✏️ Edit repository details\n` +
+        `• 🔄 Real-time sync\n\n` +
+        `*Developer Contact:*\n` +
+        `🔗 [Portfolio](https://ximanta.onrender.com)\n` +
+        `📧 xiimnta@outlook.com\n\n` +
+        `*GitHub Repository:*\n` +
+        `[github-mng-bot](https://github.com/tukuexe/github-mng-bot)`,
+        {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            ...Markup.inlineKeyboard([
+                [Markup.button.url('🌟 Star on GitHub', 'https://github.com/tukuexe/github-mng-bot')],
+                [Markup.button.url('📞 Contact Support', 'https://t.me/tukuexe')]
+            ])
+        }
+    );
+});
+
+// Help command
+bot.command('help', async (ctx) => {
+    const commands = [
+        ['/start', 'start'],
+        ['/connect', 'connect'],
+        ['/repos [search]', 'repos'],
+        ['/createrepo', 'createrepo'],
+        ['/newrepo [name] ["desc"] [private]', 'newrepo'],
+        ['/editrepo [repo]', 'editrepo'],
+        ['/deleterepo [repo]', 'deleterepo'],
+        ['/issues [repo]', 'issues'],
+        ['/newissue [repo]', 'newissue'],
+        ['/prs [repo]', 'prs'],
+        ['/watch [repo] [events]', 'watch'],
+        ['/unwatch [repo]', 'unwatch'],
+        ['/watches', 'watches'],
+        ['/schedule [type]', 'schedule'],
+        ['/schedules', 'schedules'],
+        ['/unschedule [n]', 'unschedule'],
+        ['/timezone [zone]', 'timezone'],
+        ['/settings', 'settings'],
+        ['/actions [repo]', 'actions'],
+        ['/dispatch [repo] [ref]', 'dispatch'],
+        ['/branches [repo]', 'branches'],
+        ['/compare [repo] [base] [head]', 'compare'],
+        ['/tags [repo]', 'tags'],
+        ['/release [repo] [tag]', 'release'],
+        ['/gist', 'gist'],
+        ['/gists', 'gists'],
+        ['/ratelimit', 'ratelimit'],
+        ['/accounts', 'accounts'],
+        ['/disconnect', 'disconnect'],
+        ['/exportdata', 'exportdata'],
+        ['/deleteaccount', 'deleteaccount'],
+        ['/bind [repo]', 'bind'],
+        ['/groupsettings', 'groupsettings'],
+        ['/files', 'files'],
+        ['/listfiles [repo]', 'listfiles'],
+        ['/edit [repo] [file] [branch]', 'edit'],
+        ['/deletefile [repo] [file]', 'deletefile'],
+        ['/about', 'about'],
+        ['/help', 'help']
+    ];
+    
+    if (isAdmin(ctx.from.id)) {
+        commands.push(
+            ['/stats', 'stats'],
+            ['/broadcast [text]', 'broadcast'],
+            ['/user [id|username]', 'user']
+        );
+    }
+    
+    const user = await findUser(ctx.from.id.toString()).catch(() => null);
+    const t = (key, params) => translate(user?.settings?.language, key, params);
+    
+    await ctx.reply(
+        `${t('help.title')}\n\n${commands.map(([usage, name]) => `${usage} - ${t(`help.${name}`)}`).join('\n')}\n\n` +
+        `${t('help.inline', { bot: escapeMarkdown(ctx.me) })}\n\n` +
+        `${t('help.contact')}\n\n` +
+        `${t('help.status')} [status.github.com](https://www.githubstatus.com/)`,
+        {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        }
+    );
+});
+
+// Callback query handlers
+bot.action('check_agreement', async (ctx) => {
+    await ctx.answerCbQuery();
+    const telegramId = ctx.from.id.toString();
+    
+    try {
+        const user = await findUser(telegramId);
+        
+        if (user && user.isAgreed) {
+            await ctx.reply('✅ *Agreement confirmed!*\n\nNow let\'s connect your GitHub account.', {
+                parse_mode: 'Markdown'
+            });
+            await sendConnectPrompt(ctx);
+        } else {
+            await ctx.reply('❌ You haven\'t agreed yet. Please click the link and agree first.');
+        }
+    } catch (error) {
+        await ctx.reply('❌ Error checking agreement. Please try again.');
+    }
+});
+
+bot.action('connect_github', async (ctx) => {
+    await ctx.answerCbQuery();
+    const telegramId = ctx.from.id.toString();
+    const authUrl = await createOAuthLink(telegramId);
+    
+    await ctx.reply(
+        `Tap the button to authorize. The link expires in ${OAUTH_STATE_TTL / 60000} minutes.`,
+        Markup.inlineKeyboard([
+            [Markup.button.url('🔗 Authorize', authUrl)],
+            [Markup.button.callback('✅ Done', 'check_github_connection')]
+        ])
+    );
+});
+
+bot.action('check_github_connection', async (ctx) => {
+    await ctx.answerCbQuery('Checking...');
+    const telegramId = ctx.from.id.toString();
+    
+    try {
+        const user = await User.findOne({ telegramId });
+        
+        if (user && user.githubAccessToken) {
+            await ctx.reply(
+                `✅ *GitHub Connected!*\n\n` +
+                `Username: ${user.githubUsername}\n\n` +
+                `Now you can use all features. Try /repos to see your repositories.`,
+                { parse_mode: 'Markdown' }
+            );
+            await sendMainMenu(ctx);
+        } else {
+            await ctx.reply('❌ Not connected yet. Please use /connect first.');
+        }
+    } catch (error) {
+        await ctx.reply('❌ Error checking connection.');
+    }
+});
+
+async function replyWithRepoListing(ctx) {
+    await ctx.answerCbQuery();
+
+    try {
+        const user = await getConnectedUser(ctx);
+        if (!user) return;
+
+        await sendRepoListing(ctx, user, '', { force: ctx.callbackQuery.data === 'refresh_repos' });
+    } catch (error) {
+        await ctx.reply(`❌ Error fetching repositories: ${githubErrorMessage(error)}`);
+    }
+}
+
+bot.action('list_repos', replyWithRepoListing);
+
+// Buttons on listings sent before in-place pagination existed
+bot.action('refresh_repos', replyWithRepoListing);
+bot.action('view_all_repos', replyWithRepoListing);
+
+bot.action('create_repo', async (ctx) => {
+    await ctx.answerCbQuery();
+    await startCreateRepoWizard(ctx);
+});
+
+bot.action('manage_files', async (ctx) => {
+    await ctx.answerCbQuery();
+    await ctx.reply('Use /files for file management options.');
+});
+
+bot.action('about_bot', async (ctx) => {
+    await ctx.answerCbQuery();
+    await ctx.reply('Use /about to learn more about the bot.');
+});
+
+bot.action('show_help', async (ctx) => {
+    await ctx.answerCbQuery();
+    await ctx.reply('Use /help for all available commands.');
+});
+
+// File browser callbacks
+function fileBrowserAction(handler) {
+    return async (ctx) => {
+        const browser = await getFileBrowser(ctx);
+        if (!browser) return;
+
+        try {
+            const user = await loadUser(browser.telegramId, browser.accountId);
+            if (!user || !user.githubAccessToken) {
+                return ctx.answerCbQuery(await translateFor(ctx, 'error.connect'), { show_alert: true });
+            }
+            await handler(ctx, browser, user.githubAccessToken);
+        } catch (error) {
+            const message = `❌ ${githubErrorMessage(error)}`;
+            await ctx.answerCbQuery(message.slice(0, 200), { show_alert: true })
+                .catch(() => ctx.reply(message));
+        }
+    };
+}
+
+async function showFileBrowser(ctx, browser) {
+    const { text, extra } = renderFileBrowser(browser);
+    await editOrIgnore(ctx, text, extra);
+}
+
+bot.action(/^lf_open_(\d+)$/, fileBrowserAction(async (ctx, browser, token) => {
+    const entry = browser.entries[Number(ctx.match[1])];
+
+    if (!entry) {
+        return ctx.answerCbQuery('❌ Entry not found. Try refreshing.', { show_alert: true });
+    }
+
+    if (entry.type === 'submodule') {
+        return ctx.answerCbQuery('🔗 Submodules can\'t be browsed here.', { show_alert: true });
+    }
+
+    if (entry.type === 'dir') {
+        await ctx.answerCbQuery();
+        browser.path = entry.path;
+        await loadDirectory(token, browser);
+        return showFileBrowser(ctx, browser);
+    }
+
+    await ctx.answerCbQuery('⏳ Fetching file...');
+    await sendRepositoryFile(ctx, token, browser, entry);
+}));
+
+bot.action(/^lf_page_(\d+)$/, fileBrowserAction(async (ctx, browser) => {
+    await ctx.answerCbQuery();
+    browser.page = Number(ctx.match[1]);
+    await showFileBrowser(ctx, browser);
+}));
+
+bot.action('lf_up', fileBrowserAction(async (ctx, browser, token) => {
+    await ctx.answerCbQuery();
+    browser.path = browser.path.split('/').slice(0, -1).join('/');
+    await loadDirectory(token, browser);
+    await showFileBrowser(ctx, browser);
+}));
+
+bot.action('lf_refresh', fileBrowserAction(async (ctx, browser, token) => {
+    await ctx.answerCbQuery('🔄 Refreshing...');
+    const page = browser.page;
+    await loadDirectory(token, browser);
+    browser.page = Math.min(page, Math.max(0, Math.ceil(browser.entries.length / browser.pageSize) - 1));
+    await showFileBrowser(ctx, browser);
+}));
+
+bot.action('lf_branches', fileBrowserAction(async (ctx, browser, token) => {
+    await ctx.answerCbQuery();
+
+    const response = await githubClient(token).get(
+        `/repos/${browser.owner}/${browser.repo}/branches`,
+        { params: { per_page: 100 } }
+    );
+    browser.branches = response.data.map(branch => branch.name);
+
+    const rows = browser.branches.slice(0, 30).map((name, index) => [
+        Markup.button.callback(`${name === browser.branch ? '✅ ' : '🌿 '}${name}`, `lf_branch_${index}`)
+    ]);
+    rows.push([Markup.button.callback('⬅️ Back', 'lf_back')]);
+
+    let text = `🌿 *Select a branch*\n\n` +
+        `Repository: \`${browser.owner}/${browser.repo}\`\n` +
+        `Current: \`${browser.branch}\``;
+    if (browser.branches.length > 30) {
+        text += `\n\nShowing 30 of ${browser.branches.length} branches. ` +
+            `Use \`/listfiles ${browser.owner}/${browser.repo} / [branch]\` for others.`;
+    }
+
+    await editOrIgnore(ctx, text, { parse_mode: 'Markdown', ...Markup.inlineKeyboard(rows) });
+}));
+
+bot.action(/^lf_branch_(\d+)$/, fileBrowserAction(async (ctx, browser, token) => {
+    const branch = (browser.branches || [])[Number(ctx.match[1])];
+
+    if (!branch) {
+        return ctx.answerCbQuery('❌ Branch not found. Try again.', { show_alert: true });
+    }
+
+    await ctx.answerCbQuery(`🌿 Switched to ${branch}`);
+    browser.branch = branch;
+
+    try {
+        await loadDirectory(token, browser);
+    } catch (error) {
+        // The current folder may not exist on the new branch
+        if (error.response?.status !== 404 || !browser.path) throw error;
+        browser.path = '';
+        await loadDirectory(token, browser);
+    }
+
+    await showFileBrowser(ctx, browser);
+}));
+
+bot.action('lf_back', fileBrowserAction(async (ctx, browser) => {
+    await ctx.answerCbQuery();
+    await showFileBrowser(ctx, browser);
+}));
+
+// Repository listing callbacks
+function repoListingAction(handler) {
+    return async (ctx) => {
+        const listing = repoListings.get(ctx.callbackQuery.message);
+
+        if (!listing || listing.telegramId !== ctx.from.id.toString()) {
+            return ctx.answerCbQuery('⌛ This list has expired. Run /repos again.', { show_alert: true });
+        }
+
+        try {
+            await handler(ctx, listing);
+        } catch (error) {
+            const message = `❌ ${githubErrorMessage(error)}`;
+            await ctx.answerCbQuery(message.slice(0, 200), { show_alert: true })
+                .catch(() => ctx.reply(message));
+        }
+    };
+}
+
+async function showRepoListing(ctx, listing) {
+    const { text, extra } = renderRepoListing(listing);
+    await editOrIgnore(ctx, text, extra);
+}
+
+bot.action(/^rp_p_(\d+)$/, repoListingAction(async (ctx, listing) => {
+    await ctx.answerCbQuery();
+    listing.page = Number(ctx.match[1]);
+    await showRepoListing(ctx, listing);
+}));
+
+bot.action(/^rp_f_(\w+)$/, repoListingAction(async (ctx, listing) => {
+    if (!REPO_FILTERS[ctx.match[1]]) {
+        return ctx.answerCbQuery();
+    }
+
+    await ctx.answerCbQuery();
+    listing.filter = ctx.match[1];
+    listing.page = 0;
+    applyRepoListing(listing);
+    await showRepoListing(ctx, listing);
+}));
+
+bot.action(/^rp_s_(\w+)$/, repoListingAction(async (ctx, listing) => {
+    if (!REPO_SORTS[ctx.match[1]]) {
+        return ctx.answerCbQuery();
+    }
+
+    await ctx.answerCbQuery();
+    listing.sort = ctx.match[1];
+    listing.page = 0;
+    applyRepoListing(listing);
+    await showRepoListing(ctx, listing);
+}));
+
+bot.action('rp_refresh', repoListingAction(async (ctx, listing) => {
+    await ctx.answerCbQuery('🔄 Refreshing...');
+
+    const user = await loadUser(listing.telegramId, listing.accountId);
+    if (!user || !user.githubAccessToken) {
+        return ctx.reply(await translateFor(ctx, 'error.connect'));
+    }
+
+    listing.repos = await fetchRepositories(user, { force: true });
+    applyRepoListing(listing);
+    await showRepoListing(ctx, listing);
+}));
+
+bot.action(/^rp_o_(\d+)$/, repoListingAction(async (ctx, listing) => {
+    const summary = listing.results[Number(ctx.match[1])];
+
+    if (!summary) {
+        return ctx.answerCbQuery('❌ Repository not found. Try refreshing.', { show_alert: true });
+    }
+
+    await ctx.answerCbQuery();
+
+    const user = await loadUser(listing.telegramId, listing.accountId);
+    if (!user || !user.githubAccessToken) {
+        return ctx.reply(await translateFor(ctx, 'error.connect'));
+    }
+
+    const response = await githubClient(user.githubAccessToken).get(`/repos/${summary.full_name}`);
+    listing.selected = response.data.full_name;
+
+    const { text, extra } = renderRepoDetails(response.data, listing.locale);
+    await editOrIgnore(ctx, text, extra);
+}));
+
+bot.action('rp_files', repoListingAction(async (ctx, listing) => {
+    await ctx.answerCbQuery();
+
+    const user = await loadUser(listing.telegramId, listing.accountId);
+    if (!user || !user.githubAccessToken) {
+        return ctx.reply(await translateFor(ctx, 'error.connect'));
+    }
+
+    const target = parseRepoPath(listing.selected);
+    await openFileBrowser(ctx, user, target.owner, target.repo);
+}));
+
+bot.action('rp_issues', repoListingAction(async (ctx, listing) => {
+    await ctx.answerCbQuery();
+
+    const user = await loadUser(listing.telegramId, listing.accountId);
+    if (!user || !user.githubAccessToken) {
+        return ctx.reply(await translateFor(ctx, 'error.connect'));
+    }
+
+    const target = parseRepoPath(listing.selected);
+    await openIssueList(ctx, user, target.owner, target.repo);
+}));
+
+bot.action('rp_back', repoListingAction(async (ctx, listing) => {
+    await ctx.answerCbQuery();
+    await showRepoListing(ctx, listing);
+}));
+
+bot.action('rp_settings', repoListingAction(async (ctx, listing) => {
+    await ctx.answerCbQuery();
+
+    const user = await loadUser(listing.telegramId, listing.accountId);
+    if (!user || !user.githubAccessToken) {
+        return ctx.reply(await translateFor(ctx, 'error.connect'));
+    }
+
+    const target = parseRepoPath(listing.selected);
+    await openRepoEditor(ctx, user, target.owner, target.repo);
+}));
+
+// Repository settings callbacks
+function repoEditorAction(handler) {
+    return async (ctx) => {
+        const editor = repoEditors.get(ctx.callbackQuery.message);
+
+        if (!editor || editor.telegramId !== ctx.from.id.toString()) {
+            return ctx.answerCbQuery('⌛ This settings menu has expired. Run /editrepo again.', { show_alert: true });
+        }
+
+        try {
+            const user = await loadUser(editor.telegramId, editor.accountId);
+            if (!user || !user.githubAccessToken) {
+                return ctx.answerCbQuery(await translateFor(ctx, 'error.connect'), { show_alert: true });
+            }
+            await handler(ctx, editor, user.githubAccessToken);
+        } catch (error) {
+            const message = `❌ ${githubErrorMessage(error)}`;
+            await ctx.answerCbQuery(message.slice(0, 200), { show_alert: true })
+                .catch(() => ctx.reply(message));
+        }
+    };
+}
+
+bot.action(/^re_f_(\w+)$/, repoEditorAction(async (ctx, editor) => {
+    const field = REPO_TEXT_FIELDS[ctx.match[1]];
+    if (!field) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery();
+
+    const message = ctx.callbackQuery.message;
+    awaitInput(editor.telegramId, 'edit_repo_field', {
+        field: ctx.match[1],
+        message: { chat: { id: message.chat.id }, message_id: message.message_id }
+    });
+    await ctx.reply(`✏️ ${field.prompt}`);
+}));
+
+inputHandlers.edit_repo_field = async (ctx, text, { field, message }) => {
+    const editor = repoEditors.get(message);
+
+    if (!editor) {
+        return ctx.reply('⌛ This settings menu has expired. Run /editrepo again.');
+    }
+
+    const user = await getConnectedUser(ctx, editor.accountId);
+    if (!user) return;
+
+    const value = text.trim() === '-' ? '' : text.trim();
+
+    try {
+        if (field === 'topics') {
+            const names = value.split(',').map(topic => topic.trim().toLowerCase()).filter(Boolean);
+            const response = await githubClient(user.githubAccessToken).put(
+                `/repos/${editor.data.full_name}/topics`,
+                { names }
+            );
+            editor.data.topics = response.data.names;
+        } else if (field === 'name') {
+            if (!/^[\w.-]+$/.test(value)) {
+                return ctx.reply('❌ Repository names can only contain letters, numbers, "-", "_" and ".".');
+            }
+            await updateRepository(user.githubAccessToken, editor, { name: value });
+        } else {
+            await updateRepository(user.githubAccessToken, editor, { [field]: value });
+        }
+
+        await updateRepoEditor(ctx.telegram, message, editor);
+        await ctx.reply(`✅ Updated the ${REPO_TEXT_FIELDS[field].label} of ${editor.data.full_name}.`);
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error updating repository*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+};
+
+// Visibility and archiving ask for a second tap before changing anything
+bot.action('re_vis', repoEditorAction(async (ctx, editor) => {
+    await ctx.answerCbQuery();
+
+    const makePublic = editor.data.private;
+    await editOrIgnore(ctx,
+        `${makePublic ? '🌐' : '🔒'} *Make ${escapeMarkdown(editor.data.full_name)} ${makePublic ? 'public' : 'private'}?*\n\n` +
+        (makePublic
+            ? `Everyone will be able to see the code, issues and history.`
+            : `Stars and watchers from people without access will be removed.`),
+        {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([[
+                Markup.button.callback('✅ Confirm', 're_ok_vis'),
+                Markup.button.callback('❌ Cancel', 're_back')
+            ]])
+        }
+    );
+}));
+
+bot.action('re_ok_vis', repoEditorAction(async (ctx, editor, token) => {
+    await ctx.answerCbQuery('⏳ Updating...');
+    await updateRepository(token, editor, { private: !editor.data.private });
+    await updateRepoEditor(ctx.telegram, ctx.callbackQuery.message, editor);
+}));
+
+bot.action('re_arch', repoEditorAction(async (ctx, editor) => {
+    await ctx.answerCbQuery();
+
+    const archive = !editor.data.archived;
+    await editOrIgnore(ctx,
+        `🗄️ *${archive ? 'Archive' : 'Unarchive'} ${escapeMarkdown(editor.data.full_name)}?*\n\n` +
+        (archive
+            ? `The repository becomes read-only until it is unarchived.`
+            : `The repository becomes writable again.`),
+        {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([[
+                Markup.button.callback('✅ Confirm', 're_ok_arch'),
+                Markup.button.callback('❌ Cancel', 're_back')
+            ]])
+        }
+    );
+}));
+
+bot.action('re_ok_arch', repoEditorAction(async (ctx, editor, token) => {
+    await ctx.answerCbQuery('⏳ Updating...');
+    await updateRepository(token, editor, { archived: !editor.data.archived });
+    await updateRepoEditor(ctx.telegram, ctx.callbackQuery.message, editor);
+}));
+
+bot.action(/^re_t_(\w+)$/, repoEditorAction(async (ctx, editor, token) => {
+    const feature = REPO_FEATURES[ctx.match[1]];
+    if (!feature) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery(`⏳ ${editor.data[feature.field] ? 'Disabling' : 'Enabling'} ${feature.label}...`);
+    await updateRepository(token, editor, { [feature.field]: !editor.data[feature.field] });
+    await updateRepoEditor(ctx.telegram, ctx.callbackQuery.message, editor);
+}));
+
+bot.action('re_branches', repoEditorAction(async (ctx, editor, token) => {
+    await ctx.answerCbQuery();
+
+    const response = await githubClient(token).get(
+        `/repos/${editor.data.full_name}/branches`,
+        { params: { per_page: 100 } }
+    );
+    editor.branches = response.data.map(branch => branch.name);
+
+    const rows = editor.branches.slice(0, 30).map((name, index) => [
+        Markup.button.callback(`${name === editor.data.default_branch ? '✅ ' : '🌿 '}${name}`, `re_br_${index}`)
+    ]);
+    rows.push([Markup.button.callback('⬅️ Back', 're_back')]);
+
+    await editOrIgnore(ctx,
+        `🌿 *Default branch for ${escapeMarkdown(editor.data.full_name)}*\n\n` +
+        `Current: \`${editor.data.default_branch}\``,
+        { parse_mode: 'Markdown', ...Markup.inlineKeyboard(rows) }
+    );
+}));
+
+bot.action(/^re_br_(\d+)$/, repoEditorAction(async (ctx, editor, token) => {
+    const branch = (editor.branches || [])[Number(ctx.match[1])];
+
+    if (!branch) {
+        return ctx.answerCbQuery('❌ Branch not found. Try again.', { show_alert: true });
+    }
+
+    await ctx.answerCbQuery(`🌿 Default branch set to ${branch}`);
+    await updateRepository(token, editor, { default_branch: branch });
+    await updateRepoEditor(ctx.telegram, ctx.callbackQuery.message, editor);
+}));
+
+bot.action('re_back', repoEditorAction(async (ctx, editor) => {
+    await ctx.answerCbQuery();
+    await updateRepoEditor(ctx.telegram, ctx.callbackQuery.message, editor);
+}));
+
+bot.action('re_delete', repoEditorAction(async (ctx, editor) => {
+    await ctx.answerCbQuery();
+    await promptRepoDeletion(ctx, editor.data.full_name, editor.accountId);
+}));
+
+// Repository deletion
+inputHandlers.delete_repo_confirm = async (ctx, text, { token }) => {
+    const telegramId = ctx.from.id.toString();
+    const action = getPendingAction(token, telegramId, 'delete_repo');
+
+    if (!action) {
+        return ctx.reply('⌛ This request has expired. Run /deleterepo again.');
+    }
+
+    pendingActions.delete(token);
+    const { fullName } = action.data;
+
+    if (text.trim() !== fullName) {
+        return ctx.reply('❌ The name didn\'t match. The repository was not deleted.');
+    }
+
+    try {
+        const user = await getConnectedUser(ctx, action.data.accountId);
+        if (!user) return;
+
+        await ctx.reply(`⏳ Deleting ${fullName}...`);
+        await githubClient(user.githubAccessToken).delete(`/repos/${fullName}`);
+        await cache.deletePrefix(`repos_${telegramId}_`);
+
+        await ctx.reply(
+            `🗑️ *Repository Deleted*\n\n` +
+            `\`${fullName}\` has been permanently deleted.`,
+            { parse_mode: 'Markdown' }
+        );
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error deleting repository*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+};
+
+bot.action(/^drp_no_([\w-]+)$/, cancelPendingAction('delete_repo', '❌ Repository deletion cancelled.', { clearInput: true }));
+
+// Issue menu callbacks
+function issueMenuAction(handler) {
+    return async (ctx) => {
+        const menu = issueMenus.get(ctx.callbackQuery.message);
+
+        if (!menu || menu.telegramId !== ctx.from.id.toString()) {
+            return ctx.answerCbQuery('⌛ This menu has expired. Run /issues again.', { show_alert: true });
+        }
+
+        try {
+            const user = await loadUser(menu.telegramId, menu.accountId);
+            if (!user || !user.githubAccessToken) {
+                return ctx.answerCbQuery(await translateFor(ctx, 'error.connect'), { show_alert: true });
+            }
+            await handler(ctx, menu, user.githubAccessToken);
+        } catch (error) {
+            const message = `❌ ${githubErrorMessage(error)}`;
+            await ctx.answerCbQuery(message.slice(0, 200), { show_alert: true })
+                .catch(() => ctx.reply(message));
+        }
+    };
+}
+
+async function showIssueList(ctx, menu) {
+    const { text, extra } = renderIssueList(menu);
+    await editOrIgnore(ctx, text, extra);
+}
+
+async function showIssueDetails(telegram, message, menu) {
+    const { text, extra } = renderIssueDetails(menu, menu.githubUsername);
+
+    try {
+        await telegram.editMessageText(message.chat.id, message.message_id, undefined, text, extra);
+    } catch (error) {
+        if (!String(error.description || error.message).includes('message is not modified')) {
+            throw error;
+        }
+    }
+}
+
+bot.action(/^is_p_(\d+)$/, issueMenuAction(async (ctx, menu, token) => {
+    await ctx.answerCbQuery();
+    menu.page = Number(ctx.match[1]);
+    await loadIssues(token, menu);
+    await showIssueList(ctx, menu);
+}));
+
+bot.action(/^is_s_(\w+)$/, issueMenuAction(async (ctx, menu, token) => {
+    if (!ISSUE_STATES[ctx.match[1]]) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery();
+    menu.state = ctx.match[1];
+    menu.page = 0;
+    await loadIssues(token, menu);
+    await showIssueList(ctx, menu);
+}));
+
+bot.action('is_refresh', issueMenuAction(async (ctx, menu, token) => {
+    await ctx.answerCbQuery('🔄 Refreshing...');
+    await loadIssues(token, menu);
+    await showIssueList(ctx, menu);
+}));
+
+bot.action('is_labels', issueMenuAction(async (ctx, menu, token) => {
+    await ctx.answerCbQuery();
+
+    const response = await githubClient(token).get(
+        `/repos/${menu.owner}/${menu.repo}/labels`,
+        { params: { per_page: 100 } }
+    );
+    menu.labels = response.data.map(label => label.name);
+
+    const rows = [[Markup.button.callback(`${menu.label ? '' : '✅ '}Any label`, 'is_l_any')]];
+    menu.labels.slice(0, 30).forEach((name, index) => {
+        rows.push([Markup.button.callback(`${menu.label === name ? '✅ ' : '🏷️ '}${name}`, `is_l_${index}`)]);
+    });
+    rows.push([Markup.button.callback('⬅️ Back', 'is_back')]);
+
+    await editOrIgnore(ctx, `🏷️ *Filter issues by label*`, { parse_mode: 'Markdown', ...Markup.inlineKeyboard(rows) });
+}));
+
+bot.action(/^is_l_(\w+)$/, issueMenuAction(async (ctx, menu, token) => {
+    const label = ctx.match[1] === 'any' ? null : (menu.labels || [])[Number(ctx.match[1])];
+
+    if (label === undefined) {
+        return ctx.answerCbQuery('❌ Label not found. Try again.', { show_alert: true });
+    }
+
+    await ctx.answerCbQuery();
+    menu.label = label;
+    menu.page = 0;
+    await loadIssues(token, menu);
+    await showIssueList(ctx, menu);
+}));
+
+bot.action(/^is_o_(\d+)$/, issueMenuAction(async (ctx, menu, token) => {
+    const issue = menu.issues[Number(ctx.match[1])];
+
+    if (!issue) {
+        return ctx.answerCbQuery('❌ Issue not found. Try refreshing.', { show_alert: true });
+    }
+
+    await ctx.answerCbQuery();
+    await loadIssueDetails(token, menu, issue.number);
+    await showIssueDetails(ctx.telegram, ctx.callbackQuery.message, menu);
+}));
+
+bot.action('is_back', issueMenuAction(async (ctx, menu) => {
+    await ctx.answerCbQuery();
+    await showIssueList(ctx, menu);
+}));
+
+bot.action(/^is_(close|reopen)$/, issueMenuAction(async (ctx, menu, token) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    const state = ctx.match[1] === 'close' ? 'closed' : 'open';
+    await ctx.answerCbQuery(state === 'closed' ? '✅ Closing...' : '🔄 Reopening...');
+
+    const { number } = menu.selected.issue;
+    await githubClient(token).patch(`/repos/${menu.owner}/${menu.repo}/issues/${number}`, { state });
+    await loadIssueDetails(token, menu, number);
+    await showIssueDetails(ctx.telegram, ctx.callbackQuery.message, menu);
+}));
+
+bot.action('is_assign', issueMenuAction(async (ctx, menu, token) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    const { number, assignees } = menu.selected.issue;
+    const assigneesUrl = `/repos/${menu.owner}/${menu.repo}/issues/${number}/assignees`;
+    const github = githubClient(token);
+
+    if (assignees.some(assignee => assignee.login === menu.githubUsername)) {
+        await ctx.answerCbQuery('🙅 Unassigning...');
+        await github.delete(assigneesUrl, { data: { assignees: [menu.githubUsername] } });
+    } else {
+        await ctx.answerCbQuery('🙋 Assigning...');
+        await github.post(assigneesUrl, { assignees: [menu.githubUsername] });
+    }
+
+    await loadIssueDetails(token, menu, number);
+    await showIssueDetails(ctx.telegram, ctx.callbackQuery.message, menu);
+}));
+
+bot.action('is_comment', issueMenuAction(async (ctx, menu) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery();
+
+    const message = ctx.callbackQuery.message;
+    awaitInput(menu.telegramId, 'issue_comment', {
+        message: { chat: { id: message.chat.id }, message_id: message.message_id }
+    });
+    await ctx.reply(`💬 Send your comment for #${menu.selected.issue.number}.`);
+}));
+
+inputHandlers.issue_comment = async (ctx, text, { message }) => {
+    const menu = issueMenus.get(message);
+
+    if (!menu || !menu.selected) {
+        return ctx.reply('⌛ This issue view has expired. Run /issues again.');
+    }
+
+    const user = await getConnectedUser(ctx, menu.accountId);
+    if (!user) return;
+
+    try {
+        const { number } = menu.selected.issue;
+        const response = await githubClient(user.githubAccessToken).post(
+            `/repos/${menu.owner}/${menu.repo}/issues/${number}/comments`,
+            { body: text }
+        );
+
+        await loadIssueDetails(user.githubAccessToken, menu, number);
+        await showIssueDetails(ctx.telegram, message, menu);
+        await ctx.reply(`✅ Comment added to #${number}.`, Markup.inlineKeyboard([
+            [Markup.button.url('🔗 View Comment', response.data.html_url)]
+        ]));
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error adding comment*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+};
+
+// New issue conversation
+async function promptNewIssueLabels(ctx, token, action, edit = false) {
+    const { owner, repo } = action.data;
+
+    if (!action.data.labelOptions) {
+        const user = await getConnectedUser(ctx, action.data.accountId);
+        if (!user) return;
+
+        const response = await githubClient(user.githubAccessToken).get(
+            `/repos/${owner}/${repo}/labels`,
+            { params: { per_page: 30 } }
+        );
+        action.data.labelOptions = response.data.map(label => label.name);
+    }
+
+    if (action.data.labelOptions.length === 0) {
+        return promptNewIssueAssignees(ctx, token, action);
+    }
+
+    const { text, extra } = renderIssueChoices(
+        `🏷️ *Step 3/4: Labels*\nTap labels to toggle them, then Done.`,
+        action.data.labelOptions,
+        action.data.labels,
+        'ni_l',
+        token
+    );
+
+    if (edit) {
+        await editOrIgnore(ctx, text, extra);
+    } else {
+        await ctx.reply(text, extra);
+    }
+}
+
+async function promptNewIssueAssignees(ctx, token, action, edit = false) {
+    const { owner, repo } = action.data;
+
+    if (!action.data.assigneeOptions) {
+        const user = await getConnectedUser(ctx, action.data.accountId);
+        if (!user) return;
+
+        const response = await githubClient(user.githubAccessToken).get(
+            `/repos/${owner}/${repo}/assignees`,
+            { params: { per_page: 30 } }
+        );
+        action.data.assigneeOptions = response.data.map(assignee => assignee.login);
+    }
+
+    if (action.data.assigneeOptions.length === 0) {
+        return createIssueFromAction(ctx, token, action);
+    }
+
+    const { text, extra } = renderIssueChoices(
+        `👥 *Step 4/4: Assignees*\nTap people to toggle them, then Done.`,
+        action.data.assigneeOptions,
+        action.data.assignees,
+        'ni_a',
+        token
+    );
+
+    if (edit) {
+        await editOrIgnore(ctx, text, extra);
+    } else {
+        await ctx.reply(text, extra);
+    }
+}
+
+async function createIssueFromAction(ctx, token, action) {
+    pendingActions.delete(token);
+    const { owner, repo, title, body, labels, assignees } = action.data;
+
+    try {
+        const user = await getConnectedUser(ctx, action.data.accountId);
+        if (!user) return;
+
+        await ctx.reply('⏳ Creating issue...');
+
+        const response = await githubClient(user.githubAccessToken).post(
+            `/repos/${owner}/${repo}/issues`,
+            { title, body, labels, assignees }
+        );
+
+        await ctx.reply(`✅ *Issue #${response.data.number} created!*`, { parse_mode: 'Markdown' });
+        await openIssueDetails(ctx, user, owner, repo, response.data.number);
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error creating issue*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+}
+
+function getNewIssueAction(ctx, token) {
+    return getPendingAction(token, ctx.from.id.toString(), 'new_issue');
+}
+
+inputHandlers.new_issue_title = async (ctx, text, { token }) => {
+    const action = getNewIssueAction(ctx, token);
+    if (!action) {
+        return ctx.reply('⌛ This issue draft has expired. Run /newissue again.');
+    }
+
+    action.data.title = text.trim();
+    awaitInput(ctx.from.id.toString(), 'new_issue_body', { token });
+
+    await ctx.reply(
+        `📝 *Step 2/4: Description*\n\nSend the issue body (Markdown is supported), or skip it.`,
+        {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([[
+                Markup.button.callback('⏭️ Skip', `ni_skip_${token}`),
+                Markup.button.callback('❌ Cancel', `ni_no_${token}`)
+            ]])
+        }
+    );
+};
+
+inputHandlers.new_issue_body = async (ctx, text, { token }) => {
+    const action = getNewIssueAction(ctx, token);
+    if (!action) {
+        return ctx.reply('⌛ This issue draft has expired. Run /newissue again.');
+    }
+
+    action.data.body = text;
+    await promptNewIssueLabels(ctx, token, action);
+};
+
+bot.action(/^ni_skip_([\w-]+)$/, async (ctx) => {
+    const action = getNewIssueAction(ctx, ctx.match[1]);
+    await ctx.answerCbQuery();
+
+    if (!action) {
+        return ctx.reply('⌛ This issue draft has expired. Run /newissue again.');
+    }
+
+    awaitingInputs.delete(ctx.from.id.toString());
+    await promptNewIssueLabels(ctx, ctx.match[1], action);
+});
+
+bot.action(/^ni_(l|a)_(\d+)_([\w-]+)$/, async (ctx) => {
+    const [, kind, index, token] = ctx.match;
+    const action = getNewIssueAction(ctx, token);
+
+    if (!action) {
+        return ctx.answerCbQuery('⌛ This issue draft has expired. Run /newissue again.', { show_alert: true });
+    }
+
+    const options = kind === 'l' ? action.data.labelOptions : action.data.assigneeOptions;
+    const selected = kind === 'l' ? action.data.labels : action.data.assignees;
+    const option = (options || [])[Number(index)];
+
+    if (!option) return ctx.answerCbQuery();
+
+    const position = selected.indexOf(option);
+    if (position === -1) {
+        selected.push(option);
+    } else {
+        selected.splice(position, 1);
+    }
+
+    await ctx.answerCbQuery();
+    if (kind === 'l') {
+        await promptNewIssueLabels(ctx, token, action, true);
+    } else {
+        await promptNewIssueAssignees(ctx, token, action, true);
+    }
+});
+
+bot.action(/^ni_(l|a)d_([\w-]+)$/, async (ctx) => {
+    const [, kind, token] = ctx.match;
+    const action = getNewIssueAction(ctx, token);
+
+    if (!action) {
+        return ctx.answerCbQuery('⌛ This issue draft has expired. Run /newissue again.', { show_alert: true });
+    }
+
+    await ctx.answerCbQuery();
+    await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+
+    if (kind === 'l') {
+        await promptNewIssueAssignees(ctx, token, action);
+    } else {
+        await createIssueFromAction(ctx, token, action);
+    }
+});
+
+bot.action(/^ni_no_([\w-]+)$/, cancelPendingAction('new_issue', '❌ Issue draft discarded.', { clearInput: true }));
+
+// Pull request callbacks
+function prMenuAction(handler) {
+    return async (ctx) => {
+        const menu = prMenus.get(ctx.callbackQuery.message);
+
+        if (!menu || menu.telegramId !== ctx.from.id.toString()) {
+            return ctx.answerCbQuery('⌛ This menu has expired. Run /prs again.', { show_alert: true });
+        }
+
+        try {
+            const user = await loadUser(menu.telegramId, menu.accountId);
+            if (!user || !user.githubAccessToken) {
+                return ctx.answerCbQuery(await translateFor(ctx, 'error.connect'), { show_alert: true });
+            }
+            await handler(ctx, menu, user.githubAccessToken);
+        } catch (error) {
+            const message = `❌ ${githubErrorMessage(error)}`;
+            await ctx.answerCbQuery(message.slice(0, 200), { show_alert: true })
+                .catch(() => ctx.reply(message));
+        }
+    };
+}
+
+async function showPullRequestDetails(telegram, message, menu) {
+    const { text, extra } = renderPullRequestDetails(menu);
+
+    try {
+        await telegram.editMessageText(message.chat.id, message.message_id, undefined, text, extra);
+    } catch (error) {
+        if (!String(error.description || error.message).includes('message is not modified')) {
+            throw error;
+        }
+    }
+}
+
+bot.action(/^pr_p_(\d+)$/, prMenuAction(async (ctx, menu, token) => {
+    await ctx.answerCbQuery('⏳ Loading...');
+    menu.page = Number(ctx.match[1]);
+    await loadPullRequests(token, menu);
+
+    const { text, extra } = renderPullRequestList(menu);
+    await editOrIgnore(ctx, text, extra);
+}));
+
+bot.action('pr_refresh', prMenuAction(async (ctx, menu, token) => {
+    await ctx.answerCbQuery('🔄 Refreshing...');
+    await loadPullRequests(token, menu);
+
+    const { text, extra } = renderPullRequestList(menu);
+    await editOrIgnore(ctx, text, extra);
+}));
+
+bot.action('pr_back', prMenuAction(async (ctx, menu) => {
+    await ctx.answerCbQuery();
+
+    const { text, extra } = renderPullRequestList(menu);
+    await editOrIgnore(ctx, text, extra);
+}));
+
+bot.action(/^pr_o_(\d+)$/, prMenuAction(async (ctx, menu, token) => {
+    const entry = menu.prs[Number(ctx.match[1])];
+
+    if (!entry) {
+        return ctx.answerCbQuery('❌ Pull request not found. Try refreshing.', { show_alert: true });
+    }
+
+    await ctx.answerCbQuery('⏳ Loading...');
+    await loadPullRequestDetails(token, menu, entry.pr.number);
+    await showPullRequestDetails(ctx.telegram, ctx.callbackQuery.message, menu);
+}));
+
+bot.action('pr_detail', prMenuAction(async (ctx, menu) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery();
+    await showPullRequestDetails(ctx.telegram, ctx.callbackQuery.message, menu);
+}));
+
+bot.action('pr_diff', prMenuAction(async (ctx, menu, token) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery('⏳ Fetching diff...');
+
+    const { number } = menu.selected.pr;
+    const response = await githubClient(token).get(`/repos/${menu.owner}/${menu.repo}/pulls/${number}`, {
+        headers: { 'Accept': 'application/vnd.github.v3.diff' },
+        responseType: 'arraybuffer'
+    });
+
+    await ctx.replyWithDocument(
+        { source: Buffer.from(response.data), filename: `${menu.repo}-pr-${number}.diff` },
+        { caption: `📄 Diff for ${menu.owner}/${menu.repo}#${number}` }
+    );
+}));
+
+bot.action('pr_approve', prMenuAction(async (ctx, menu, token) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery('✅ Approving...');
+
+    const { number } = menu.selected.pr;
+    await githubClient(token).post(`/repos/${menu.owner}/${menu.repo}/pulls/${number}/reviews`, {
+        event: 'APPROVE'
+    });
+
+    await loadPullRequestDetails(token, menu, number);
+    await showPullRequestDetails(ctx.telegram, ctx.callbackQuery.message, menu);
+}));
+
+// Request-changes and comment reviews need a body, so they prompt for one
+bot.action(/^pr_rv_(changes|comment)$/, prMenuAction(async (ctx, menu) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery();
+
+    const message = ctx.callbackQuery.message;
+    awaitInput(menu.telegramId, 'pr_review', {
+        event: ctx.match[1] === 'changes' ? 'REQUEST_CHANGES' : 'COMMENT',
+        message: { chat: { id: message.chat.id }, message_id: message.message_id }
+    });
+
+    await ctx.reply(ctx.match[1] === 'changes'
+        ? `✋ Send the changes you'd like on #${menu.selected.pr.number}.`
+        : `💬 Send your review comment for #${menu.selected.pr.number}.`);
+}));
+
+inputHandlers.pr_review = async (ctx, text, { event, message }) => {
+    const menu = prMenus.get(message);
+
+    if (!menu || !menu.selected) {
+        return ctx.reply('⌛ This pull request view has expired. Run /prs again.');
+    }
+
+    const user = await getConnectedUser(ctx, menu.accountId);
+    if (!user) return;
+
+    try {
+        const { number } = menu.selected.pr;
+        const response = await githubClient(user.githubAccessToken).post(
+            `/repos/${menu.owner}/${menu.repo}/pulls/${number}/reviews`,
+            { event, body: text }
+        );
+
+        await loadPullRequestDetails(user.githubAccessToken, menu, number);
+        await showPullRequestDetails(ctx.telegram, message, menu);
+        await ctx.reply(`✅ Review submitted on #${number}.`, Markup.inlineKeyboard([
+            [Markup.button.url('🔗 View Review', response.data.html_url)]
+        ]));
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error submitting review*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+};
+
+bot.action('pr_merge', prMenuAction(async (ctx, menu) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery();
+
+    const { pr } = menu.selected;
+    await editOrIgnore(ctx,
+        `🔀 *Merge #${pr.number}*\n\n` +
+        `\`${pr.head.ref}\` → \`${pr.base.ref}\`\n` +
+        `Merge: ${describeMergeability(pr)}\n\n` +
+        `Choose a merge method:`,
+        {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                ...Object.entries(MERGE_METHODS).map(([method, label]) => [
+                    Markup.button.callback(label, `pr_m_${method}`)
+                ]),
+                [Markup.button.callback('⬅️ Back', 'pr_detail')]
+            ])
+        }
+    );
+}));
+
+bot.action(/^pr_m_(\w+)$/, prMenuAction(async (ctx, menu) => {
+    const method = ctx.match[1];
+    if (!menu.selected || !MERGE_METHODS[method]) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery();
+
+    const { pr } = menu.selected;
+    await editOrIgnore(ctx,
+        `⚠️ *Confirm Merge*\n\n` +
+        `${MERGE_METHODS[method]} #${pr.number} into \`${pr.base.ref}\`?\n\n` +
+        `${escapeMarkdown(pr.title)}`,
+        {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([[
+                Markup.button.callback('✅ Yes, Merge', `pr_mc_${method}`),
+                Markup.button.callback('❌ Cancel', 'pr_detail')
+            ]])
+        }
+    );
+}));
+
+bot.action(/^pr_mc_(\w+)$/, prMenuAction(async (ctx, menu, token) => {
+    const method = ctx.match[1];
+    if (!menu.selected || !MERGE_METHODS[method]) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery('⏳ Merging...');
+
+    const { pr } = menu.selected;
+
+    try {
+        // Passing the head SHA makes GitHub reject the merge if new commits arrived
+        const response = await githubClient(token).put(
+            `/repos/${menu.owner}/${menu.repo}/pulls/${pr.number}/merge`,
+            { merge_method: method, sha: pr.head.sha }
+        );
+
+        await editOrIgnore(ctx,
+            `🟣 *Merged #${pr.number}*\n\n` +
+            `${escapeMarkdown(pr.title)}\n` +
+            `Commit: \`${response.data.sha.slice(0, 7)}\``,
+            {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([[Markup.button.url('🔗 Open on GitHub', pr.html_url)]])
+            }
+        );
+    } catch (error) {
+        // 405 covers branch protection and disabled merge methods, 409 a moved head
+        const status = error.response?.status;
+        if (status !== 405 && status !== 409) throw error;
+
+        await editOrIgnore(ctx,
+            `🛡️ *GitHub refused the merge*\n\n` +
+            `${escapeMarkdown(githubErrorMessage(error))}`,
+            {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([[Markup.button.callback('⬅️ Back', 'pr_detail')]])
+            }
+        );
+    }
+}));
+
+// Actions callbacks
+function actionMenuAction(handler) {
+    return async (ctx) => {
+        const menu = actionMenus.get(ctx.callbackQuery.message);
+
+        if (!menu || menu.telegramId !== ctx.from.id.toString()) {
+            return ctx.answerCbQuery('⌛ This menu has expired. Run /actions again.', { show_alert: true });
+        }
+
+        try {
+            const user = await loadUser(menu.telegramId, menu.accountId);
+            if (!user || !user.githubAccessToken) {
+                return ctx.answerCbQuery(await translateFor(ctx, 'error.connect'), { show_alert: true });
+            }
+            await handler(ctx, menu, user.githubAccessToken);
+        } catch (error) {
+            const message = `❌ ${githubErrorMessage(error)}`;
+            await ctx.answerCbQuery(message.slice(0, 200), { show_alert: true })
+                .catch(() => ctx.reply(message));
+        }
+    };
+}
+
+async function showWorkflowRuns(ctx, menu) {
+    const { text, extra } = renderWorkflowRuns(menu);
+    await editOrIgnore(ctx, text, extra);
+}
+
+async function showWorkflowRunDetails(ctx, menu) {
+    const { text, extra } = renderWorkflowRunDetails(menu);
+    await editOrIgnore(ctx, text, extra);
+}
+
+bot.action(/^ac_p_(\d+)$/, actionMenuAction(async (ctx, menu, token) => {
+    await ctx.answerCbQuery();
+    menu.page = Number(ctx.match[1]);
+    await loadWorkflowRuns(token, menu);
+    await showWorkflowRuns(ctx, menu);
+}));
+
+bot.action('ac_refresh', actionMenuAction(async (ctx, menu, token) => {
+    await ctx.answerCbQuery('🔄 Refreshing...');
+    await loadWorkflowRuns(token, menu);
+    await showWorkflowRuns(ctx, menu);
+}));
+
+bot.action('ac_back', actionMenuAction(async (ctx, menu, token) => {
+    await ctx.answerCbQuery();
+    await loadWorkflowRuns(token, menu);
+    await showWorkflowRuns(ctx, menu);
+}));
+
+bot.action(/^ac_o_(\d+)$/, actionMenuAction(async (ctx, menu, token) => {
+    const run = menu.runs[Number(ctx.match[1])];
+
+    if (!run) {
+        return ctx.answerCbQuery('❌ Run not found. Try refreshing.', { show_alert: true });
+    }
+
+    await ctx.answerCbQuery();
+    await loadWorkflowRunDetails(token, menu, run.id);
+    await showWorkflowRunDetails(ctx, menu);
+}));
+
+bot.action('ac_detail', actionMenuAction(async (ctx, menu, token) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery('🔄 Refreshing...');
+    await loadWorkflowRunDetails(token, menu, menu.selected.run.id);
+    await showWorkflowRunDetails(ctx, menu);
+}));
+
+const RUN_OPERATIONS = {
+    ac_rerun: { path: 'rerun', notice: '🔁 Re-run requested' },
+    ac_rerun_failed: { path: 'rerun-failed-jobs', notice: '🔁 Re-running failed jobs' },
+    ac_cancel: { path: 'cancel', notice: '⛔ Cancellation requested' }
+};
+
+Object.entries(RUN_OPERATIONS).forEach(([callback, operation]) => {
+    bot.action(callback, actionMenuAction(async (ctx, menu, token) => {
+        if (!menu.selected) return ctx.answerCbQuery();
+
+        const { run } = menu.selected;
+        await githubClient(token).post(`/repos/${menu.owner}/${menu.repo}/actions/runs/${run.id}/${operation.path}`);
+        await ctx.answerCbQuery(operation.notice);
+
+        await loadWorkflowRunDetails(token, menu, run.id);
+        await showWorkflowRunDetails(ctx, menu);
+    }));
+});
+
+bot.action('ac_logs', actionMenuAction(async (ctx, menu, token) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery('⏳ Downloading logs...');
+
+    const sections = await fetchFailedStepLogs(token, menu);
+    if (sections.length === 0) {
+        return ctx.reply('📭 No logs were found for the failed steps. They may have expired.');
+    }
+
+    const { run } = menu.selected;
+    const fullLog = sections.map(section => `===== ${section.title} =====\n${section.log}`).join('\n\n');
+
+    // Telegram messages cap at 4096 characters, so only the tail goes inline
+    const last = sections[sections.length - 1];
+    let tail = last.log.trimEnd().split('\n').slice(-LOG_TAIL_LINES).join('\n');
+    if (tail.length > 3500) {
+        tail = tail.slice(-3500);
+    }
+
+    await ctx.reply(
+        `📜 <b>${escapeHtml(last.title)}</b> (last ${LOG_TAIL_LINES} lines)\n\n<pre>${escapeHtml(tail)}</pre>`,
+        { parse_mode: 'HTML' }
+    );
+    await ctx.replyWithDocument(
+        { source: Buffer.from(fullLog, 'utf8'), filename: `${menu.repo}-run-${run.id}-failed.log` },
+        { caption: `📜 Failed step logs for ${run.name} #${run.run_number}` }
+    );
+}));
+
+// Dispatch callbacks
+function getDispatchAction(ctx, token) {
+    return getPendingAction(token, ctx.from.id.toString(), 'dispatch');
+}
+
+bot.action(/^dp_w_(\d+)_([\w-]+)$/, async (ctx) => {
+    const token = ctx.match[2];
+    const action = getDispatchAction(ctx, token);
+
+    if (!action) {
+        return ctx.answerCbQuery('⌛ This dispatch has expired. Run /dispatch again.', { show_alert: true });
+    }
+
+    const workflow = action.data.workflows[Number(ctx.match[1])];
+    if (!workflow) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery();
+
+    try {
+        const user = await getConnectedUser(ctx, action.data.accountId);
+        if (!user) return;
+
+        const { owner, repo, ref } = action.data;
+        const response = await githubClient(user.githubAccessToken).get(
+            `/repos/${owner}/${repo}/contents/${encodeGitHubPath(workflow.path)}`,
+            { params: { ref }, headers: { 'Accept': 'application/vnd.github.raw' }, responseType: 'text' }
+        );
+
+        const inputs = parseDispatchInputs(response.data);
+        if (!inputs) {
+            return editOrIgnore(ctx, `❌ ${workflow.name} doesn't have a workflow_dispatch trigger on ${ref}.`);
+        }
+
+        action.data.workflow = workflow;
+        action.data.inputs = inputs;
+        await editOrIgnore(ctx, `⚙️ Workflow: ${workflow.name}`);
+        await promptDispatchInput(ctx, token, action);
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error reading workflow*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+inputHandlers.dispatch_input = (ctx, text, { token }) => setDispatchInput(ctx, token, text.trim());
+
+// Returns the dispatch when the button belongs to the input being asked
+// for; buttons left on an earlier prompt are refused
+async function getDispatchPrompt(ctx, token, index) {
+    const action = getDispatchAction(ctx, token);
+
+    if (!action) {
+        await ctx.answerCbQuery('⌛ This dispatch has expired. Run /dispatch again.', { show_alert: true });
+        return null;
+    }
+    if (action.data.index !== Number(index)) {
+        await ctx.answerCbQuery('ℹ️ This input has already been answered.');
+        await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+        return null;
+    }
+
+    await ctx.answerCbQuery();
+    return action;
+}
+
+bot.action(/^dp_v_(\d+)_(\d+)_([\w-]+)$/, async (ctx) => {
+    const token = ctx.match[3];
+    const action = await getDispatchPrompt(ctx, token, ctx.match[1]);
+    if (!action) return;
+
+    const option = action.data.inputs[action.data.index].options[Number(ctx.match[2])];
+    if (option === undefined) return;
+
+    await setDispatchInput(ctx, token, option);
+});
+
+bot.action(/^dp_b_(\d+)_(true|false)_([\w-]+)$/, async (ctx) => {
+    const token = ctx.match[3];
+    const action = await getDispatchPrompt(ctx, token, ctx.match[1]);
+    if (!action) return;
+
+    await setDispatchInput(ctx, token, ctx.match[2]);
+});
+
+bot.action(/^dp_def_(\d+)_([\w-]+)$/, async (ctx) => {
+    const token = ctx.match[2];
+    const action = await getDispatchPrompt(ctx, token, ctx.match[1]);
+    if (!action) return;
+
+    await setDispatchInput(ctx, token, action.data.inputs[action.data.index].default);
+});
+
+bot.action(/^dp_ok_([\w-]+)$/, async (ctx) => {
+    const token = ctx.match[1];
+    const action = getDispatchAction(ctx, token);
+
+    if (!action) {
+        return ctx.answerCbQuery('⌛ This dispatch has expired. Run /dispatch again.', { show_alert: true });
+    }
+
+    pendingActions.delete(token);
+    await ctx.answerCbQuery('🚀 Dispatching...');
+
+    const { owner, repo, ref, workflow, values } = action.data;
+
+    try {
+        const user = await getConnectedUser(ctx, action.data.accountId);
+        if (!user) return;
+
+        await githubClient(user.githubAccessToken).post(
+            `/repos/${owner}/${repo}/actions/workflows/${workflow.id}/dispatches`,
+            { ref, inputs: values }
+        );
+
+        await editOrIgnore(ctx,
+            `✅ *${escapeMarkdown(workflow.name)} dispatched*\n\n` +
+            `Ref: \`${ref}\`\n` +
+            `Follow it with \`/actions ${owner}/${repo}\``,
+            { parse_mode: 'Markdown' }
+        );
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error dispatching workflow*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+bot.action(/^dp_no_([\w-]+)$/, cancelPendingAction('dispatch', '❌ Workflow dispatch cancelled.', { clearInput: true }));
+
+// Linked account callbacks
+async function findLinkedAccount(ctx) {
+    const account = await LinkedAccount.findOne({
+        _id: ctx.match[1],
+        telegramId: ctx.from.id.toString()
+    });
+    
+    if (!account) {
+        await ctx.answerCbQuery('❌ Account not found. Run /accounts again.', { show_alert: true });
+    }
+    return account;
+}
+
+async function showAccounts(ctx) {
+    const { text, extra } = await renderAccounts(ctx.from.id.toString());
+    await editOrIgnore(ctx, text, extra);
+}
+
+bot.action(/^acc_use_([a-f\d]{24})$/, async (ctx) => {
+    try {
+        const account = await findLinkedAccount(ctx);
+        if (!account) return;
+        
+        await activateAccount(ctx.from.id.toString(), account);
+        await ctx.answerCbQuery(`✅ Now using ${account.githubUsername}`);
+        await showAccounts(ctx);
+    } catch (error) {
+        await ctx.reply(`❌ Error switching account: ${error.message}`);
+    }
+});
+
+bot.action(/^acc_label_([a-f\d]{24})$/, async (ctx) => {
+    const account = await findLinkedAccount(ctx);
+    if (!account) return;
+    
+    await ctx.answerCbQuery();
+    awaitInput(ctx.from.id.toString(), 'account_label', {
+        accountId: String(account._id),
+        message: ctx.callbackQuery.message
+    });
+    await ctx.reply(
+        `✏️ Send a new name for *${escapeMarkdown(account.githubUsername)}*.\n\n` +
+        `Letters, numbers, "-", "_" and "." only, e.g. \`work\``,
+        { parse_mode: 'Markdown' }
+    );
+});
+
+inputHandlers.account_label = async (ctx, text, { accountId, message }) => {
+    const telegramId = ctx.from.id.toString();
+    const label = text.trim().replace(/^@/, '').toLowerCase();
+    
+    if (!/^[\w.-]{1,32}$/.test(label)) {
+        awaitInput(telegramId, 'account_label', { accountId, message });
+        return ctx.reply('❌ Names can only contain letters, numbers, "-", "_" and ".". Try another one.');
+    }
+    
+    try {
+        const taken = await LinkedAccount.exists({ telegramId, label, _id: { $ne: accountId } });
+        if (taken) {
+            awaitInput(telegramId, 'account_label', { accountId, message });
+            return ctx.reply(`❌ Another account is already called @${label}. Try another name.`);
+        }
+        
+        await LinkedAccount.updateOne({ _id: accountId, telegramId }, { label });
+        await ctx.reply(`✅ Renamed to @${label}.`);
+        
+        const { text: listing, extra } = await renderAccounts(telegramId);
+        await ctx.telegram.editMessageText(message.chat.id, message.message_id, undefined, listing, extra)
+            .catch(() => {});
+    } catch (error) {
+        await ctx.reply(`❌ Error renaming account: ${error.message}`);
+    }
+};
+
+bot.action(/^acc_rm_([a-f\d]{24})$/, async (ctx) => {
+    const account = await findLinkedAccount(ctx);
+    if (!account) return;
+    
+    await ctx.answerCbQuery();
+    await editOrIgnore(ctx,
+        `🗑️ *Unlink ${escapeMarkdown(account.githubUsername)}?*\n\n` +
+        `The bot's access token for this account will be revoked on GitHub.`,
+        {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([[
+                Markup.button.callback('✅ Unlink', `acc_rmok_${account._id}`),
+                Markup.button.callback('❌ Cancel', 'acc_list')
+            ]])
+        }
+    );
+});
+
+bot.action(/^acc_rmok_([a-f\d]{24})$/, async (ctx) => {
+    const telegramId = ctx.from.id.toString();
+    
+    try {
+        const account = await findLinkedAccount(ctx);
+        if (!account) return;
+        
+        await ctx.answerCbQuery('⏳ Unlinking...');
+        await unlinkAccount(telegramId, account, revokeOAuthToken);
+        await showAccounts(ctx);
+    } catch (error) {
+        await ctx.reply(`❌ Error unlinking account: ${error.message}`);
+    }
+});
+
+bot.action('acc_list', async (ctx) => {
+    await ctx.answerCbQuery();
+    await showAccounts(ctx);
+});
+
+// Disconnect and account deletion callbacks
+bot.action(/^dc_ok_([\w-]+)$/, async (ctx) => {
+    const token = ctx.match[1];
+    const telegramId = ctx.from.id.toString();
+    const action = getPendingAction(token, telegramId, 'disconnect');
+    
+    if (!action) {
+        return ctx.answerCbQuery('⌛ This request has expired. Run /disconnect again.', { show_alert: true });
+    }
+    
+    pendingActions.delete(token);
+    await ctx.answerCbQuery('⏳ Disconnecting...');
+    
+    try {
+        const accounts = await LinkedAccount.find({ _id: { $in: action.data.accountIds }, telegramId });
+        // Revokes the whole grant, the same as /deleteaccount
+        for (const account of accounts) {
+            await unlinkAccount(telegramId, account, revokeOAuthGrant);
+        }
+        
+        const user = await User.findOne({ telegramId });
+        await editOrIgnore(ctx,
+            `✅ *Disconnected*\n\n` +
+            `Removed: ${accounts.map(account => escapeMarkdown(account.githubUsername)).join(', ')}\n\n` +
+            (user?.isConnected
+                ? `Now using *${escapeMarkdown(user.githubUsername)}*.`
+                : `Use /connect to link GitHub again.`),
+            { parse_mode: 'Markdown' }
+        );
+    } catch (error) {
+        await ctx.reply(`❌ Error disconnecting: ${error.message}`);
+    }
+});
+
+bot.action(/^dc_no_([\w-]+)$/, cancelPendingAction('disconnect', '❌ Disconnect cancelled.'));
+
+bot.action(/^da_ok_([\w-]+)$/, async (ctx) => {
+    const token = ctx.match[1];
+    const telegramId = ctx.from.id.toString();
+    
+    if (!getPendingAction(token, telegramId, 'delete_account')) {
+        return ctx.answerCbQuery('⌛ This request has expired. Run /deleteaccount again.', { show_alert: true });
+    }
+    
+    pendingActions.delete(token);
+    await ctx.answerCbQuery('⏳ Deleting...');
+    
+    try {
+        await deleteUserData(telegramId);
+        await editOrIgnore(ctx,
+            `✅ *Account Deleted*\n\n` +
+            `Everything the bot stored about you has been erased. Send /start to begin again.`,
+            { parse_mode: 'Markdown' }
+        );
+    } catch (error) {
+        await ctx.reply(`❌ Error deleting account: ${error.message}`);
+    }
+});
+
+bot.action(/^da_no_([\w-]+)$/, cancelPendingAction('delete_account', '❌ Account deletion cancelled.'));
+
+// Group settings callbacks
+function groupSettingsAction(handler) {
+    return async (ctx) => {
+        try {
+            if (!isGroupChat(ctx.chat) || !await isChatAdmin(ctx)) {
+                return ctx.answerCbQuery('🚫 Only group admins can change these settings.', { show_alert: true });
+            }
+
+            const binding = await GroupBinding.findOne({ chatId: ctx.chat.id.toString() });
+            if (!binding) {
+                return ctx.answerCbQuery('⌛ This group is no longer bound. Run /bind again.', { show_alert: true });
+            }
+
+            await handler(ctx, binding);
+            await binding.save();
+            await ctx.answerCbQuery('✅ Saved');
+
+            const { text, extra } = renderGroupSettings(binding);
+            await editOrIgnore(ctx, text, extra);
+        } catch (error) {
+            await ctx.reply(`❌ Error updating group settings: ${error.message}`);
+        }
+    };
+}
+
+bot.action(/^gs_c_(\w+)$/, groupSettingsAction(async (ctx, binding) => {
+    const command = ctx.match[1];
+    if (!GROUP_COMMANDS.includes(command)) return;
+
+    binding.commands = binding.commands.includes(command)
+        ? binding.commands.filter(name => name !== command)
+        : [...binding.commands, command];
+}));
+
+bot.action(/^gs_d_(\w+)$/, groupSettingsAction(async (ctx, binding) => {
+    if (DESTRUCTIVE_POLICIES[ctx.match[1]]) {
+        binding.destructive = ctx.match[1];
+    }
+}));
+
+// Settings callbacks
+async function showSettings(ctx) {
+    const user = await findUser(ctx.from.id.toString());
+    if (!user) {
+        return ctx.answerCbQuery(translate(undefined, 'error.start'), { show_alert: true });
+    }
+    
+    await ctx.answerCbQuery();
+    const { text, extra } = renderSettings(user);
+    await editOrIgnore(ctx, text, extra);
+}
+
+// Wraps a settings button that changes a value before the menu is shown again
+function settingsAction(change) {
+    return async (ctx) => {
+        const telegramId = ctx.from.id.toString();
+        
+        try {
+            const user = await findUser(telegramId);
+            if (user) {
+                await updateSettings(telegramId, change(user.settings || {}));
+            }
+            await showSettings(ctx);
+        } catch (error) {
+            await ctx.reply(`❌ Error updating settings: ${error.message}`);
+        }
+    };
+}
+
+bot.action('bot_settings', async (ctx) => {
+    try {
+        await showSettings(ctx);
+    } catch (error) {
+        await ctx.reply(`❌ Error loading settings: ${error.message}`);
+    }
+});
+
+bot.action('st_size', settingsAction(settings => {
+    const index = SETTINGS_PAGE_SIZES.indexOf(settings.pageSize || REPOS_PAGE_SIZE);
+    return { 'settings.pageSize': SETTINGS_PAGE_SIZES[(index + 1) % SETTINGS_PAGE_SIZES.length] };
+}));
+
+// English is the default and isn't stored, which also keeps ISO dates for it
+bot.action('st_lang', settingsAction(settings => {
+    const languages = Object.keys(LANGUAGES);
+    const next = languages[(languages.indexOf(settings.language || 'en') + 1) % languages.length];
+    return next === 'en' ? { $unset: { 'settings.language': 1 } } : { 'settings.language': next };
+}));
+
+bot.action('st_private', settingsAction(settings => ({
+    'settings.showPrivateInGroups': !settings.showPrivateInGroups
+})));
+
+bot.action('st_announce', settingsAction(settings => ({
+    'settings.receiveAnnouncements': settings.receiveAnnouncements === false
+})));
+
+// Button under every broadcast
+bot.action('st_announce_off', async (ctx) => {
+    const telegramId = ctx.from.id.toString();
+    
+    try {
+        await updateSettings(telegramId, { 'settings.receiveAnnouncements': false });
+        await ctx.answerCbQuery('🔕 You won\'t get announcements anymore. Turn them back on in /settings.', { show_alert: true });
+        await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+    } catch (error) {
+        await ctx.reply(`❌ Error updating settings: ${error.message}`);
+    }
+});
+
+bot.action(/^st_in_(owner|branch|quiet|timezone)$/, async (ctx) => {
+    const field = ctx.match[1];
+    
+    await ctx.answerCbQuery();
+    awaitInput(ctx.from.id.toString(), 'settings_field', { field, message: ctx.callbackQuery.message });
+    await ctx.reply(await translateFor(ctx, `settings.prompt.${field}`), { parse_mode: 'Markdown' });
+});
+
+// Turns a reply into an update for the given field, or returns an error message
+function parseSettingsInput(field, text) {
+    const clear = ['-', 'off', 'none'].includes(text.toLowerCase());
+    
+    switch (field) {
+        case 'owner':
+            if (clear) return { update: { $unset: { 'settings.defaultOwner': 1 } } };
+            if (!/^[\w-]{1,39}$/.test(text)) return { error: 'That isn\'t a valid GitHub user or organization name.' };
+            return { update: { 'settings.defaultOwner': text } };
+            
+        case 'branch':
+            if (clear) return { update: { $unset: { 'settings.defaultBranch': 1 } } };
+            if (!/^[\w./-]{1,255}$/.test(text) || text.includes('..')) return { error: 'That isn\'t a valid branch name.' };
+            return { update: { 'settings.defaultBranch': text } };
+            
+        case 'quiet': {
+            if (clear) return { update: { $unset: { 'settings.quietHoursStart': 1, 'settings.quietHoursEnd': 1 } } };
+            
+            const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(text);
+            const time = (hour, minute) => Number(hour) < 24 && Number(minute) < 60
+                ? `${hour.padStart(2, '0')}:${minute}`
+                : null;
+            const start = match && time(match[1], match[2]);
+            const end = match && time(match[3], match[4]);
+            
+            if (!start || !end || start === end) return { error: 'Send the quiet hours as HH:MM-HH:MM, e.g. 22:00-07:00.' };
+            return { update: { 'settings.quietHoursStart': start, 'settings.quietHoursEnd': end } };
+        }
+            
+        default:
+            return {};
+    }
+}
+
+inputHandlers.settings_field = async (ctx, text, { field, message }) => {
+    const telegramId = ctx.from.id.toString();
+    const value = text.trim();
+    
+    try {
+        if (field === 'timezone') {
+            if (!isValidTimezone(value)) {
+                awaitInput(telegramId, 'settings_field', { field, message });
+                return ctx.reply('❌ Unknown timezone. Use an IANA name such as Europe/Berlin or America/New_York.');
+            }
+            await setUserTimezone(telegramId, value);
+        } else {
+            const { update, error } = parseSettingsInput(field, value);
+            if (error) {
+                awaitInput(telegramId, 'settings_field', { field, message });
+                return ctx.reply(`❌ ${error} Try again.`);
+            }
+            await updateSettings(telegramId, update);
+        }
+        
+        await ctx.reply('✅ Settings saved.');
+        
+        const user = await findUser(telegramId);
+        const { text: settings, extra } = renderSettings(user);
+        await ctx.telegram.editMessageText(message.chat.id, message.message_id, undefined, settings, extra)
+            .catch(() => {});
+    } catch (error) {
+        await ctx.reply(`❌ Error updating settings: ${error.message}`);
+    }
+};
+
+// Edit file callbacks
+// Commits an edit on top of the blob SHA the file had when it was opened
+async function commitFileEdit(github, { owner, repo, filePath, sha, updated, message }, branch) {
+    const response = await github.put(`/repos/${owner}/${repo}/contents/${encodeGitHubPath(filePath)}`, {
+        message,
+        content: Buffer.from(updated, 'utf8').toString('base64'),
+        sha,
+        branch
+    });
+
+    return response.data.commit;
+}
+
+async function replyEditError(ctx, error, { filePath, branch }) {
+    if (error.code === 'conflict') {
+        return ctx.reply(
+            `⚠️ *File changed on GitHub*\n\n` +
+            `\`${filePath}\` was updated on \`${branch}\` after you opened it, so nothing was committed. ` +
+            `Run /edit again to start from the latest version.`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    await ctx.reply(
+        `❌ *Error committing changes*\n\n` +
+        `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+        { parse_mode: 'Markdown' }
+    );
+}
+
+// Consumes the pending edit so a double tap can't commit twice
+async function takeFileEdit(ctx, token) {
+    const telegramId = ctx.from.id.toString();
+    const action = getPendingAction(token, telegramId, 'edit_file');
+
+    if (!action) {
+        await ctx.answerCbQuery('⌛ This edit has expired. Run /edit again.', { show_alert: true });
+        return null;
+    }
+
+    pendingActions.delete(token);
+    awaitingInputs.delete(telegramId);
+    await ctx.answerCbQuery('⏳ Committing...');
+
+    const user = await loadUser(telegramId, action.data.accountId);
+    if (!user || !user.githubAccessToken) {
+        await ctx.reply(await translateFor(ctx, 'error.connect'));
+        return null;
+    }
+
+    return { action, github: githubClient(user.githubAccessToken) };
+}
+
+bot.action(/^ed_ok_([\w-]+)$/, async (ctx) => {
+    const edit = await takeFileEdit(ctx, ctx.match[1]);
+    if (!edit) return;
+
+    const { owner, repo, filePath, branch, message } = edit.action.data;
+
+    try {
+        const commit = await commitFileEdit(edit.github, edit.action.data, branch);
+
+        await editOrIgnore(ctx,
+            `✅ *Changes Committed*\n\n` +
+            `Repository: \`${owner}/${repo}\`\n` +
+            `File: \`${filePath}\`\n` +
+            `Branch: \`${branch}\`\n` +
+            `Commit: \`${commit.sha.slice(0, 7)}\` ${escapeMarkdown(message)}`,
+            {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([[Markup.button.url('🔗 View Commit', commit.html_url)]])
+            }
+        );
+    } catch (error) {
+        await replyEditError(ctx, error, edit.action.data);
+    }
+});
+
+bot.action(/^ed_pr_([\w-]+)$/, async (ctx) => {
+    const edit = await takeFileEdit(ctx, ctx.match[1]);
+    if (!edit) return;
+
+    const { github } = edit;
+    const { owner, repo, filePath, branch, message } = edit.action.data;
+    const head = `edit/${path.basename(filePath).replace(/[^\w.-]/g, '-')}-${Date.now().toString(36)}`;
+    let created = false;
+    let committed = false;
+
+    try {
+        const ref = await github.get(`/repos/${owner}/${repo}/git/ref/heads/${encodeGitHubPath(branch)}`);
+        await github.post(`/repos/${owner}/${repo}/git/refs`, { ref: `refs/heads/${head}`, sha: ref.data.object.sha });
+        created = true;
+
+        await commitFileEdit(github, edit.action.data, head);
+        committed = true;
+        const pr = await github.post(`/repos/${owner}/${repo}/pulls`, {
+            title: message,
+            head,
+            base: branch,
+            body: `Edits \`${filePath}\`.`
+        });
+
+        await editOrIgnore(ctx,
+            `🔀 *Pull Request Opened*\n\n` +
+            `Repository: \`${owner}/${repo}\`\n` +
+            `File: \`${filePath}\`\n` +
+            `\`${head}\` → \`${branch}\`\n` +
+            `PR: *#${pr.data.number}* ${escapeMarkdown(pr.data.title)}`,
+            {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([[Markup.button.url('🔗 View Pull Request', pr.data.html_url)]])
+            }
+        );
+    } catch (error) {
+        // Don't leave an empty branch behind when the commit failed; once
+        // it holds the edit it is kept so the PR can be opened by hand
+        if (created && !committed) {
+            await github.delete(`/repos/${owner}/${repo}/git/refs/heads/${encodeGitHubPath(head)}`)
+                .catch(cleanupError => console.error('Error deleting edit branch:', githubErrorMessage(cleanupError)));
+        }
+        await replyEditError(ctx, error, edit.action.data);
+    }
+});
+
+bot.action(/^ed_msg_([\w-]+)$/, async (ctx) => {
+    const token = ctx.match[1];
+    const telegramId = ctx.from.id.toString();
+
+    if (!getPendingAction(token, telegramId, 'edit_file')) {
+        return ctx.answerCbQuery('⌛ This edit has expired. Run /edit again.', { show_alert: true });
+    }
+
+    await ctx.answerCbQuery();
+    awaitInput(telegramId, 'edit_commit_message', { token, message: ctx.callbackQuery.message });
+    await ctx.reply('✏️ Send the commit message to use for this edit.');
+});
+
+inputHandlers.edit_commit_message = async (ctx, text, { token, message }) => {
+    const telegramId = ctx.from.id.toString();
+    const action = getPendingAction(token, telegramId, 'edit_file');
+
+    if (!action) {
+        return ctx.reply('⌛ This edit has expired. Run /edit again.');
+    }
+
+    if (!text.trim()) {
+        awaitInput(telegramId, 'edit_commit_message', { token, message });
+        return ctx.reply('❌ The commit message can\'t be empty. Send the commit message to use for this edit.');
+    }
+
+    action.data.message = text.trim();
+    awaitInput(telegramId, 'edit_content', { token });
+
+    const { text: preview, extra } = renderEditPreview(action, token);
+    await ctx.telegram.editMessageText(message.chat.id, message.message_id, undefined, preview, extra)
+        .catch(() => ctx.reply(preview, extra));
+};
+
+bot.action(/^ed_no_([\w-]+)$/, cancelPendingAction('edit_file', '❌ Edit cancelled.', { clearInput: true }));
+
+// Branch, tag and release callbacks
+function branchMenuAction(handler) {
+    return async (ctx) => {
+        const menu = branchMenus.get(ctx.callbackQuery.message);
+
+        if (!menu || menu.telegramId !== ctx.from.id.toString()) {
+            return ctx.answerCbQuery('⌛ This menu has expired. Run /branches again.', { show_alert: true });
+        }
+
+        try {
+            const user = await loadUser(menu.telegramId, menu.accountId);
+            if (!user || !user.githubAccessToken) {
+                return ctx.answerCbQuery(await translateFor(ctx, 'error.connect'), { show_alert: true });
+            }
+            await handler(ctx, menu, user.githubAccessToken);
+        } catch (error) {
+            const message = `❌ ${githubErrorMessage(error)}`;
+            await ctx.answerCbQuery(message.slice(0, 200), { show_alert: true })
+                .catch(() => ctx.reply(message));
+        }
+    };
+}
+
+async function showBranches(ctx, menu) {
+    const { text, extra } = renderBranches(menu);
+    await editOrIgnore(ctx, text, extra);
+}
+
+bot.action(/^br_p_(\d+)$/, branchMenuAction(async (ctx, menu, token) => {
+    await ctx.answerCbQuery();
+    menu.page = Number(ctx.match[1]);
+    await loadBranches(token, menu);
+    await showBranches(ctx, menu);
+}));
+
+bot.action('br_refresh', branchMenuAction(async (ctx, menu, token) => {
+    await ctx.answerCbQuery('🔄 Refreshing...');
+    await loadBranches(token, menu);
+    await showBranches(ctx, menu);
+}));
+
+bot.action('br_back', branchMenuAction(async (ctx, menu, token) => {
+    await ctx.answerCbQuery();
+    menu.selected = null;
+    await loadBranches(token, menu);
+    await showBranches(ctx, menu);
+}));
+
+bot.action(/^br_o_(\d+)$/, branchMenuAction(async (ctx, menu, token) => {
+    const branch = menu.branches[Number(ctx.match[1])];
+
+    if (!branch) {
+        return ctx.answerCbQuery('❌ Branch not found. Try refreshing.', { show_alert: true });
+    }
+
+    await ctx.answerCbQuery();
+    await loadBranchDetails(token, menu, branch.name);
+    const { text, extra } = renderBranchDetails(menu);
+    await editOrIgnore(ctx, text, extra);
+}));
+
+bot.action('br_del', branchMenuAction(async (ctx, menu) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery();
+    const { branch, comparison } = menu.selected;
+    await editOrIgnore(ctx,
+        `⚠️ *Delete branch \`${branch.name}\`?*\n\n` +
+        (comparison && comparison.ahead_by > 0
+            ? `It has ${comparison.ahead_by} commit(s) that aren't on \`${menu.defaultBranch}\` and will be lost.`
+            : `All of its commits are on \`${menu.defaultBranch}\`.`),
+        {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([[
+                Markup.button.callback('✅ Delete', 'br_delok'),
+                Markup.button.callback('❌ Cancel', 'br_back')
+            ]])
+        }
+    );
+}));
+
+bot.action('br_delok', branchMenuAction(async (ctx, menu, token) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    const { name } = menu.selected.branch;
+    await deleteBranch(githubClient(token), menu.owner, menu.repo, name);
+    await ctx.answerCbQuery(`🗑️ Deleted ${name}`);
+
+    menu.selected = null;
+    await loadBranches(token, menu);
+    await showBranches(ctx, menu);
+}));
+
+bot.action('br_new', branchMenuAction(async (ctx, menu) => {
+    await ctx.answerCbQuery();
+    awaitInput(ctx.from.id.toString(), 'branch_create', { message: ctx.callbackQuery.message });
+    await ctx.reply(
+        `🌿 *New branch in ${escapeMarkdown(`${menu.owner}/${menu.repo}`)}*\n\n` +
+        `Send the new branch name, optionally followed by the branch, tag or commit to start from ` +
+        `(default: \`${menu.defaultBranch}\`).\n\n` +
+        `*Example:* \`feature/login v1.2.0\``,
+        { parse_mode: 'Markdown' }
+    );
+}));
+
+inputHandlers.branch_create = async (ctx, text, { message }) => {
+    const menu = branchMenus.get(message);
+
+    if (!menu) {
+        return ctx.reply('⌛ This branch list has expired. Run /branches again.');
+    }
+
+    const [name, from = menu.defaultBranch] = text.trim().split(/\s+/);
+    if (!/^[\w./-]+$/.test(name) || name.includes('..') || name.endsWith('/') || name.endsWith('.lock')) {
+        awaitInput(ctx.from.id.toString(), 'branch_create', { message });
+        return ctx.reply('❌ That isn\'t a valid branch name. Try another one.');
+    }
+
+    const user = await getConnectedUser(ctx, menu.accountId);
+    if (!user) return;
+
+    try {
+        const github = githubClient(user.githubAccessToken);
+        const sha = await createBranch(github, menu.owner, menu.repo, name, from);
+
+        await ctx.reply(`✅ Created \`${name}\` from \`${from}\` (\`${sha.slice(0, 7)}\`).`, { parse_mode: 'Markdown' });
+
+        await loadBranches(user.githubAccessToken, menu);
+        const { text: listing, extra } = renderBranches(menu);
+        await ctx.telegram.editMessageText(message.chat.id, message.message_id, undefined, listing, extra)
+            .catch(() => {});
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error creating branch*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+};
+
+bot.action('br_merged', branchMenuAction(async (ctx, menu, token) => {
+    await ctx.answerCbQuery('⏳ Looking for merged branches...');
+    const { merged, skipped } = await findMergedBranches(token, menu);
+    menu.merged = merged;
+
+    const note = skipped > 0 ? `\n\n_${skipped} more branches weren't checked; run it again after cleaning up._` : '';
+
+    if (merged.length === 0) {
+        return editOrIgnore(ctx,
+            `🧹 *No merged branches*\n\n` +
+            `No unprotected branch has all of its commits on \`${menu.defaultBranch}\` ` +
+            `with \`${menu.defaultBranch}\` moved past it or a merged pull request.${note}`,
+            { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('⬅️ Back', 'br_back')]]) }
+        );
+    }
+
+    await editOrIgnore(ctx,
+        `🧹 *Delete ${merged.length} merged branch${merged.length === 1 ? '' : 'es'}?*\n\n` +
+        `All of their commits are on \`${menu.defaultBranch}\`, and \`${menu.defaultBranch}\` ` +
+        `has moved past them or a pull request from them was merged. ` +
+        `Branches with no commits of their own yet are kept:\n` +
+        merged.slice(0, 40).map(name => `• \`${name}\``).join('\n') +
+        (merged.length > 40 ? `\n… and ${merged.length - 40} more` : '') + note,
+        {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([[
+                Markup.button.callback(`✅ Delete ${merged.length}`, 'br_mok'),
+                Markup.button.callback('❌ Cancel', 'br_back')
+            ]])
+        }
+    );
+}));
+
+bot.action('br_mok', branchMenuAction(async (ctx, menu, token) => {
+    const names = menu.merged || [];
+    menu.merged = null;
+
+    if (names.length === 0) return ctx.answerCbQuery();
+    await ctx.answerCbQuery('⏳ Deleting...');
+
+    const github = githubClient(token);
+    const failed = [];
+    for (const name of names) {
+        await deleteBranch(github, menu.owner, menu.repo, name).catch(error => {
+            failed.push(`${name}: ${githubErrorMessage(error)}`);
+        });
+    }
+
+    await ctx.reply(
+        `🧹 Deleted ${names.length - failed.length} of ${names.length} merged branches.` +
+        (failed.length > 0 ? `\n\nFailed:\n${failed.join('\n')}` : '')
+    );
+
+    await loadBranches(token, menu);
+    await showBranches(ctx, menu);
+}));
+
+function tagMenuAction(handler) {
+    return async (ctx) => {
+        const menu = tagMenus.get(ctx.callbackQuery.message);
+
+        if (!menu || menu.telegramId !== ctx.from.id.toString()) {
+            return ctx.answerCbQuery('⌛ This menu has expired. Run /tags again.', { show_alert: true });
+        }
+
+        try {
+            const user = await loadUser(menu.telegramId, menu.accountId);
+            if (!user || !user.githubAccessToken) {
+                return ctx.answerCbQuery(await translateFor(ctx, 'error.connect'), { show_alert: true });
+            }
+
+            await ctx.answerCbQuery();
+            await handler(ctx, menu, user.githubAccessToken);
+            const { text, extra } = renderTags(menu);
+            await editOrIgnore(ctx, text, extra);
+        } catch (error) {
+            await ctx.reply(`❌ ${githubErrorMessage(error)}`);
+        }
+    };
+}
+
+bot.action(/^tg_p_(\d+)$/, tagMenuAction(async (ctx, menu, token) => {
+    menu.page = Number(ctx.match[1]);
+    await loadTags(token, menu);
+}));
+
+bot.action('tg_refresh', tagMenuAction(async (ctx, menu, token) => {
+    await loadTags(token, menu);
+}));
+
+// Looks up the release draft behind a button or reply. Every use extends
+// its lifetime, since writing notes and collecting files can take a while.
+function getReleaseAction(ctx, token) {
+    const action = getPendingAction(token, ctx.from.id.toString(), 'release');
+    if (action) {
+        action.expiresAt = Date.now() + PENDING_ACTION_TTL;
+    }
+    return action;
+}
+
+const RELEASE_EXPIRED = '⌛ This release menu has expired. The draft is still saved under Releases on GitHub.';
+
+async function releaseClient(ctx, action) {
+    const user = await getConnectedUser(ctx, action.data.accountId);
+    return user ? githubClient(user.githubAccessToken) : null;
+}
+
+// Re-renders the draft, editing the given message when possible
+async function showReleaseDraft(ctx, action, token, message) {
+    const { text, extra } = renderReleaseDraft(action, token);
+
+    if (message) {
+        await ctx.telegram.editMessageText(message.chat.id, message.message_id, undefined, text, extra)
+            .catch(() => ctx.reply(text, extra));
+    } else {
+        await ctx.reply(text, extra);
+    }
+}
+
+async function updateRelease(ctx, action, changes) {
+    const github = await releaseClient(ctx, action);
+    if (!github) return false;
+
+    const { owner, repo, releaseId } = action.data;
+    const response = await github.patch(`/repos/${owner}/${repo}/releases/${releaseId}`, changes);
+    Object.assign(action.data, { name: response.data.name || action.data.tag, body: response.data.body || '' });
+    return true;
+}
+
+bot.action(/^rl_(notes|name)_([\w-]+)$/, async (ctx) => {
+    const [, field, token] = ctx.match;
+    const action = getReleaseAction(ctx, token);
+
+    if (!action) {
+        return ctx.answerCbQuery(RELEASE_EXPIRED, { show_alert: true });
+    }
+
+    await ctx.answerCbQuery();
+    awaitInput(ctx.from.id.toString(), `release_${field}`, { token, message: ctx.callbackQuery.message });
+
+    if (field === 'name') {
+        return ctx.reply('✏️ Send the new release title.');
+    }
+
+    // The current notes as plain text, ready to copy and edit
+    await ctx.reply('✏️ Send the new release notes. Markdown works. The current notes follow:');
+    await ctx.reply(truncate(action.data.body || '(empty)', 4000));
+});
+
+function releaseTextHandler(field) {
+    return async (ctx, text, { token, message }) => {
+        const action = getReleaseAction(ctx, token);
+
+        if (!action) {
+            return ctx.reply(RELEASE_EXPIRED);
+        }
+
+        try {
+            const updated = await updateRelease(ctx, action, { [field]: text.trim() });
+            if (!updated) return;
+
+            await showReleaseDraft(ctx, action, token, message);
+        } catch (error) {
+            await ctx.reply(
+                `❌ *Error updating release*\n\n` +
+                `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+                { parse_mode: 'Markdown' }
+            );
+        }
+    };
+}
+
+inputHandlers.release_notes = releaseTextHandler('body');
+inputHandlers.release_name = releaseTextHandler('name');
+
+bot.action(/^rl_assets_([\w-]+)$/, async (ctx) => {
+    const token = ctx.match[1];
+    const action = getReleaseAction(ctx, token);
+
+    if (!action) {
+        return ctx.answerCbQuery(RELEASE_EXPIRED, { show_alert: true });
+    }
+
+    await ctx.answerCbQuery();
+    awaitInput(ctx.from.id.toString(), 'release_assets', { token, message: ctx.callbackQuery.message });
+    await ctx.reply(
+        `📎 Send the files to attach as documents. Each one is uploaded as it arrives, ` +
+        `up to ${formatBytes(MAX_TELEGRAM_DOWNLOAD_SIZE)} per file.\n\n` +
+        `Send /done when you're finished.`
+    );
+});
+
+// Files sent while a release is waiting for assets
+async function attachReleaseAsset(ctx, file, { token, message }) {
+    const telegramId = ctx.from.id.toString();
+    const action = getReleaseAction(ctx, token);
+
+    if (!action) {
+        awaitingInputs.delete(telegramId);
+        return ctx.reply(RELEASE_EXPIRED);
+    }
+
+    // Keep collecting until /done
+    awaitInput(telegramId, 'release_assets', { token, message });
+
+    if (file.size > MAX_TELEGRAM_DOWNLOAD_SIZE) {
+        return ctx.reply(`❌ ${file.name} is ${formatBytes(file.size)}. Bots can only download files up to ${formatBytes(MAX_TELEGRAM_DOWNLOAD_SIZE)}.`);
+    }
+
+    try {
+        const github = await releaseClient(ctx, action);
+        if (!github) return;
+
+        const buffer = await downloadTelegramFile(ctx.telegram, file.fileId);
+        // upload_url is a URI template ending in {?name,label}
+        const response = await github.post(action.data.uploadUrl.replace(/\{.*\}$/, ''), buffer, {
+            params: { name: file.name },
+            headers: { 'Content-Type': 'application/octet-stream' },
+            maxBodyLength: Infinity
+        });
+
+        action.data.assets.push({ name: response.data.name, size: response.data.size });
+        await ctx.reply(`📎 Attached ${response.data.name}.`);
+        await showReleaseDraft(ctx, action, token, message);
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error attaching ${escapeMarkdown(file.name)}*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+}
+
+documentInputHandlers.release_assets = attachReleaseAsset;
+
+inputHandlers.release_assets = async (ctx, text, data) => {
+    awaitInput(ctx.from.id.toString(), 'release_assets', data);
+    await ctx.reply('📎 Send the files as documents, or /done when you\'re finished.');
+};
+
+bot.command('done', async (ctx) => {
+    const telegramId = ctx.from.id.toString();
+    const input = awaitingInputs.get(telegramId);
+
+    if (!input || input.type !== 'release_assets') {
+        return ctx.reply('ℹ️ Nothing to finish.');
+    }
+
+    awaitingInputs.delete(telegramId);
+    const action = getReleaseAction(ctx, input.data.token);
+    if (!action) {
+        return ctx.reply(RELEASE_EXPIRED);
+    }
+
+    await showReleaseDraft(ctx, action, input.data.token);
+});
+
+bot.action(/^rl_pub_([\w-]+)$/, async (ctx) => {
+    const token = ctx.match[1];
+    const action = getReleaseAction(ctx, token);
+
+    if (!action) {
+        return ctx.answerCbQuery(RELEASE_EXPIRED, { show_alert: true });
+    }
+
+    // Consume the token up front so a double tap can't publish twice
+    pendingActions.delete(token);
+    await ctx.answerCbQuery('⏳ Publishing...');
+
+    try {
+        const github = await releaseClient(ctx, action);
+        if (!github) return;
+
+        const { owner, repo, releaseId, tag, name, assets } = action.data;
+        const response = await github.patch(`/repos/${owner}/${repo}/releases/${releaseId}`, { draft: false });
+
+        await editOrIgnore(ctx,
+            `🚀 *Release Published*\n\n` +
+            `Repository: \`${owner}/${repo}\`\n` +
+            `Tag: \`${tag}\`\n` +
+            `Title: ${escapeMarkdown(name)}` +
+            (assets.length > 0 ? `\nAssets: ${assets.length}` : ''),
+            {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([[Markup.button.url('🔗 View Release', response.data.html_url)]])
+            }
+        );
+    } catch (error) {
+        // The draft is unchanged, so it can be published again
+        pendingActions.set(token, action);
+        await ctx.reply(
+            `❌ *Error publishing release*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+bot.action(/^rl_del_([\w-]+)$/, async (ctx) => {
+    const token = ctx.match[1];
+    const action = getReleaseAction(ctx, token);
+
+    if (!action) {
+        return ctx.answerCbQuery(RELEASE_EXPIRED, { show_alert: true });
+    }
+
+    pendingActions.delete(token);
+    await ctx.answerCbQuery('Discarding...');
+
+    try {
+        const github = await releaseClient(ctx, action);
+        if (!github) return;
+
+        const { owner, repo, releaseId } = action.data;
+        await github.delete(`/repos/${owner}/${repo}/releases/${releaseId}`);
+        await editOrIgnore(ctx, '🗑️ Release draft discarded.');
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error discarding release*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+// Gist callbacks
+function gistMenuAction(handler) {
+    return async (ctx) => {
+        const menu = gistMenus.get(ctx.callbackQuery.message);
+
+        if (!menu || menu.telegramId !== ctx.from.id.toString()) {
+            return ctx.answerCbQuery('⌛ This menu has expired. Run /gists again.', { show_alert: true });
+        }
+
+        try {
+            const user = await loadUser(menu.telegramId, menu.accountId);
+            if (!user || !user.githubAccessToken) {
+                return ctx.answerCbQuery(await translateFor(ctx, 'error.connect'), { show_alert: true });
+            }
+            await handler(ctx, menu, user.githubAccessToken);
+        } catch (error) {
+            const message = `❌ ${gistErrorMessage(error)}`;
+            await ctx.answerCbQuery(message.slice(0, 200), { show_alert: true })
+                .catch(() => ctx.reply(message));
+        }
+    };
+}
+
+async function showGists(ctx, menu) {
+    const { text, extra } = renderGists(menu);
+    await editOrIgnore(ctx, text, extra);
+}
+
+async function showGistDetails(ctx, menu) {
+    const { text, extra } = renderGistDetails(menu);
+    await editOrIgnore(ctx, text, extra);
+}
+
+bot.action(/^gi_p_(\d+)$/, gistMenuAction(async (ctx, menu, token) => {
+    await ctx.answerCbQuery();
+    menu.page = Number(ctx.match[1]);
+    await loadGists(token, menu);
+    await showGists(ctx, menu);
+}));
+
+bot.action('gi_refresh', gistMenuAction(async (ctx, menu, token) => {
+    await ctx.answerCbQuery('🔄 Refreshing...');
+    await loadGists(token, menu);
+    await showGists(ctx, menu);
+}));
+
+bot.action('gi_back', gistMenuAction(async (ctx, menu, token) => {
+    await ctx.answerCbQuery();
+    menu.selected = null;
+    await loadGists(token, menu);
+    await showGists(ctx, menu);
+}));
+
+bot.action(/^gi_o_(\d+)$/, gistMenuAction(async (ctx, menu, token) => {
+    const gist = menu.gists[Number(ctx.match[1])];
+
+    if (!gist) {
+        return ctx.answerCbQuery('❌ Gist not found. Try refreshing.', { show_alert: true });
+    }
+
+    await ctx.answerCbQuery();
+    await loadGistDetails(token, menu, gist.id);
+    await showGistDetails(ctx, menu);
+}));
+
+bot.action(/^gi_f_(\d+)$/, gistMenuAction(async (ctx, menu) => {
+    const file = menu.selected?.files[Number(ctx.match[1])];
+    if (!file) return ctx.answerCbQuery('❌ File not found. Try refreshing.', { show_alert: true });
+
+    await ctx.answerCbQuery();
+
+    const sendLink = () => ctx.reply(
+        `📄 ${file.filename} is ${formatBytes(file.size)}, too large to send here.`,
+        Markup.inlineKeyboard([[Markup.button.url('🔗 Open Raw File', file.raw_url)]])
+    );
+
+    // Large files come back truncated and have to be fetched from raw_url
+    let content;
+    if (!file.truncated) {
+        content = Buffer.from(file.content || '', 'utf8');
+    } else if (file.size > MAX_GIST_DOWNLOAD_SIZE) {
+        return sendLink();
+    } else {
+        try {
+            const response = await axios.get(file.raw_url, {
+                responseType: 'arraybuffer',
+                timeout: GIST_DOWNLOAD_TIMEOUT,
+                maxContentLength: MAX_GIST_DOWNLOAD_SIZE
+            });
+            content = Buffer.from(response.data);
+        } catch (error) {
+            console.error('Error downloading gist file:', error.message);
+            return sendLink();
+        }
+    }
+
+    const message = `📄 <b>${escapeHtml(file.filename)}</b>\n\n<pre>${escapeHtml(content.toString('utf8')) || ' '}</pre>`;
+    if (content.length <= MAX_INLINE_FILE_SIZE && message.length <= 4096) {
+        return ctx.reply(message, { parse_mode: 'HTML' });
+    }
+
+    await ctx.replyWithDocument(
+        { source: content, filename: file.filename },
+        { caption: `📄 ${file.filename} · ${formatBytes(content.length)}` }
+    );
+}));
+
+bot.action(/^gi_u_(\d+)$/, gistMenuAction(async (ctx, menu) => {
+    const file = menu.selected?.files[Number(ctx.match[1])];
+    if (!file) return ctx.answerCbQuery('❌ File not found. Try refreshing.', { show_alert: true });
+
+    await ctx.answerCbQuery();
+    awaitInput(ctx.from.id.toString(), 'gist_update', {
+        filename: file.filename,
+        message: ctx.callbackQuery.message
+    });
+    await ctx.reply(
+        `✏️ Send the new content for \`${file.filename}\` as a message or a document. It replaces the whole file.`,
+        { parse_mode: 'Markdown' }
+    );
+}));
+
+// Replaces one file of the gist shown in the given menu message
+async function updateGistFile(ctx, { filename, message }, content) {
+    const menu = gistMenus.get(message);
+
+    if (!menu || !menu.selected) {
+        return ctx.reply('⌛ This gist view has expired. Run /gists again.');
+    }
+
+    const user = await getConnectedUser(ctx, menu.accountId);
+    if (!user) return;
+
+    try {
+        const { id } = menu.selected.gist;
+        await githubClient(user.githubAccessToken).patch(`/gists/${id}`, {
+            files: { [filename]: { content } }
+        });
+
+        await ctx.reply(`✅ Updated \`${filename}\`.`, { parse_mode: 'Markdown' });
+
+        await loadGistDetails(user.githubAccessToken, menu, id);
+        const { text, extra } = renderGistDetails(menu);
+        await ctx.telegram.editMessageText(message.chat.id, message.message_id, undefined, text, extra)
+            .catch(() => {});
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error updating gist*\n\n` +
+            `Error: ${escapeMarkdown(gistErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+}
+
+inputHandlers.gist_update = (ctx, text, data) => updateGistFile(ctx, data, text);
+
+documentInputHandlers.gist_update = async (ctx, file, data) => {
+    if (file.size > MAX_GIST_FILE_SIZE) {
+        return ctx.reply(`❌ ${file.name} is ${formatBytes(file.size)}. Gists from Telegram are limited to ${formatBytes(MAX_GIST_FILE_SIZE)}.`);
+    }
+
+    const buffer = await downloadTelegramFile(ctx.telegram, file.fileId);
+    if (!isTextBuffer(buffer)) {
+        return ctx.reply(`❌ ${file.name} is binary. Gists can only hold text.`);
+    }
+
+    await updateGistFile(ctx, data, buffer.toString('utf8'));
+};
+
+bot.action('gi_star', gistMenuAction(async (ctx, menu, token) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    const { gist, starred } = menu.selected;
+    const github = githubClient(token);
+    await (starred ? github.delete(`/gists/${gist.id}/star`) : github.put(`/gists/${gist.id}/star`));
+
+    menu.selected.starred = !starred;
+    await ctx.answerCbQuery(starred ? 'Unstarred' : '⭐ Starred');
+    await showGistDetails(ctx, menu);
+}));
+
+bot.action('gi_del', gistMenuAction(async (ctx, menu) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery();
+    const { gist, files } = menu.selected;
+    await editOrIgnore(ctx,
+        `⚠️ *Delete this gist?*\n\n` +
+        `${escapeMarkdown(gist.description || 'No description')}\n` +
+        `${files.length} file${files.length === 1 ? '' : 's'} will be deleted. This cannot be undone.`,
+        {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([[
+                Markup.button.callback('✅ Delete', 'gi_delok'),
+                Markup.button.callback('❌ Cancel', 'gi_detail')
+            ]])
+        }
+    );
+}));
+
+bot.action('gi_detail', gistMenuAction(async (ctx, menu) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    await ctx.answerCbQuery();
+    await showGistDetails(ctx, menu);
+}));
+
+bot.action('gi_delok', gistMenuAction(async (ctx, menu, token) => {
+    if (!menu.selected) return ctx.answerCbQuery();
+
+    await githubClient(token).delete(`/gists/${menu.selected.gist.id}`);
+    await ctx.answerCbQuery('🗑️ Gist deleted');
+
+    menu.selected = null;
+    await loadGists(token, menu);
+    await showGists(ctx, menu);
+}));
+
+// Admin callbacks
+bot.action('adm_stats', adminAction(async (ctx) => {
+    try {
+        await ctx.answerCbQuery();
+        const { text, extra } = renderStats(await collectMetrics());
+        await editOrIgnore(ctx, text, extra);
+    } catch (error) {
+        await ctx.reply(`❌ Error loading statistics: ${error.message}`);
+    }
+}));
+
+bot.action(/^adm_bc_(ok|no)_(.+)$/, adminAction(async (ctx) => {
+    const [, choice, token] = ctx.match;
+    const action = getPendingAction(token, ctx.from.id.toString(), 'broadcast');
+    
+    if (!action) {
+        await ctx.answerCbQuery('⌛ This broadcast has expired. Run /broadcast again.', { show_alert: true });
+        return ctx.editMessageReplyMarkup(undefined).catch(() => {});
+    }
+    if (choice === 'ok' && activeBroadcast) {
+        return ctx.answerCbQuery(`⏳ Another broadcast is being sent (${broadcastProgress()}).`, { show_alert: true });
+    }
+    
+    // Consumed before sending so a double tap can't send it twice
+    pendingActions.delete(token);
+    await ctx.answerCbQuery();
+    
+    if (choice === 'no') {
+        return editOrIgnore(ctx, '❌ Broadcast cancelled.');
+    }
+    
+    await editOrIgnore(ctx, '📣 Sending the broadcast… You\'ll get a report when it\'s done.');
+    runBroadcast(ctx.chat.id, action.data).catch(async (error) => {
+        console.error('Broadcast error:', error);
+        await bot.telegram.sendMessage(ctx.chat.id, `❌ Broadcast stopped: ${error.message}`).catch(() => {});
+    });
+}));
+
+// Admin user view: refresh, ban and unban
+bot.action(/^adm_(user|ban|unban)_(\d+)$/, adminAction(async (ctx) => {
+    const [, change, telegramId] = ctx.match;
+    
+    try {
+        if (change !== 'user') {
+            if (isAdmin(telegramId)) {
+                return ctx.answerCbQuery('🚫 Admins can\'t be banned.', { show_alert: true });
+            }
+            
+            await User.updateOne({ telegramId }, change === 'ban'
+                ? { isBanned: true, bannedAt: new Date() }
+                : { isBanned: false, $unset: { bannedAt: 1 } });
+            await invalidateUserCache(telegramId);
+            awaitingInputs.delete(telegramId);
+        }
+        
+        const user = await User.findOne({ telegramId });
+        if (!user) {
+            return ctx.answerCbQuery('❌ This user no longer exists.', { show_alert: true });
+        }
+        
+        await ctx.answerCbQuery(change === 'ban' ? '🚫 Banned' : change === 'unban' ? '✅ Unbanned' : '');
+        const { text, extra } = await renderAdminUser(user);
+        await editOrIgnore(ctx, text, extra);
+    } catch (error) {
+        await ctx.reply(`❌ Error updating user: ${error.message}`);
+    }
+}));
+
+// Delete file callbacks
+bot.action(/^del_ok_([\w-]+)$/, async (ctx) => {
+    const token = ctx.match[1];
+    const telegramId = ctx.from.id.toString();
+    const action = getPendingAction(token, telegramId, 'delete_file');
+
+    if (!action) {
+        return ctx.answerCbQuery('⌛ This request has expired. Run /deletefile again.', { show_alert: true });
+    }
+
+    // Consume the token up front so a double tap can't delete twice
+    pendingActions.delete(token);
+    await ctx.answerCbQuery('⏳ Deleting...');
+
+    const { owner, repo, filePath, branch, message } = action.data;
+
+    try {
+        const user = await loadUser(telegramId, action.data.accountId);
+        if (!user || !user.githubAccessToken) {
+            return ctx.reply(await translateFor(ctx, 'error.connect'));
+        }
+
+        const github = githubClient(user.githubAccessToken);
+        const contentsUrl = `/repos/${owner}/${repo}/contents/${encodeGitHubPath(filePath)}`;
+
+        const fileResponse = await github.get(contentsUrl, { params: branch ? { ref: branch } : {} });
+        if (Array.isArray(fileResponse.data)) {
+            throw new Error(`${filePath} is a directory, not a file`);
+        }
+
+        const response = await github.delete(contentsUrl, {
+            data: {
+                message,
+                sha: fileResponse.data.sha,
+                ...(branch ? { branch } : {})
+            }
+        });
+
+        const commit = response.data.commit;
+
+        await editOrIgnore(ctx,
+            `🗑️ *File Deleted*\n\n` +
+            `Repository: \`${owner}/${repo}\`\n` +
+            `File: \`${filePath}\`\n` +
+            `Commit: \`${commit.sha.slice(0, 7)}\` ${escapeMarkdown(message)}`,
+            {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([
+                    [Markup.button.url('🔗 View Commit', commit.html_url)]
+                ])
+            }
+        );
+
+    } catch (error) {
+        await ctx.reply(
+            `❌ *Error deleting file*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+});
+
+bot.action(/^del_msg_([\w-]+)$/, async (ctx) => {
+    const token = ctx.match[1];
+    const telegramId = ctx.from.id.toString();
+
+    if (!getPendingAction(token, telegramId, 'delete_file')) {
+        return ctx.answerCbQuery('⌛ This request has expired. Run /deletefile again.', { show_alert: true });
+    }
+
+    await ctx.answerCbQuery();
+    awaitInput(telegramId, 'delete_commit_message', { token });
+    await ctx.reply('✏️ Send the commit message to use for this deletion.');
+});
+
+inputHandlers.delete_commit_message = async (ctx, text, { token }) => {
+    const action = getPendingAction(token, ctx.from.id.toString(), 'delete_file');
+
+    if (!action) {
+        return ctx.reply('⌛ This request has expired. Run /deletefile again.');
+    }
+
+    if (!text.trim()) {
+        awaitInput(ctx.from.id.toString(), 'delete_commit_message', { token });
+        return ctx.reply('❌ The commit message can\'t be empty. Send the commit message to use.');
+    }
+
+    action.data.message = text.trim();
+
+    const { text: confirmation, extra } = renderDeleteConfirmation(action, token);
+    await ctx.reply(confirmation, extra);
+};
+
+bot.action(/^del_no_([\w-]+)$/, cancelPendingAction('delete_file', '❌ File deletion cancelled.'));
+
+// Buttons sent before confirmation tokens existed
+bot.action('cancel_delete', async (ctx) => {
+    await ctx.answerCbQuery('Cancelled');
+    await editOrIgnore(ctx, '❌ File deletion cancelled.');
+});
+
+bot.action(/^delete_confirm_/, async (ctx) => {
+    await ctx.answerCbQuery('⌛ This request has expired. Run /deletefile again.', { show_alert: true });
+});
+
+// File uploads from Telegram documents and photos
+const MAX_TELEGRAM_DOWNLOAD_SIZE = 20 * 1024 * 1024;
+const MEDIA_GROUP_DELAY = 1500;
+const UPLOAD_REPO_CHOICES = 6;
+
+// Media group messages arrive as separate updates, so they are collected
+// briefly and uploaded together
+const mediaGroups = new Map();
+
+// In groups the bot only picks up files sent as a reply to one of its
+// messages, not every photo or document members share
+function isMediaForBot(ctx) {
+    return !isGroupChat(ctx.chat) || ctx.message.reply_to_message?.from?.id === ctx.botInfo.id;
+}
+
+function collectUploadFile(ctx, file) {
+    const groupId = ctx.message.media_group_id;
+
+    if (!groupId) {
+        return startUpload(ctx, [file]);
+    }
+
+    const group = mediaGroups.get(groupId) || { files: [] };
+    clearTimeout(group.timer);
+    group.files.push(file);
+    group.timer = setTimeout(() => {
+        mediaGroups.delete(groupId);
+        startUpload(ctx, group.files).catch(error => {
+            console.error('Error starting upload:', error);
+        });
+    }, MEDIA_GROUP_DELAY);
+    mediaGroups.set(groupId, group);
+}
+
+async function startUpload(ctx, files) {
+    const tooLarge = files.filter(file => file.size > MAX_TELEGRAM_DOWNLOAD_SIZE);
+
+    if (tooLarge.length > 0) {
+        return ctx.reply(
+            `❌ *File too large*\n\n` +
+            `Bots can only download files up to ${formatBytes(MAX_TELEGRAM_DOWNLOAD_SIZE)}:\n` +
+            tooLarge.map(file => `• ${escapeMarkdown(file.name)} (${formatBytes(file.size)})`).join('\n'),
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    // In a group, files can only go to the group's bound repositories
+    let allowedRepos;
+    if (isGroupChat(ctx.chat)) {
+        const binding = await GroupBinding.findOne({ chatId: ctx.chat.id.toString() });
+        if (!binding || binding.repos.length === 0) {
+            return ctx.reply('ℹ️ This group isn\'t bound to a repository yet. A group admin can run /bind owner/repo.');
+        }
+        allowedRepos = binding.repos;
+    }
+
+    const user = await getConnectedUser(ctx);
+    if (!user) return;
+
+    const token = createPendingAction(ctx.from.id.toString(), 'upload', {
+        files,
+        allowedRepos,
+        message: files.length === 1 ? `Upload ${files[0].name}` : `Upload ${files.length} files`
+    });
+
+    await promptUploadRepo(ctx, token, user);
+}
+
+// The repositories offered are kept with the upload, so the buttons still
+// mean the same repository after the user's list is refreshed
+async function promptUploadRepo(ctx, token, user) {
+    const action = pendingActions.get(token);
+    action.data.choices = (action.data.allowedRepos || (user.repositories || []).map(repo => repo.full_name))
+        .slice(0, pageSizeFor(user, UPLOAD_REPO_CHOICES));
+
+    const rows = action.data.choices.map((fullName, index) => [
+        Markup.button.callback(`📦 ${fullName}`, `up_repo_${index}_${token}`)
+    ]);
+    rows.push([Markup.button.callback('❌ Cancel', `up_no_${token}`)]);
+
+    const { files } = action.data;
+    awaitInput(ctx.from.id.toString(), 'upload_repo', { token });
+
+    await ctx.reply(
+        `📤 *Upload ${files.length === 1 ? 'File' : `${files.length} Files`}*\n\n` +
+        files.map(file => `• ${escapeMarkdown(file.name)} (${formatBytes(file.size)})`).join('\n') + `\n\n` +
+        `Which repository should ${files.length === 1 ? 'it' : 'they'} go to?\n` +
+        `Tap one below or send \`owner/repo\`.`,
+        { parse_mode: 'Markdown', ...Markup.inlineKeyboard(rows) }
+    );
+}
+
+async function selectUploadRepo(ctx, token, repoPath) {
+    const telegramId = ctx.from.id.toString();
+    const action = getPendingAction(token, telegramId, 'upload');
+
+    if (!action) {
+        return ctx.reply('⌛ This upload has expired. Please send the file again.');
+    }
+
+    const target = parseRepoPath(repoPath);
+    if (!target) {
+        awaitInput(telegramId, 'upload_repo', { token });
+        return ctx.reply('❌ Please send the repository as `owner/repo`.', { parse_mode: 'Markdown' });
+    }
+
+    const { allowedRepos } = action.data;
+    if (allowedRepos && !allowedRepos.includes(`${target.owner}/${target.repo}`.toLowerCase())) {
+        awaitInput(telegramId, 'upload_repo', { token });
+        return ctx.reply(`🚫 ${target.owner}/${target.repo} isn't bound to this group.\n\nBound: ${allowedRepos.join(', ')}`);
+    }
+
+    const user = await getConnectedUser(ctx);
+    if (!user) return;
+
+    try {
+        const github = githubClient(user.githubAccessToken);
+        const response = await github.get(`/repos/${target.owner}/${target.repo}`);
+
+        if (!response.data.permissions?.push) {
+            awaitInput(telegramId, 'upload_repo', { token });
+            return ctx.reply(`❌ You don't have write access to ${response.data.full_name}. Send another repository.`);
+        }
+
+        action.data.owner = target.owner;
+        action.data.repo = target.repo;
+        action.data.defaultBranch = await resolveBranch(github, user, target.owner, target.repo, response.data.default_branch);
+    } catch (error) {
+        awaitInput(telegramId, 'upload_repo', { token });
+        return ctx.reply(`❌ ${githubErrorMessage(error)}. Send another repository.`);
+    }
+
+    awaitInput(telegramId, 'upload_path', { token });
+    await ctx.reply(
+        `📂 *Target folder*\n\n` +
+        `Send the folder inside \`${action.data.owner}/${action.data.repo}\` to upload into, ` +
+        `e.g. \`docs/images\`.`,
+        {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                [Markup.button.callback('📂 Repository root', `up_root_${token}`)],
+                [Markup.button.callback('❌ Cancel', `up_no_${token}`)]
+            ])
+        }
+    );
+}
+
+async function selectUploadPath(ctx, token, folder) {
+    const telegramId = ctx.from.id.toString();
+    const action = getPendingAction(token, telegramId, 'upload');
+
+    if (!action) {
+        return ctx.reply('⌛ This upload has expired. Please send the file again.');
+    }
+
+    action.data.folder = folder.trim().replace(/^\/+|\/+$/g, '');
+
+    awaitInput(telegramId, 'upload_branch', { token });
+    await ctx.reply(
+        `🌿 *Target branch*\n\n` +
+        `Tap the default branch or send another branch name.`,
+        {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                [Markup.button.callback(`🌿 ${action.data.defaultBranch}`, `up_br_${token}`)],
+                [Markup.button.callback('❌ Cancel', `up_no_${token}`)]
+            ])
+        }
+    );
+}
+
+async function selectUploadBranch(ctx, token, branch) {
+    const action = getPendingAction(token, ctx.from.id.toString(), 'upload');
+
+    if (!action) {
+        return ctx.reply('⌛ This upload has expired. Please send the file again.');
+    }
+
+    action.data.branch = branch.trim();
+    awaitingInputs.delete(ctx.from.id.toString());
+
+    const { text, extra } = renderUploadConfirmation(action, token);
+    await ctx.reply(text, extra);
+}
+
+function uploadFilePath(folder, name) {
+    return folder ? `${folder}/${name}` : name;
+}
+
+function renderUploadConfirmation(action, token) {
+    const { owner, repo, branch, folder, files, message } = action.data;
+
+    return {
+        text: `📤 *Ready to Upload*\n\n` +
+            `Repository: \`${owner}/${repo}\`\n` +
+            `Branch: \`${branch}\`\n` +
+            `Files:\n` +
+            files.map(file => `• \`${uploadFilePath(folder, file.name)}\``).join('\n') + `\n\n` +
+            `Commit message: ${escapeMarkdown(message)}\n\n` +
+            `Existing files with the same path will be updated.`,
+        extra: {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                [
+                    Markup.button.callback('✅ Commit', `up_ok_${token}`),
+                    Markup.button.callback('❌ Cancel', `up_no_${token}`)
+                ],
+                [Markup.button.callback('✏️ Edit Commit Message', `up_msg_${token}`)]
+            ])
+        }
+    };
+}
+
+async function downloadTelegramFile(telegram, fileId) {
+    const link = await telegram.getFileLink(fileId);
+    const response = await axios.get(link.toString(), { responseType: 'arraybuffer' });
+    return Buffer.from(response.data);
+}
+
+// Creates or updates a single file through the contents API
+async function commitSingleFile(github, { owner, repo, branch, message }, filePath, buffer) {
+    const contentsUrl = `/repos/${owner}/${repo}/contents/${encodeGitHubPath(filePath)}`;
+    let sha;
+
+    try {
+        const existing = await github.get(contentsUrl, { params: { ref: branch } });
+        sha = existing.data.sha;
+    } catch (error) {
+        if (error.response?.status !== 404) throw error;
+    }
+
+    const response = await github.put(contentsUrl, {
+        message,
+        content: buffer.toString('base64'),
+        branch,
+        ...(sha ? { sha } : {})
+    });
+
+    return response.data.commit;
+}
+
+// Commits several files at once through the git data API (blobs, tree, commit, ref)
+async function commitMultipleFiles(github, { owner, repo, branch, message }, files) {
+    const base = `/repos/${owner}/${repo}/git`;
+    const ref = await github.get(`${base}/ref/heads/${encodeGitHubPath(branch)}`);
+    const parentSha = ref.data.object.sha;
+    const parent = await github.get(`${base}/commits/${parentSha}`);
+
+    const tree = [];
+    for (const file of files) {
+        const blob = await github.post(`${base}/blobs`, {
+            content: file.buffer.toString('base64'),
+            encoding: 'base64'
+        });
+        tree.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.data.sha });
+    }
+
+    const newTree = await github.post(`${base}/trees`, {
+        base_tree: parent.data.tree.sha,
+        tree
+    });
+
+    const commit = await github.post(`${base}/commits`, {
+        message,
+        tree: newTree.data.sha,
+        parents: [parentSha]
+    });
+
+    await github.patch(`${base}/refs/heads/${encodeGitHubPath(branch)}`, { sha: commit.data.sha });
+
+    return commit.data;
+}
+
+bot.on('document', async (ctx) => {
+    if (!isMediaForBot(ctx)) return;
+
+    const { document } = ctx.message;
+    const file = {
+        fileId: document.file_id,
+        name: document.file_name || `file_${document.file_unique_id}`,
+        size: document.file_size || 0
+    };
+
+    // "/gist" as the caption turns the document into a gist
+    const gistCommand = /^\/gist(@\w+)?(?:\s+|$)/i.exec(ctx.message.caption || '');
+    if (gistCommand && ctx.chat.type === 'private' && (!gistCommand[1] || gistCommand[1].slice(1).toLowerCase() === ctx.me.toLowerCase())) {
+        return createGistFromMessage(ctx, ctx.message, ctx.message.caption.slice(gistCommand[0].length));
+    }
+
+    // Documents answering a prompt, such as release assets, go to its handler
+    const input = awaitingInputs.get(ctx.from.id.toString());
+    if (input && documentInputHandlers[input.type] && input.expiresAt >= Date.now()) {
+        return documentInputHandlers[input.type](ctx, file, input.data);
+    }
+
+    await collectUploadFile(ctx, file);
+});
+
+bot.on('photo', async (ctx) => {
+    if (!isMediaForBot(ctx)) return;
+
+    // Telegram sends several sizes, the last one is the largest
+    const photo = ctx.message.photo[ctx.message.photo.length - 1];
+
+    await collectUploadFile(ctx, {
+        fileId: photo.file_id,
+        name: `photo_${photo.file_unique_id}.jpg`,
+        size: photo.file_size || 0
+    });
+});
+
+inputHandlers.upload_repo = (ctx, text, { token }) => selectUploadRepo(ctx, token, text);
+inputHandlers.upload_path = (ctx, text, { token }) => selectUploadPath(ctx, token, text);
+inputHandlers.upload_branch = (ctx, text, { token }) => selectUploadBranch(ctx, token, text);
+
+inputHandlers.upload_commit_message = async (ctx, text, { token }) => {
+    const action = getPendingAction(token, ctx.from.id.toString(), 'upload');
+
+    if (!action) {
+        return ctx.reply('⌛ This upload has expired. Please send the file again.');
+    }
+
+    if (!text.trim()) {
+        awaitInput(ctx.from.id.toString(), 'upload_commit_message', { token });
+        return ctx.reply('❌ The commit message can\'t be empty. Send the commit message to use.');
+    }
+
+    action.data.message = text.trim();
+
+    const { text: confirmation, extra } = renderUploadConfirmation(action, token);
+    await ctx.reply(confirmation, extra);
+};
+
+bot.action(/^up_repo_(\d+)_([\w-]+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+
+    const action = getPendingAction(ctx.match[2], ctx.from.id.toString(), 'upload');
+    const fullName = action?.data.choices?.[Number(ctx.match[1])];
+
+    if (!fullName) {
+        return ctx.reply('❌ Repository not found. Send it as `owner/repo` instead.', { parse_mode: 'Markdown' });
+    }
+
+    await selectUploadRepo(ctx, ctx.match[2], fullName);
 });
 
-// Create repo command
-bot.command('createrepo', async (ctx) => {
-    await ctx.reply(
-        `🆕 *Create New Repository*\n\n` +
-        `To create a repository, use:\n\n` +
-        `\`/newrepo [name] [description] [private]\`\n\n` +
-        `*Example:*\n` +
-        `\`/newrepo my-project "My awesome project" private\`\n` +
-        `\`/newrepo open-source "Open source project"\`\n\n` +
-        `Or use the web interface:`,
-        {
-            parse_mode: 'Markdown',
-            ...Markup.inlineKeyboard([
-                [Markup.button.url('🌐 Create on GitHub', 'https://github.com/new')]
-            ])
-        }
-    );
+bot.action(/^up_root_([\w-]+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    await selectUploadPath(ctx, ctx.match[1], '');
 });
 
-// New repo command handler
-bot.command('newrepo', async (ctx) => {
-    const args = ctx.message.text.split(' ').slice(1);
-    
-    if (args.length < 1) {
-        return ctx.reply(
-            `❌ *Usage:*\n` +
-            `\`/newrepo [name] [description] [private]\`\n\n` +
-            `*Example:*\n` +
-            `\`/newrepo my-project "My project" private\``,
-            { parse_mode: 'Markdown' }
-        );
+bot.action(/^up_br_([\w-]+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+
+    const action = getPendingAction(ctx.match[1], ctx.from.id.toString(), 'upload');
+    await selectUploadBranch(ctx, ctx.match[1], action ? action.data.defaultBranch : '');
+});
+
+bot.action(/^up_msg_([\w-]+)$/, async (ctx) => {
+    const token = ctx.match[1];
+    const telegramId = ctx.from.id.toString();
+
+    if (!getPendingAction(token, telegramId, 'upload')) {
+        return ctx.answerCbQuery('⌛ This upload has expired. Please send the file again.', { show_alert: true });
     }
-    
-    const name = args[0];
-    const description = args.slice(1, args.length - (args[args.length - 1] === 'private' ? 1 : 0)).join(' ');
-    const isPrivate = args[args.length - 1] === 'private';
-    
+
+    await ctx.answerCbQuery();
+    awaitInput(telegramId, 'upload_commit_message', { token });
+    await ctx.reply('✏️ Send the commit message to use for this upload.');
+});
+
+bot.action(/^up_no_([\w-]+)$/, cancelPendingAction('upload', '❌ Upload cancelled.', { clearInput: true }));
+
+bot.action(/^up_ok_([\w-]+)$/, async (ctx) => {
+    const token = ctx.match[1];
     const telegramId = ctx.from.id.toString();
-    
+    const action = getPendingAction(token, telegramId, 'upload');
+
+    if (!action) {
+        return ctx.answerCbQuery('⌛ This upload has expired. Please send the file again.', { show_alert: true });
+    }
+
+    pendingActions.delete(token);
+    await ctx.answerCbQuery('⏳ Uploading...');
+
+    const { owner, repo, branch, folder, files, message } = action.data;
+
     try {
         const user = await User.findOne({ telegramId });
-        
         if (!user || !user.githubAccessToken) {
-            return ctx.reply('❌ Please connect GitHub first with /connect');
+            return ctx.reply(await translateFor(ctx, 'error.connect'));
         }
-        
-        await ctx.reply('⏳ Creating repository...');
-        
-        const response = await axios.post(
-            'https://api.github.com/user/repos',
-            {
-                name,
-                description,
-                private: isPrivate,
-                auto_init: true
-            },
-            {
-                headers: {
-                    'Authorization': `token ${user.githubAccessToken}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            }
-        );
-        
-        const repo = response.data;
-        
+
+        await editOrIgnore(ctx, `⏳ Uploading ${files.length} file(s) to ${owner}/${repo}...`);
+
+        const github = githubClient(user.githubAccessToken);
+        const downloaded = [];
+        for (const file of files) {
+            downloaded.push({
+                path: uploadFilePath(folder, file.name),
+                buffer: await downloadTelegramFile(ctx.telegram, file.fileId)
+            });
+        }
+
+        const commit = downloaded.length === 1
+            ? await commitSingleFile(github, action.data, downloaded[0].path, downloaded[0].buffer)
+            : await commitMultipleFiles(github, action.data, downloaded);
+
         await ctx.reply(
-            `✅ *Repository Created!*\n\n` +
-            `*Name:* ${repo.full_name}\n` +
-            `*URL:* ${repo.html_url}\n` +
-            `*Status:* ${repo.private ? '🔒 Private' : '🌐 Public'}\n\n` +
-            `You can now push code to this repository.`,
+            `✅ *Upload Complete*\n\n` +
+            `Repository: \`${owner}/${repo}\`\n` +
+            `Branch: \`${branch}\`\n` +
+            downloaded.map(file => `• \`${file.path}\``).join('\n') + `\n\n` +
+            `Commit: \`${commit.sha.slice(0, 7)}\` ${escapeMarkdown(message)}`,
             {
                 parse_mode: 'Markdown',
                 ...Markup.inlineKeyboard([
-                    [Markup.button.url('🔗 Open Repository', repo.html_url)]
+                    [Markup.button.url('🔗 View Commit', commit.html_url)]
                 ])
             }
         );
-        
+
     } catch (error) {
         await ctx.reply(
-            `❌ *Error creating repository*\n\n` +
-            `Error: ${error.response?.data?.message || error.message}`,
+            `❌ *Error uploading files*\n\n` +
+            `Error: ${escapeMarkdown(githubErrorMessage(error))}`,
             { parse_mode: 'Markdown' }
         );
     }
 });
 
-// Files command
-bot.command('files', async (ctx) => {
-    await ctx.reply(
-        `📁 *Manage Repository Files*\n\n` +
-        `To view files, use:\n\n` +
-        `\`/listfiles [owner]/[repo]\`\n\n` +
-        `*Example:*\n` +
-        `\`/listfiles octocat/Hello-World\`\n\n` +
-        `To delete a file:\n` +
-        `\`/deletefile [owner]/[repo] [file-path]\``,
-        { parse_mode: 'Markdown' }
-    );
-});
+// Free-text replies to prompts (commit messages, wizard answers, ...)
+bot.on('text', async (ctx, next) => {
+    const telegramId = ctx.from.id.toString();
+    const input = awaitingInputs.get(telegramId);
 
-// Delete file command
-bot.command('deletefile', async (ctx) => {
-    const args = ctx.message.text.split(' ').slice(1);
-    
-    if (args.length < 2) {
-        return ctx.reply(
-            `❌ *Usage:*\n` +
-            `\`/deletefile [owner]/[repo] [file-path]\`\n\n` +
-            `*Example:*\n` +
-            `\`/deletefile octocat/Hello-World README.md\``,
-            { parse_mode: 'Markdown' }
-        );
+    if (!input || ctx.message.text.startsWith('/')) {
+        return next();
     }
-    
-    const [repoPath, filePath] = args;
-    
-    await ctx.reply(
-        `⚠️ *Delete File*\n\n` +
-        `Repository: \`${repoPath}\`\n` +
-        `File: \`${filePath}\`\n\n` +
-        `Are you sure you want to delete this file?`,
-        {
-            parse_mode: 'Markdown',
-            ...Markup.inlineKeyboard([
-                [
-                    Markup.button.callback('✅ Yes, Delete', `delete_confirm_${repoPath}_${filePath}`),
-                    Markup.button.callback('❌ Cancel', 'cancel_delete')
-                ]
-            ])
-        }
-    );
+
+    awaitingInputs.delete(telegramId);
+
+    if (input.expiresAt < Date.now()) {
+        return ctx.reply('⌛ That prompt has expired. Please start again.');
+    }
+
+    await inputHandlers[input.type](ctx, ctx.message.text, input.data);
 });
 
-// About command
-bot.command('about', async (ctx) => {
-    await ctx.reply(
-        `🤖 *GitHub Management Bot*\n\n` +
-        `Version: 1.0.0\n` +
-        `Bot: @GitHubmngbot\n\n` +
-        `*Features:*\n` +
-        `• 📚 List & manage repositories\n` +
-        `• 🆕 Create new repositories\n` +
-        `• 📁 File management\n` +
-        `• ✏️ Edit repository details\n` +
-        `• 🔄 Real-time sync\n\n` +
-        `*Developer Contact:*\n` +
-        `🔗 [Portfolio](https://ximanta.onrender.com)\n` +
-        `📧 xiimnta@outlook.com\n\n` +
-        `*GitHub Repository:*\n` +
-        `[github-mng-bot](https://github.com/tukuexe/github-mng-bot)`,
-        {
-            parse_mode: 'Markdown',
-            disable_web_page_preview: true,
-            ...Markup.inlineKeyboard([
-                [Markup.button.url('🌟 Star on GitHub', 'https://github.com/tukuexe/github-mng-bot')],
-                [Markup.button.url('📞 Contact Support', 'https://t.me/tukuexe')]
-            ])
+// Inline mode: "@bot repo:name", "@bot issue:owner/repo query" and
+// "@bot code:query" search GitHub and share the results as cards
+const INLINE_RESULTS_PER_PAGE = 20;
+// The search API stops after 1000 results
+const INLINE_MAX_PAGE = 1000 / INLINE_RESULTS_PER_PAGE;
+// Telegram drops answers that take longer than about 10 seconds
+const INLINE_TIMEOUT = 5000;
+// Each keystroke is a new query; only the one typed last is searched
+const INLINE_DEBOUNCE = 600;
+const INLINE_CACHE_TTL = 5 * 60 * 1000;
+
+// Anonymous searches share the server's search quota, so their results
+// are cached and, once the quota runs out, refused until it resets
+const inlineCache = createCache({ backend: 'memory', maxEntries: 200 });
+const latestInlineQueries = new Map();
+let anonymousSearchResetAt = 0;
+
+function parseInlineQuery(query) {
+    const match = /^(repo|issue|code|gist):\s*(.*)$/i.exec(query.trim());
+    return match
+        ? { type: match[1].toLowerCase(), terms: match[2].trim() }
+        : { type: 'repo', terms: query.trim() };
+}
+
+function repositoryCard(repo) {
+    const text = `📦 <b>${escapeHtml(repo.full_name)}</b>${repo.private ? ' 🔒' : ''}${repo.archived ? ' 🗄️' : ''}\n` +
+        (repo.description ? `${escapeHtml(truncate(repo.description, 300))}\n` : '') +
+        `\n⭐ ${repo.stargazers_count} · 🍴 ${repo.forks_count} · 🐛 ${repo.open_issues_count} open` +
+        (repo.language ? ` · 💻 ${escapeHtml(repo.language)}` : '') +
+        `\n🕒 Updated ${formatDate(repo.updated_at)}`;
+
+    return {
+        type: 'article',
+        // Cached repository lists don't keep the numeric id
+        id: `repo_${repo.id || repo.full_name}`.slice(0, 64),
+        title: `${repo.full_name}${repo.private ? ' 🔒' : ''}`,
+        description: `⭐ ${repo.stargazers_count} · 🍴 ${repo.forks_count}` +
+            `${repo.description ? ` · ${truncate(repo.description, 80)}` : ''}`,
+        thumbnail_url: repo.owner?.avatar_url,
+        url: repo.html_url,
+        input_message_content: { message_text: text, parse_mode: 'HTML', disable_web_page_preview: true },
+        ...Markup.inlineKeyboard([[Markup.button.url('🔗 Open on GitHub', repo.html_url)]])
+    };
+}
+
+function issueState(issue) {
+    if (issue.pull_request) {
+        if (issue.pull_request.merged_at) return { icon: '🟣', label: 'merged' };
+        return issue.state === 'open' ? { icon: '🔀', label: 'open' } : { icon: '🔴', label: 'closed' };
+    }
+    return issue.state === 'open' ? { icon: '🟢', label: 'open' } : { icon: '✅', label: 'closed' };
+}
+
+function issueCard(issue) {
+    const repo = issue.repository_url.split('/').slice(-2).join('/');
+    const kind = issue.pull_request ? 'PR' : 'Issue';
+    const state = issueState(issue);
+    const labels = issue.labels.map(label => label.name);
+
+    const text = `${state.icon} <b>${kind} #${issue.number}</b> · ${state.label}\n` +
+        `<b>${escapeHtml(truncate(issue.title, 200))}</b>\n\n` +
+        `📦 ${escapeHtml(repo)} · 👤 ${escapeHtml(issue.user.login)} · 💬 ${issue.comments}` +
+        (labels.length > 0 ? `\n🏷️ ${escapeHtml(labels.join(', '))}` : '') +
+        `\n🕒 Opened ${formatDate(issue.created_at)}`;
+
+    return {
+        type: 'article',
+        id: `issue_${issue.id}`,
+        title: `${state.icon} #${issue.number} ${issue.title}`,
+        description: `${repo} · ${kind} ${state.label} · by ${issue.user.login}`,
+        url: issue.html_url,
+        input_message_content: { message_text: text, parse_mode: 'HTML', disable_web_page_preview: true },
+        ...Markup.inlineKeyboard([[Markup.button.url('🔗 Open on GitHub', issue.html_url)]])
+    };
+}
+
+function codeCard(item) {
+    const fragment = item.text_matches?.[0]?.fragment;
+    const text = `📄 <b>${escapeHtml(item.path)}</b>\n` +
+        `📦 ${escapeHtml(item.repository.full_name)}` +
+        (fragment ? `\n\n<pre>${escapeHtml(truncate(fragment, 600))}</pre>` : '');
+
+    return {
+        type: 'article',
+        id: `code_${item.sha}_${item.repository.id}`.slice(0, 64),
+        title: item.path,
+        description: item.repository.full_name + (fragment ? ` · ${truncate(fragment.replace(/\s+/g, ' '), 80)}` : ''),
+        thumbnail_url: item.repository.owner?.avatar_url,
+        url: item.html_url,
+        input_message_content: { message_text: text, parse_mode: 'HTML', disable_web_page_preview: true },
+        ...Markup.inlineKeyboard([[Markup.button.url('🔗 Open on GitHub', item.html_url)]])
+    };
+}
+
+function gistCard(gist) {
+    const files = Object.values(gist.files);
+    const text = `📝 <b>${escapeHtml(gist.description || files[0]?.filename || 'Gist')}</b>\n` +
+        `${gist.public ? '🌐 Public' : '🔒 Secret'} gist by ${escapeHtml(gist.owner?.login || 'anonymous')}\n\n` +
+        files.slice(0, 10).map(file => `📄 ${escapeHtml(file.filename)}${file.language ? ` · ${escapeHtml(file.language)}` : ''}`).join('\n');
+
+    return {
+        type: 'article',
+        id: `gist_${gist.id}`.slice(0, 64),
+        title: gist.description || files[0]?.filename || gist.id,
+        description: `${gist.public ? 'Public' : 'Secret'} · ${files.map(file => file.filename).join(', ')}`,
+        thumbnail_url: gist.owner?.avatar_url,
+        url: gist.html_url,
+        input_message_content: { message_text: text, parse_mode: 'HTML', disable_web_page_preview: true },
+        ...Markup.inlineKeyboard([[Markup.button.url('🔗 Open Gist', gist.html_url)]])
+    };
+}
+
+// A result that can't be sent anywhere useful, used for hints and errors
+function inlineNotice(id, title, description) {
+    return {
+        type: 'article',
+        id,
+        title,
+        description,
+        input_message_content: { message_text: `${title}\n\n${description}` }
+    };
+}
+
+async function searchInline(github, { type, terms }, page) {
+    const params = { per_page: INLINE_RESULTS_PER_PAGE, page };
+
+    switch (type) {
+        case 'issue': {
+            // "owner/repo query" searches one repository
+            const [first, ...rest] = terms.split(/\s+/);
+            const target = parseRepoPath(first);
+            const q = target ? `repo:${target.owner}/${target.repo} ${rest.join(' ')}` : terms;
+            const response = await github.get('/search/issues', { params: { ...params, q: q.trim() } });
+            return { total: response.data.total_count, results: response.data.items.map(issueCard) };
         }
-    );
-});
 
-// Help command
-bot.command('help', async (ctx) => {
-    const commands = [
-        '/start - Start the bot',
-        '/connect - Connect GitHub account',
-        '/repos - List your repositories',
-        '/createrepo - Create new repository',
-        '/newrepo [name] [desc] - Create repo',
-        '/files - File management',
-        '/listfiles [repo] - List files',
-        '/deletefile [repo] [file] - Delete file',
-        '/about - About this bot',
-        '/help - Show this help'
-    ];
-    
-    await ctx.reply(
-        `🆘 *Available Commands:*\n\n${commands.join('\n')}\n\n` +
-        `*Need Help?*\n` +
-        `Contact: @tukuexe\n\n` +
-        `*GitHub API Status:* [status.github.com](https://www.githubstatus.com/)`,
-        {
-            parse_mode: 'Markdown',
-            disable_web_page_preview: true
+        case 'gist': {
+            // Shared from /gists as "gist:<id>"; otherwise a filter over your own gists
+            if (/^([\da-f]{20,32}|\d+)$/i.test(terms)) {
+                const response = await github.get(`/gists/${terms}`);
+                return { total: 1, results: [gistCard(response.data)] };
+            }
+
+            const response = await github.get('/gists', { params });
+            const needle = terms.toLowerCase();
+            const gists = response.data.filter(gist => [gist.description || '', ...Object.keys(gist.files)]
+                .some(value => value.toLowerCase().includes(needle)));
+            return { total: response.data.length === INLINE_RESULTS_PER_PAGE ? Infinity : 0, results: gists.map(gistCard) };
         }
-    );
-});
 
-// Callback query handlers
-bot.action('check_agreement', async (ctx) => {
-    await ctx.answerCbQuery();
-    const telegramId = ctx.from.id.toString();
-    
-    try {
-        const response = await axios.get(`${process.env.FRONTEND_URL}/api/user/${telegramId}`);
-        const user = response.data;
-        
-        if (user && user.isAgreed) {
-            await ctx.reply('✅ *Agreement confirmed!*\n\nNow let\'s connect your GitHub account.', {
-                parse_mode: 'Markdown'
+        case 'code': {
+            const response = await github.get('/search/code', {
+                params: { ...params, q: terms },
+                headers: { 'Accept': 'application/vnd.github.text-match+json' }
             });
-            await sendConnectPrompt(ctx);
-        } else {
-            await ctx.reply('❌ You haven\'t agreed yet. Please click the link and agree first.');
+            return { total: response.data.total_count, results: response.data.items.map(codeCard) };
+        }
+
+        default: {
+            const response = await github.get('/search/repositories', { params: { ...params, q: terms } });
+            return { total: response.data.total_count, results: response.data.items.map(repositoryCard) };
         }
-    } catch (error) {
-        await ctx.reply('❌ Error checking agreement. Please try again.');
     }
-});
+}
 
-bot.action('connect_github', async (ctx) => {
-    await ctx.answerCbQuery();
-    const telegramId = ctx.from.id.toString();
-    const authUrl = `${process.env.FRONTEND_URL}/auth/github?telegramId=${telegramId}`;
-    
-    await ctx.reply(
-        `Click the link to authorize:\n${authUrl}`,
-        Markup.inlineKeyboard([
-            [Markup.button.url('🔗 Authorize', authUrl)],
-            [Markup.button.callback('✅ Done', 'check_github_connection')]
-        ])
-    );
-});
+bot.on('inline_query', async (ctx) => {
+    const { query, offset } = ctx.inlineQuery;
+    const search = parseInlineQuery(query);
+    const page = Number(offset) || 1;
+
+    const user = await loadUser(ctx.from.id.toString()).catch(() => null);
+    const token = user?.githubAccessToken;
+    // Personal results mustn't be served to other users from Telegram's cache
+    const extra = token
+        ? { is_personal: true, cache_time: 30 }
+        : {
+            cache_time: 300,
+            button: { text: '🔗 Connect GitHub to include private results', start_parameter: 'connect' }
+        };
 
-bot.action('check_github_connection', async (ctx) => {
-    await ctx.answerCbQuery('Checking...');
-    const telegramId = ctx.from.id.toString();
-    
     try {
-        const user = await User.findOne({ telegramId });
-        
-        if (user && user.githubAccessToken) {
-            await ctx.reply(
-                `✅ *GitHub Connected!*\n\n` +
-                `Username: ${user.githubUsername}\n\n` +
-                `Now you can use all features. Try /repos to see your repositories.`,
-                { parse_mode: 'Markdown' }
+        if (!search.terms && search.type !== 'gist') {
+            // With nothing typed yet, connected users see their recent repositories
+            const results = token
+                ? (await fetchRepositories(user)).slice(0, INLINE_RESULTS_PER_PAGE).map(repositoryCard)
+                : [];
+            if (results.length === 0) {
+                results.push(inlineNotice('hint', '🔎 Search GitHub', 'Type repo:, issue:owner/repo or code: followed by your search'));
+            }
+            return ctx.answerInlineQuery(results, extra);
+        }
+
+        if (['code', 'gist'].includes(search.type) && !token) {
+            return ctx.answerInlineQuery(
+                [inlineNotice('login', `🔒 ${search.type === 'code' ? 'Code search needs' : 'Gists need'} a GitHub account`, 'Connect GitHub in a private chat with the bot first')],
+                extra
             );
-            await sendMainMenu(ctx);
-        } else {
-            await ctx.reply('❌ Not connected yet. Please use /connect first.');
         }
-    } catch (error) {
-        await ctx.reply('❌ Error checking connection.');
-    }
-});
 
-bot.action('list_repos', async (ctx) => {
-    await ctx.answerCbQuery();
-    await ctx.reply('Use /repos to list your repositories.');
-});
+        // Superseded queries are left unanswered; Telegram ignores late answers anyway
+        latestInlineQueries.set(ctx.from.id, ctx.inlineQuery.id);
+        await wait(INLINE_DEBOUNCE);
+        if (latestInlineQueries.get(ctx.from.id) !== ctx.inlineQuery.id) return;
+        latestInlineQueries.delete(ctx.from.id);
 
-bot.action('create_repo', async (ctx) => {
-    await ctx.answerCbQuery();
-    await ctx.reply('Use /createrepo to create a new repository.');
-});
+        const cacheKey = `${search.type}_${page}_${search.terms.toLowerCase()}`;
+        let found = token ? null : await inlineCache.get(cacheKey);
 
-bot.action('manage_files', async (ctx) => {
-    await ctx.answerCbQuery();
-    await ctx.reply('Use /files for file management options.');
-});
+        if (!found) {
+            if (!token && anonymousSearchResetAt > Date.now()) {
+                return ctx.answerInlineQuery(
+                    [inlineNotice('limited', '⏳ Search limit reached', `Try again in ${formatWait(anonymousSearchResetAt - Date.now())}, or connect GitHub to search with your own quota`)],
+                    { ...extra, cache_time: 0 }
+                );
+            }
 
-bot.action('about_bot', async (ctx) => {
-    await ctx.answerCbQuery();
-    await ctx.reply('Use /about to learn more about the bot.');
-});
+            found = await searchInline(githubClient(token, { retry: false, timeout: INLINE_TIMEOUT }), search, page);
+            if (!token) await inlineCache.set(cacheKey, found, INLINE_CACHE_TTL);
+        }
 
-bot.action('show_help', async (ctx) => {
-    await ctx.answerCbQuery();
-    await ctx.reply('Use /help for all available commands.');
+        const { total } = found;
+        const results = [...found.results];
+
+        if (results.length === 0 && page === 1) {
+            results.push(inlineNotice('empty', '📭 No results', `Nothing on GitHub matches "${search.terms}"`));
+        }
+
+        const more = page * INLINE_RESULTS_PER_PAGE < total && page < INLINE_MAX_PAGE;
+        await ctx.answerInlineQuery(results, { ...extra, next_offset: more ? String(page + 1) : '' });
+    } catch (error) {
+        if (!token && ['rate_limited', 'secondary_rate_limit'].includes(error.code)) {
+            anonymousSearchResetAt = error.resetAt?.getTime() || Date.now() + (error.retryAfter || 60 * 1000);
+            return ctx.answerInlineQuery(
+                [inlineNotice('limited', '⏳ Search limit reached', 'Connect GitHub in a private chat with the bot to search with your own quota')],
+                { ...extra, cache_time: 0 }
+            ).catch(() => {});
+        }
+
+        await ctx.answerInlineQuery(
+            [inlineNotice('error', '❌ Search failed', githubErrorMessage(error))],
+            { ...extra, cache_time: 0 }
+        ).catch(() => {});
+    }
 });
 
 // Error handling
@@ -800,6 +9612,17 @@ app.listen(PORT, async () => {
     }
 });
 
-// Graceful shutdown
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
\ No newline at end of file
+// Graceful shutdown: unfinished flows and usage counters are saved first
+async function shutdown(signal) {
+    try {
+        bot.stop(signal);
+    } catch (error) {
+        // Webhook mode never launched the poller
+    }
+    await Promise.all([savePendingState(), flushUsage()])
+        .catch(err => console.error('❌ Shutdown error:', err));
+    process.exit(0);
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
\ No newline at end of file